@@ -0,0 +1,161 @@
+/**
+ * A Node.js `Buffer`. Declared by its shape so that these types compile
+ * without `@types/node`; a real `Buffer` is assignable to it.
+ */
+export interface BufferLike extends Uint8Array {
+  toString(encoding?: string): string;
+}
+
+/** Page margin; each side is a CSS length such as `"1in"`, `"2cm"` or `"20mm"`. */
+export interface PdfMargin {
+  top?: string;
+  right?: string;
+  bottom?: string;
+  left?: string;
+}
+
+/**
+ * Conversion settings. Settings left out fall back to the environment
+ * variables and defaults documented in the README; config files are not read.
+ */
+export interface ConvertOptions {
+  frontMatterMode?: 'none' | 'styled';
+  maxFileSize?: number;
+  maxMermaidDiagrams?: number;
+  /** How deeply `{{#include}}` directives may nest (default: 10); 0 turns includes off. */
+  maxIncludeDepth?: number;
+  markdownBreaks?: boolean;
+  pdfFormat?: string;
+  pdfMargin?: PdfMargin;
+  mermaidVersion?: string;
+  mermaidJsPath?: string;
+  /** Reject a document whose Mermaid diagrams or math do not all render (`error.code` is `DIAGRAM_RENDER_FAILED` or `MATH_RENDER_FAILED`), or whose local images or link targets are missing (`ASSET_NOT_FOUND`). */
+  strict?: boolean;
+  /** Colours for code blocks (default: `github`). */
+  codeTheme?: 'github' | 'vs' | 'xcode' | 'atom-one-light' | 'stackoverflow-light' | 'a11y-light' | 'grayscale' | 'none';
+  /** Number the lines of every code block. */
+  lineNumbers?: boolean;
+  /** Put a table of contents at the top of every document; `[[toc]]` places one anywhere. */
+  toc?: boolean;
+  /** Deepest heading level in tables of contents, 1-6 (default: 3). */
+  tocDepth?: number;
+  /** Embed local images as data URIs instead of loading them from `baseDir`. */
+  inlineImages?: boolean;
+  /** Milliseconds before a conversion is abandoned; 0 waits forever (default: 120000). */
+  timeout?: number;
+}
+
+/** Winston-compatible logger. */
+export interface Logger {
+  error(message: string, meta?: object): unknown;
+  warn(message: string, meta?: object): unknown;
+  info(message: string, meta?: object): unknown;
+  debug(message: string, meta?: object): unknown;
+}
+
+export interface ConvertInput {
+  /** Markdown source; Buffers are read as UTF-8. */
+  markdown: string | BufferLike;
+  /** Directory that relative links, images and `{{#include}}` directives resolve against; without it includes fail. */
+  baseDir?: string;
+  /** Name used in error messages and diagnostics (default: `document.md`). */
+  filename?: string;
+  /** Settings for this document only, on top of the converter's options. */
+  options?: ConvertOptions;
+}
+
+export interface Diagnostic {
+  /** 1-based source line, or null for problems with the whole document. */
+  line: number | null;
+  severity: 'error' | 'warning';
+  message: string;
+}
+
+export interface DiagramCounts {
+  total: number;
+  rendered: number;
+  failed: number;
+}
+
+export interface ConversionTiming {
+  readFile: number;
+  validateFile: number;
+  processMarkdown: number;
+  generatePdf: number;
+  total: number;
+}
+
+export interface PdfTiming {
+  pageCreate: number;
+  contentSet: number;
+  mermaidLoad: number;
+  diagramRender: number;
+  pdfGeneration: number;
+  metadataEmbed: number;
+}
+
+export interface ConversionResult {
+  pdf: BufferLike;
+  /** Warnings about the source, e.g. diagrams or math that failed to render, or missing local images. */
+  diagnostics: Diagnostic[];
+  diagrams: DiagramCounts;
+  /** Pages in the PDF, or null when they could not be counted. */
+  pageCount: number | null;
+  timing: ConversionTiming;
+  pdfTiming: PdfTiming;
+  /** Absolute paths of the files spliced in by `{{#include}}` directives. */
+  includes: string[];
+  /** Absolute paths of the local images the document shows, including ones that do not exist. */
+  assets: string[];
+}
+
+export type BatchResult =
+  | ({ filename: string; success: true; error: null } & ConversionResult)
+  | {
+      filename: string;
+      success: false;
+      pdf: null;
+      error: Error;
+      diagnostics: Diagnostic[];
+      diagrams: DiagramCounts | null;
+      pageCount: null;
+      timing: ConversionTiming | null;
+      pdfTiming: PdfTiming | null;
+    };
+
+export interface ConverterSettings {
+  /** Settings for every conversion. */
+  options?: ConvertOptions;
+  /** Receives the converter's log messages; silent by default. */
+  logger?: Logger;
+}
+
+/** A converter that keeps one browser running until `dispose()` is called. */
+export class Converter {
+  constructor(settings?: ConverterSettings);
+  /** Start the browser now rather than on the first conversion. */
+  start(): Promise<void>;
+  convert(input: ConvertInput): Promise<BufferLike>;
+  convertWithDiagnostics(input: ConvertInput): Promise<ConversionResult>;
+  /** Convert several documents; a failing document does not stop the others. */
+  convertBatch(inputs: ConvertInput[], batch?: { concurrency?: number }): Promise<BatchResult[]>;
+  /** Check markdown, front matter and Mermaid diagrams without producing a PDF. */
+  check(input: ConvertInput): Promise<Diagnostic[]>;
+  /** Close the browser. Calling it again does nothing. */
+  dispose(): Promise<void>;
+}
+
+/** Create a converter and start its browser. */
+export function createConverter(settings?: ConverterSettings): Promise<Converter>;
+
+/** Convert one document with a browser started and closed for this call. */
+export function convert(input: ConvertInput & { logger?: Logger }): Promise<BufferLike>;
+
+/** Convert several documents with one browser started and closed for this call. */
+export function convertBatch(
+  inputs: ConvertInput[],
+  batch?: { options?: ConvertOptions; concurrency?: number; logger?: Logger }
+): Promise<BatchResult[]>;
+
+/** Run the command-line interface with `process.argv`; the package's main export before the API was added. */
+export function main(): Promise<void>;
@@ -0,0 +1,178 @@
+const { MarkdownConverter } = require('./converter');
+const { resolveConfig } = require('./config');
+const { runWithConcurrency, parseConcurrency } = require('./pool');
+const { createSilentLogger } = require('./logger');
+
+/**
+ * A converter that keeps one browser running for many conversions.
+ *
+ * Create it with `createConverter()` and call `dispose()` when done; the
+ * browser stays alive until then. Nothing is written to disk: markdown goes
+ * in as a string or Buffer and the PDF comes back as a Buffer.
+ */
+class Converter {
+  /**
+   * @param {object} [settings]
+   * @param {object} [settings.options] - Settings for every conversion (see `SETTINGS` in config.js).
+   * @param {object} [settings.logger] - Winston-compatible logger; silent by default.
+   */
+  constructor({ options = {}, logger } = {}) {
+    this.options = { ...options };
+    this.converter = new MarkdownConverter(this.options, { logger: logger || createSilentLogger() });
+    this.disposed = false;
+  }
+
+  assertUsable() {
+    if (this.disposed) {
+      throw new Error('Converter has been disposed');
+    }
+  }
+
+  // Settings for one call: per-call options on top of the converter's own
+  configFor(options) {
+    return options ? resolveConfig({ flags: { ...this.options, ...options } }) : undefined;
+  }
+
+  /**
+   * Start the browser now rather than on the first conversion.
+   */
+  async start() {
+    this.assertUsable();
+    await this.converter.initializeBrowser();
+  }
+
+  /**
+   * Convert markdown to PDF.
+   *
+   * @param {ConvertInput} input
+   * @returns {Promise<Buffer>} The PDF bytes.
+   */
+  async convert(input) {
+    return (await this.convertWithDiagnostics(input)).pdf;
+  }
+
+  /**
+   * Like `convert`, but resolves with the PDF and how it was produced.
+   *
+   * @param {ConvertInput} input
+   * @returns {Promise<object>} `{ pdf, diagnostics, diagrams, pageCount, timing, pdfTiming, includes, assets }`.
+   */
+  async convertWithDiagnostics({ markdown, baseDir = null, filename = 'document.md', options } = {}) {
+    this.assertUsable();
+    return this.converter.convertMarkdown(markdown, { filename, baseDir, config: this.configFor(options) });
+  }
+
+  /**
+   * Convert several documents, up to `concurrency` at a time. A failing
+   * document does not stop the others.
+   *
+   * @param {ConvertInput[]} inputs
+   * @param {{ concurrency?: number }} [batch]
+   * @returns {Promise<object[]>} One result per input, in input order:
+   *   `{ filename, success, pdf, error, diagnostics, diagrams, pageCount, timing, pdfTiming }`.
+   */
+  async convertBatch(inputs, { concurrency = 1 } = {}) {
+    this.assertUsable();
+    return runWithConcurrency(inputs, parseConcurrency(concurrency), async (input, index) => {
+      const filename = input.filename || `document-${index + 1}.md`;
+      try {
+        const result = await this.convertWithDiagnostics({ ...input, filename });
+        return { filename, success: true, error: null, ...result };
+      } catch (error) {
+        const { timing = null, pdfTiming = null, diagrams = null, diagnostics = [] } = error.conversion || {};
+        return { filename, success: false, pdf: null, error, diagnostics, diagrams, pageCount: null, timing, pdfTiming };
+      }
+    });
+  }
+
+  /**
+   * Check markdown, front matter and Mermaid diagrams without producing a PDF.
+   *
+   * @param {ConvertInput} input - With `baseDir`, includes are read and local images and links checked.
+   * @returns {Promise<object[]>} Problems `{ line, severity, message }` ordered by line.
+   */
+  async check({ markdown, baseDir = null, filename = 'document.md', options } = {}) {
+    this.assertUsable();
+    return this.converter.checkMarkdown(markdown, { filename, baseDir, config: this.configFor(options) });
+  }
+
+  /**
+   * Close the browser. The converter cannot be used afterwards; calling
+   * `dispose()` again does nothing.
+   */
+  async dispose() {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+    await this.converter.cleanup();
+  }
+}
+
+/**
+ * @typedef {object} ConvertInput
+ * @property {string|Buffer} markdown - Markdown source (UTF-8 when a Buffer).
+ * @property {string} [baseDir] - Directory that relative links, images and includes resolve against.
+ * @property {string} [filename] - Name used in error messages and diagnostics.
+ * @property {object} [options] - Settings for this document only.
+ */
+
+/**
+ * Create a converter and start its browser.
+ *
+ * @param {{ options?: object, logger?: object }} [settings]
+ * @returns {Promise<Converter>}
+ * @throws {Error} When an option is invalid or the browser cannot be started.
+ */
+async function createConverter(settings = {}) {
+  const converter = new Converter(settings);
+  try {
+    await converter.start();
+  } catch (error) {
+    await converter.dispose();
+    throw error;
+  }
+  return converter;
+}
+
+/**
+ * Convert one document with a browser started and closed for this call.
+ *
+ * @param {ConvertInput & { logger?: object }} input
+ * @returns {Promise<Buffer>} The PDF bytes.
+ */
+async function convert({ markdown, baseDir, filename, options, logger } = {}) {
+  const converter = await createConverter({ options, logger });
+  try {
+    return await converter.convert({ markdown, baseDir, filename });
+  } finally {
+    await converter.dispose();
+  }
+}
+
+/**
+ * Convert several documents with one browser started and closed for this call.
+ *
+ * @param {ConvertInput[]} inputs
+ * @param {{ options?: object, concurrency?: number, logger?: object }} [batch] - `options` apply to every document.
+ * @returns {Promise<object[]>} See `Converter#convertBatch`.
+ */
+async function convertBatch(inputs, { options, concurrency, logger } = {}) {
+  const converter = await createConverter({ options, logger });
+  try {
+    return await converter.convertBatch(inputs, { concurrency });
+  } finally {
+    await converter.dispose();
+  }
+}
+
+/**
+ * Run the command-line interface with `process.argv`. This was the package's
+ * only export before the API; the CLI is loaded on the first call because
+ * loading it installs process-wide error handlers and logging.
+ */
+function main() {
+  return require('./index').main();
+}
+
+module.exports = { Converter, createConverter, convert, convertBatch, main };
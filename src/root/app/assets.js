@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { isMarkdownFile } = require('./files');
+
+// Image types Chromium displays, for data URIs
+const IMAGE_TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+// `src` of an <img> tag written as raw HTML in the markdown
+const IMG_SRC = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi;
+
+/**
+ * Whether `href` points at a file next to the document: not a URL with a
+ * scheme (`https:`, `mailto:`, `data:`, ...), not protocol-relative and not
+ * an `#anchor` in the document itself.
+ */
+function isLocalReference(href) {
+  return Boolean(href) && !/^[a-z][a-z\d+.-]*:/i.test(href) && !href.startsWith('//') && !href.startsWith('#');
+}
+
+/**
+ * Resolves the local images and link targets of the markdown being rendered
+ * against the directory of its source file, so the PDF does not depend on the
+ * directory the converter runs in. Images can be inlined as data URIs instead.
+ * References to files that do not exist are collected in `missing`, and the
+ * images the document shows in `images`.
+ *
+ * Links to markdown files go through `documentLink` first, which can point
+ * them at the document's PDF or at a place in the same output document;
+ * those it does not know are collected in `outside`.
+ *
+ * Like the math renderer, one resolver serves the document being rendered:
+ * `reset()` starts a document and `baseDir` is set before each `marked` call.
+ */
+function createAssetResolver() {
+  return {
+    // Directory relative references resolve against; null leaves them as written
+    baseDir: null,
+    inline: false,
+    // (filePath, fragment) => href for a link to a markdown file, or null when it is not converted with this one
+    documentLink: null,
+    // References to files that do not exist: { kind: 'image'|'link', href, raw, filePath }
+    missing: [],
+    // Links to markdown files that `documentLink` did not take: { href, raw, filePath }
+    outside: [],
+    // Absolute paths of the local images the document shows, whether they exist or not
+    images: new Set(),
+
+    reset({ inline = false, documentLink = null } = {}) {
+      this.baseDir = null;
+      this.inline = inline;
+      this.documentLink = documentLink;
+      this.missing = [];
+      this.outside = [];
+      this.images = new Set();
+    },
+
+    /**
+     * The URL the browser should load for `href`.
+     *
+     * @param {string} href - The reference as written in the markdown.
+     * @param {{ kind: 'image'|'link', raw: string }} reference - `raw` is the source text, for locating it later.
+     */
+    resolve(href, { kind, raw }) {
+      if (!this.baseDir || !isLocalReference(href)) {
+        return href;
+      }
+      const [, target, suffix] = /^([^?#]*)(.*)$/s.exec(href);
+      let decoded = target;
+      try {
+        decoded = decodeURIComponent(target);
+      } catch {
+        // A stray % is taken literally
+      }
+      const filePath = path.resolve(this.baseDir, decoded);
+
+      if (kind === 'link' && this.documentLink && isMarkdownFile(filePath)) {
+        const fragment = suffix.includes('#') ? suffix.slice(suffix.indexOf('#')) : '';
+        const documentHref = this.documentLink(filePath, fragment);
+        if (documentHref !== null) {
+          return documentHref;
+        }
+        this.outside.push({ href, raw, filePath });
+      }
+      if (kind === 'image') {
+        this.images.add(filePath);
+      }
+      if (!fs.existsSync(filePath)) {
+        this.missing.push({ kind, href, raw, filePath });
+        return href;
+      }
+      const mimeType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+      if (kind === 'image' && this.inline && mimeType && fs.statSync(filePath).isFile()) {
+        return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+      }
+      return pathToFileURL(filePath).href + suffix;
+    },
+
+    /**
+     * `marked` hook that rewrites the targets of images, links and raw HTML
+     * `<img>` tags as they are lexed.
+     */
+    walkTokens(token) {
+      if (token.type === 'image' || token.type === 'link') {
+        token.href = this.resolve(token.href, { kind: token.type, raw: token.raw });
+      } else if (token.type === 'html') {
+        token.text = token.text.replace(IMG_SRC, (tag, start, quote, src) => (
+          `${start}${quote}${this.resolve(src, { kind: 'image', raw: tag })}${quote}`
+        ));
+      }
+    }
+  };
+}
+
+module.exports = { createAssetResolver, isLocalReference };
@@ -0,0 +1,140 @@
+// GitHub's alert types, in the order its documentation lists them
+const ALERT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+// `> [!NOTE]` alone on the first line of a blockquote, then more quoted lines
+const ALERT = new RegExp(`^ {0,3}>[ \\t]?\\[!(${ALERT_TYPES.join('|')})\\][ \\t]*(?:\\n|$)((?: {0,3}>[^\\n]*(?:\\n|$))*)`, 'i');
+
+const TERM = /^ {0,3}[^\s:][^\n]*$/;
+const DEFINITION = /^ {0,3}:[ \t]+/;
+const CONTINUATION = /^(?: {2,}|\t)/;
+
+function titleCase(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Read the definition list at the start of `lines`: groups of one term line
+ * followed by `: definition` lines, with an optional blank line before each
+ * definition. Definitions continue on lines indented by two or more spaces,
+ * and blank lines between indented lines make them multi-paragraph.
+ *
+ * @returns {{ items: { term: string, definitions: string[] }[], length: number }}
+ */
+function readDefinitionList(lines) {
+  const items = [];
+  let index = 0;
+  const definitionAt = (line) => (lines[line] === '' ? line + 1 : line);
+
+  while (index < lines.length && TERM.test(lines[index]) && DEFINITION.test(lines[definitionAt(index + 1)] ?? '')) {
+    const item = { term: lines[index].trim(), definitions: [] };
+    let line = definitionAt(index + 1);
+    while (DEFINITION.test(lines[line] ?? '')) {
+      const body = [lines[line].replace(DEFINITION, '')];
+      line++;
+      while (line < lines.length) {
+        if (CONTINUATION.test(lines[line])) {
+          body.push(lines[line].replace(CONTINUATION, ''));
+        } else if (lines[line] === '' && CONTINUATION.test(lines[line + 1] ?? '')) {
+          body.push('');
+        } else {
+          break;
+        }
+        line++;
+      }
+      item.definitions.push(body.join('\n'));
+      line = DEFINITION.test(lines[definitionAt(line)] ?? '') ? definitionAt(line) : line;
+    }
+    items.push(item);
+    index = line;
+
+    // Blank lines may separate the groups of one list
+    let next = index;
+    while (lines[next] === '') {
+      next++;
+    }
+    if (next > index && next < lines.length && TERM.test(lines[next]) && DEFINITION.test(lines[definitionAt(next + 1)] ?? '')) {
+      index = next;
+    }
+  }
+  return { items, length: index };
+}
+
+/**
+ * `marked` extensions for GitHub alerts (`> [!NOTE]`, `> [!TIP]`,
+ * `> [!IMPORTANT]`, `> [!WARNING]`, `> [!CAUTION]`), rendered as callout
+ * boxes, and for definition lists in the PHP Markdown Extra and Pandoc style:
+ *
+ * ```markdown
+ * Term
+ * : Definition
+ * ```
+ */
+function blockExtensions() {
+  return [
+    {
+      name: 'alert',
+      level: 'block',
+      tokenizer(src) {
+        const match = ALERT.exec(src);
+        if (!match) {
+          return undefined;
+        }
+        const alertType = match[1].toLowerCase();
+        const text = match[2].replace(/^ {0,3}>[ \t]?/gm, '').replace(/\n+$/, '');
+        const top = this.lexer.state.top;
+        this.lexer.state.top = true;
+        const tokens = this.lexer.blockTokens(text);
+        this.lexer.state.top = top;
+        return { type: 'alert', raw: match[0], alertType, tokens };
+      },
+      renderer(token) {
+        return `<div class="alert alert-${token.alertType}">\n` +
+          `<p class="alert-title">${titleCase(token.alertType)}</p>\n${this.parser.parse(token.tokens)}</div>\n`;
+      }
+    },
+    {
+      name: 'definitionList',
+      level: 'block',
+      start(src) {
+        const match = /\n( {0,3}[^\s:][^\n]*)\n\n? {0,3}:[ \t]/.exec(src);
+        return match ? match.index + 1 : undefined;
+      },
+      tokenizer(src) {
+        const lines = src.split('\n');
+        const { items, length } = readDefinitionList(lines);
+        if (items.length === 0) {
+          return undefined;
+        }
+        const raw = lines.slice(0, length).join('\n') + (length < lines.length ? '\n' : '');
+        const top = this.lexer.state.top;
+        this.lexer.state.top = true;
+        const token = {
+          type: 'definitionList',
+          raw,
+          items: items.map(({ term, definitions }) => ({
+            term: this.lexer.inline(term),
+            // A definition with several paragraphs keeps its <p>s; a short one is inline
+            definitions: definitions.map(text => (
+              text.includes('\n\n')
+                ? { block: true, tokens: this.lexer.blockTokens(text) }
+                : { block: false, tokens: this.lexer.inline(text) }
+            ))
+          }))
+        };
+        this.lexer.state.top = top;
+        return token;
+      },
+      renderer(token) {
+        const items = token.items.map(({ term, definitions }) => [
+          `<dt>${this.parser.parseInline(term)}</dt>`,
+          ...definitions.map(({ block, tokens }) => (
+            block ? `<dd>\n${this.parser.parse(tokens)}</dd>` : `<dd>${this.parser.parseInline(tokens)}</dd>`
+          ))
+        ].join('\n'));
+        return `<dl>\n${items.join('\n')}\n</dl>\n`;
+      }
+    }
+  ];
+}
+
+module.exports = { ALERT_TYPES, blockExtensions };
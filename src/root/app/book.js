@@ -0,0 +1,54 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { isMarkdownFile } = require('./files');
+
+/**
+ * Load a book's chapter list.
+ *
+ * The file is YAML, either a plain list of markdown paths or a mapping with a
+ * `chapters` list and an optional `frontMatter` path naming the chapter whose
+ * front matter becomes the PDF metadata. Paths are relative to the list file.
+ *
+ * @param {string} listPath - Path to the chapter list.
+ * @returns {Promise<{ chapters: string[], frontMatter?: string }>} Resolved paths, in reading order.
+ * @throws {Error} When the file cannot be parsed or lists no markdown chapters.
+ */
+async function loadChapterList(listPath) {
+  const baseDir = path.dirname(path.resolve(listPath));
+  let data;
+  try {
+    data = yaml.load(await fs.readFile(listPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read chapter list ${listPath}: ${error.message}`);
+  }
+
+  const spec = Array.isArray(data) ? { chapters: data } : data;
+  if (!spec || !Array.isArray(spec.chapters) || spec.chapters.length === 0) {
+    throw new Error(`Chapter list ${listPath} must be a list of markdown files or have a "chapters" list`);
+  }
+
+  const chapters = spec.chapters.map(chapter => {
+    if (typeof chapter !== 'string' || !isMarkdownFile(chapter)) {
+      throw new Error(`Chapter list ${listPath} has an invalid entry: ${JSON.stringify(chapter)}`);
+    }
+    return path.resolve(baseDir, chapter);
+  });
+
+  if (spec.frontMatter !== undefined && typeof spec.frontMatter !== 'string') {
+    throw new Error(`Chapter list ${listPath} has an invalid "frontMatter" entry: ${JSON.stringify(spec.frontMatter)}`);
+  }
+  const frontMatter = spec.frontMatter ? path.resolve(baseDir, spec.frontMatter) : undefined;
+
+  return { chapters, frontMatter };
+}
+
+/**
+ * Path of the book PDF inside `outputDir`; `.pdf` is appended when missing.
+ */
+function toBookPdfPath(outputDir, bookName) {
+  const fileName = /\.pdf$/i.test(bookName) ? bookName : `${bookName}.pdf`;
+  return path.join(outputDir, fileName);
+}
+
+module.exports = { loadChapterList, toBookPdfPath };
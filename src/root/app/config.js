@@ -0,0 +1,386 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseConcurrency } = require('./pool');
+const { parseOutputNameTemplate } = require('./naming');
+const { CODE_THEMES } = require('./syntax');
+
+const CONFIG_FILENAMES = ['.mdpdfrc.yml', '.mdpdfrc.yaml'];
+
+const PDF_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+const CSS_LENGTH = /^\d+(\.\d+)?(px|in|cm|mm)?$/;
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+function parseBoolean(value, key) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const normalized = String(value).toLowerCase();
+  if (['true', '1'].includes(normalized)) {
+    return true;
+  }
+  if (['false', '0'].includes(normalized)) {
+    return false;
+  }
+  throw new Error(`Invalid ${key} "${value}". Use true or false.`);
+}
+
+function integerParser(min) {
+  return (value, key) => {
+    const parsed = Number(value);
+    if (value === '' || typeof value === 'boolean' || !Number.isInteger(parsed) || parsed < min) {
+      throw new Error(`Invalid ${key} "${value}". Use a whole number of ${min} or more.`);
+    }
+    return parsed;
+  };
+}
+
+function enumParser(values) {
+  return (value, key) => {
+    if (!values.includes(value)) {
+      throw new Error(`Invalid ${key} "${value}". Use ${values.map(v => `"${v}"`).join(' or ')}.`);
+    }
+    return value;
+  };
+}
+
+function parseString(value, key) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    throw new Error(`Invalid ${key} ${JSON.stringify(value)}. Use a string.`);
+  }
+  return String(value);
+}
+
+function parseHeadingLevel(value, key) {
+  const level = integerParser(1)(value, key);
+  if (level > 6) {
+    throw new Error(`Invalid ${key} "${value}". Use a heading level from 1 to 6.`);
+  }
+  return level;
+}
+
+function parsePort(value, key) {
+  const port = integerParser(1)(value, key);
+  if (port > 65535) {
+    throw new Error(`Invalid ${key} "${value}". Use a port number from 1 to 65535.`);
+  }
+  return port;
+}
+
+function parsePdfFormat(value, key) {
+  const format = parseString(value, key);
+  if (!PDF_FORMATS.includes(format.toLowerCase())) {
+    throw new Error(`Invalid ${key} "${format}". Use one of: A0-A6, Letter, Legal, Tabloid, Ledger.`);
+  }
+  return format;
+}
+
+function parseLength(value, key) {
+  const length = parseString(value, key);
+  if (!CSS_LENGTH.test(length)) {
+    throw new Error(`Invalid ${key} "${length}". Use a length such as "1in", "2cm", "20mm" or "96px".`);
+  }
+  return length;
+}
+
+function parseMargin(value, key) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid ${key} ${JSON.stringify(value)}. Use a mapping with top, right, bottom and left.`);
+  }
+  const margin = {};
+  for (const [side, length] of Object.entries(value)) {
+    if (!MARGIN_SIDES.includes(side)) {
+      throw new Error(`Unknown ${key} side "${side}". Use top, right, bottom or left.`);
+    }
+    margin[side] = parseLength(length, `${key}.${side}`);
+  }
+  return margin;
+}
+
+/**
+ * Every setting the converter understands.
+ *
+ * `flag` and `env` name the CLI option and environment variable that set it;
+ * `scope: 'run'` marks settings that apply to a whole run and so cannot be
+ * changed per subtree.
+ * Margins are a mapping in config files and one variable per side in the
+ * environment.
+ */
+const SETTINGS = {
+  frontMatterMode: { flag: '--front-matter', env: 'FRONT_MATTER_MODE', default: 'none', parse: enumParser(['none', 'styled']) },
+  recursive: { flag: '--recursive', env: 'RECURSIVE', default: false, parse: parseBoolean, scope: 'run' },
+  concurrency: { flag: '--concurrency', env: 'CONCURRENCY', default: 1, parse: value => parseConcurrency(value), scope: 'run' },
+  outputName: { flag: '--output-name', env: 'OUTPUT_NAME', default: null, parse: parseOutputNameTemplate, scope: 'run' },
+  port: { flag: '--port', env: 'PORT', default: 3000, parse: parsePort, scope: 'run' },
+  host: { flag: '--host', env: 'HOST', default: '127.0.0.1', parse: parseString, scope: 'run' },
+  strict: { flag: '--strict', env: 'STRICT', default: false, parse: parseBoolean },
+  codeTheme: { flag: '--code-theme', env: 'CODE_THEME', default: 'github', parse: enumParser(CODE_THEMES) },
+  lineNumbers: { flag: '--line-numbers', env: 'LINE_NUMBERS', default: false, parse: parseBoolean },
+  toc: { flag: '--toc', env: 'TOC', default: false, parse: parseBoolean },
+  tocDepth: { flag: '--toc-depth', env: 'TOC_DEPTH', default: 3, parse: parseHeadingLevel },
+  inlineImages: { flag: '--inline-images', env: 'INLINE_IMAGES', default: false, parse: parseBoolean },
+  timeout: { flag: '--timeout', env: 'CONVERSION_TIMEOUT', default: 120000, parse: integerParser(0) },
+  retries: { flag: '--retries', env: 'RETRIES', default: 0, parse: integerParser(0) },
+  maxFileSize: { env: 'MAX_FILE_SIZE', default: 10485760, parse: integerParser(1) },
+  maxMermaidDiagrams: { env: 'MAX_MERMAID_DIAGRAMS', default: 50, parse: integerParser(0) },
+  maxIncludeDepth: { env: 'MAX_INCLUDE_DEPTH', default: 10, parse: integerParser(0) },
+  markdownBreaks: { env: 'MARKDOWN_BREAKS', default: false, parse: parseBoolean },
+  pdfFormat: { env: 'PDF_FORMAT', default: 'A4', parse: parsePdfFormat },
+  pdfMargin: {
+    env: { top: 'PDF_MARGIN_TOP', right: 'PDF_MARGIN_RIGHT', bottom: 'PDF_MARGIN_BOTTOM', left: 'PDF_MARGIN_LEFT' },
+    default: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
+    parse: parseMargin
+  },
+  mermaidVersion: { env: 'MERMAID_VERSION', default: '10.6.1', parse: parseString },
+  mermaidJsPath: { env: 'MERMAID_JS_PATH', default: null, parse: parseString, relativePath: true }
+};
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function parseSetting(key, value, source) {
+  try {
+    return SETTINGS[key].parse(value, key);
+  } catch (error) {
+    throw new Error(`${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the settings of one config file, validated against `SETTINGS`.
+ *
+ * @param {string} configPath - Path to a `.mdpdfrc.yml` file.
+ * @param {object} [options]
+ * @param {boolean} [options.nested=false] - The file overrides a subtree, so run-wide settings are rejected.
+ * @returns {Promise<object>} Only the settings the file sets.
+ * @throws {Error} Naming the file and setting when the file is invalid.
+ */
+async function loadConfigFile(configPath, { nested = false } = {}) {
+  let data;
+  try {
+    data = yaml.load(await fs.readFile(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}: ${error.message}`);
+  }
+  if (data === undefined || data === null) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${configPath}: Config file must be a mapping of settings`);
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(data)) {
+    const setting = SETTINGS[key];
+    if (!setting) {
+      throw new Error(`${configPath}: Unknown setting "${key}". Known settings: ${Object.keys(SETTINGS).join(', ')}.`);
+    }
+    if (nested && setting.scope === 'run') {
+      throw new Error(`${configPath}: "${key}" applies to the whole run and can only be set in a config file at or above the input directory.`);
+    }
+    let parsed = parseSetting(key, value, configPath);
+    if (setting.relativePath && parsed !== null) {
+      parsed = path.resolve(path.dirname(configPath), parsed);
+    }
+    settings[key] = parsed;
+  }
+  return settings;
+}
+
+async function findConfigFileIn(dir) {
+  for (const filename of CONFIG_FILENAMES) {
+    const candidate = path.join(dir, filename);
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function readEnvSetting(key, env) {
+  const { env: names } = SETTINGS[key];
+  if (typeof names === 'string') {
+    return isSet(env[names]) ? parseSetting(key, env[names], `${names} environment variable`) : undefined;
+  }
+
+  const value = {};
+  for (const [side, name] of Object.entries(names)) {
+    if (isSet(env[name])) {
+      value[side] = parseSetting(key, { [side]: env[name] }, `${name} environment variable`)[side];
+    }
+  }
+  return Object.keys(value).length > 0 ? value : undefined;
+}
+
+/**
+ * Combine settings from every source into a complete, validated config.
+ *
+ * Precedence is flag > environment > config file > default. Margin sides are
+ * resolved one by one, so `PDF_MARGIN_TOP` only replaces the top margin.
+ *
+ * @param {object} [sources]
+ * @param {object} [sources.flags={}] - Values from CLI flags or API options; unset values are ignored.
+ * @param {object} [sources.env=process.env] - Environment variables.
+ * @param {object} [sources.fileConfig={}] - Merged settings from config files (see `loadConfigFile`).
+ * @returns {object} A value for every key of `SETTINGS`.
+ * @throws {Error} Naming the flag or variable when a value is invalid.
+ */
+function resolveConfig({ flags = {}, env = process.env, fileConfig = {} } = {}) {
+  const config = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const layers = [
+      setting.default,
+      fileConfig[key],
+      readEnvSetting(key, env),
+      isSet(flags[key]) ? parseSetting(key, flags[key], `${setting.flag || key} option`) : undefined
+    ];
+    config[key] = layers.reduce((value, layer) => {
+      if (!isSet(layer)) {
+        return value;
+      }
+      return key === 'pdfMargin' ? { ...value, ...layer } : layer;
+    }, null);
+  }
+  return config;
+}
+
+function mergeFileConfig(base, override) {
+  const merged = { ...base, ...override };
+  if (base.pdfMargin && override.pdfMargin) {
+    merged.pdfMargin = { ...base.pdfMargin, ...override.pdfMargin };
+  }
+  return merged;
+}
+
+/**
+ * Configuration for a run over one input directory.
+ *
+ * `.mdpdfrc.yml` files are looked up from the input directory upward; the
+ * nearest one wins per setting. Config files in subdirectories of the input
+ * directory override settings for the files below them.
+ */
+class ProjectConfig {
+  constructor({ inputDir, flags = {}, env = process.env, fileConfig = {}, configFiles = [] }) {
+    this.inputDir = path.resolve(inputDir);
+    this.flags = flags;
+    this.env = env;
+    this.configFiles = configFiles;
+    this.fileConfigs = new Map([['.', Promise.resolve(fileConfig)]]);
+    this.settings = resolveConfig({ flags, env, fileConfig });
+  }
+
+  /**
+   * Discover and validate the config files that apply to `inputDir`.
+   *
+   * @param {string} inputDir - Directory the run starts from.
+   * @param {{ flags?: object, env?: object }} [sources]
+   * @returns {Promise<ProjectConfig>}
+   */
+  static async load(inputDir, { flags = {}, env = process.env } = {}) {
+    const configFiles = [];
+    let dir = path.resolve(inputDir);
+    for (;;) {
+      const configPath = await findConfigFileIn(dir);
+      if (configPath) {
+        configFiles.unshift(configPath);
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) {
+        break;
+      }
+      dir = parent;
+    }
+
+    let fileConfig = {};
+    for (const configPath of configFiles) {
+      fileConfig = mergeFileConfig(fileConfig, await loadConfigFile(configPath));
+    }
+    return new ProjectConfig({ inputDir, flags, env, fileConfig, configFiles });
+  }
+
+  // Cached per directory as a promise, so parallel conversions read each file once
+  fileConfigFor(relativeDir) {
+    if (!this.fileConfigs.has(relativeDir)) {
+      this.fileConfigs.set(relativeDir, this.loadDirectoryConfig(relativeDir));
+    }
+    return this.fileConfigs.get(relativeDir);
+  }
+
+  async loadDirectoryConfig(relativeDir) {
+    const parentConfig = await this.fileConfigFor(path.dirname(relativeDir));
+    const configPath = await findConfigFileIn(path.join(this.inputDir, relativeDir));
+    if (!configPath) {
+      return parentConfig;
+    }
+    this.configFiles.push(configPath);
+    return mergeFileConfig(parentConfig, await loadConfigFile(configPath, { nested: true }));
+  }
+
+  /**
+   * Every path a config file that applies to files in `relativeDirs` could
+   * have: in the input directory, the directories above it and the
+   * directories between it and each of `relativeDirs`. Watch mode polls
+   * them, as such a file may be created, changed or removed.
+   *
+   * @param {string[]} relativeDirs - Directories relative to the input directory.
+   * @returns {string[]} Absolute paths.
+   */
+  configCandidates(relativeDirs) {
+    const dirs = new Set();
+    for (let dir = this.inputDir; ; dir = path.dirname(dir)) {
+      dirs.add(dir);
+      if (path.dirname(dir) === dir) {
+        break;
+      }
+    }
+    for (const relativeDir of relativeDirs) {
+      for (let dir = relativeDir; dir !== '.' && dir !== ''; dir = path.dirname(dir)) {
+        dirs.add(path.join(this.inputDir, dir));
+      }
+    }
+    return [...dirs].flatMap(dir => CONFIG_FILENAMES.map(filename => path.join(dir, filename)));
+  }
+
+  /**
+   * Forget what was read from the config file `configPath` after it was
+   * created, changed or removed. A file in the input directory or above it
+   * is read again with the others there, right away; files in
+   * subdirectories are read again when `forFile` next needs them.
+   *
+   * @param {string} configPath
+   * @returns {Promise<void>}
+   * @throws {Error} When a config file in the input directory or above it is invalid; the settings are kept.
+   */
+  async invalidate(configPath) {
+    const relativeDir = path.relative(this.inputDir, path.dirname(path.resolve(configPath)));
+    if (relativeDir === '' || relativeDir.startsWith('..') || path.isAbsolute(relativeDir)) {
+      const reloaded = await ProjectConfig.load(this.inputDir, { flags: this.flags, env: this.env });
+      this.configFiles = reloaded.configFiles;
+      this.fileConfigs = reloaded.fileConfigs;
+      this.settings = reloaded.settings;
+      return;
+    }
+    const isBelow = dir => dir === relativeDir || dir.startsWith(relativeDir + path.sep);
+    for (const dir of [...this.fileConfigs.keys()]) {
+      if (isBelow(dir)) {
+        this.fileConfigs.delete(dir);
+      }
+    }
+    this.configFiles = this.configFiles.filter(filePath => !isBelow(path.relative(this.inputDir, path.dirname(filePath))));
+  }
+
+  /**
+   * Resolved settings for one markdown file, including the overrides of
+   * config files in the directories between the input directory and the file.
+   *
+   * @param {string} file - Markdown path relative to the input directory.
+   * @returns {Promise<object>}
+   */
+  async forFile(file) {
+    const fileConfig = await this.fileConfigFor(path.dirname(file));
+    return resolveConfig({ flags: this.flags, env: this.env, fileConfig });
+  }
+}
+
+module.exports = { CONFIG_FILENAMES, SETTINGS, ProjectConfig, loadConfigFile, resolveConfig };
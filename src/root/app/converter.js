@@ -1,10 +1,34 @@
 const fs = require('fs-extra');
 const path = require('path');
-const { marked } = require('marked');
+const { pathToFileURL } = require('url');
+const { Marked } = require('marked');
 const puppeteer = require('puppeteer-core');
 const matter = require('./frontmatter');
 const { PDFDocument, PDFName } = require('pdf-lib');
 const { setupLogger } = require('./logger');
+const { SETTINGS, resolveConfig } = require('./config');
+const { insertTableOfContents, readNamedDestinations } = require('./toc');
+const { renderCodeBlock, codeThemeCss } = require('./syntax');
+const { createMathRenderer, mathExtensions, locateInSource, mathCss } = require('./math');
+const { createFootnotes } = require('./footnotes');
+const { createFigures, insertListOfFigures } = require('./figures');
+const { blockExtensions } = require('./blocks');
+const { expandIncludes } = require('./includes');
+const { createAssetResolver } = require('./assets');
+const { createDocumentLinks, renderLinkTargets } = require('./links');
+const { findMermaidBlocks, parseDiagramOptions, renderDiagramPlaceholder, diagramCss, paperSize } = require('./diagrams');
+
+// Diagrams larger than this (in characters) are reported as a warning
+const LARGE_DIAGRAM_SIZE = 10000;
+// Mermaid settings of every page; a diagram's `theme` attribute overrides the theme while it renders
+const MERMAID_CONFIG = {
+  startOnLoad: false,
+  theme: 'default',
+  securityLevel: 'loose',
+  fontFamily: 'Arial, sans-serif'
+};
+// Placeholder href of a link to another book chapter, followed by its index
+const CHAPTER_LINK = 'book-chapter-link-';
 
 function findChromiumExecutable() {
   if (process.env.PUPPETEER_EXECUTABLE_PATH) {
@@ -34,9 +58,150 @@ function findChromiumExecutable() {
   );
 }
 
+/**
+ * Where line `line` of a document with its includes spliced in comes from,
+ * as `{ line, included }` (see `expandIncludes`): `line` is the document's
+ * own line, for included lines that of the include directive. Without
+ * `origins` every line is the document's own.
+ */
+function traceLine(origins, line) {
+  return (line !== null && origins?.[line - 1]) || { line, included: null };
+}
+
+// Names the included file a problem is in; the problem itself is reported at the include directive
+function includedIn(included) {
+  return included ? ` (in ${path.basename(included.file)} line ${included.line})` : '';
+}
+
+// A problem at `line` of a document with its includes spliced in
+function problemAt(origins, line, severity, message) {
+  const { line: at, included } = traceLine(origins, line);
+  return { line: at, severity, message: message + includedIn(included) };
+}
+
+// Where a failure of a strict conversion is: the included file, else the chapter (book mode) and line
+function sourceLocation({ source, line, included }) {
+  if (included) {
+    return `${included.file} line ${included.line}`;
+  }
+  return [source, line !== null ? `line ${line}` : null].filter(Boolean).join(' ') || 'unknown line';
+}
+
+function largeDiagramProblem(diagram, index, origins) {
+  return problemAt(origins, diagram.line, 'warning', `Mermaid diagram ${index + 1} is very large (${diagram.code.length} characters)`);
+}
+
+// Mermaid parse errors say "on line N" within the diagram; map that to the markdown file
+function mermaidErrorLine(diagram, message) {
+  if (diagram.line === null) {
+    return null;
+  }
+  const lineInDiagram = /on line (\d+)/.exec(message);
+  return diagram.line + (lineInDiagram ? Number(lineInDiagram[1]) : 0);
+}
+
+/**
+ * The error of a strict conversion whose diagrams did not all render.
+ * `failures` are `{ index, type, line, source, included, message }`.
+ */
+function diagramRenderError(failed, failures) {
+  const count = failed === 1 ? '1 Mermaid diagram' : `${failed} Mermaid diagrams`;
+  const details = failures.map((failure) => {
+    const text = String(failure.message).trim().split('\n').join('\n    ');
+    return `\n  - diagram ${failure.index + 1} (${failure.type}) at ${sourceLocation(failure)}: ${text}`;
+  });
+  const error = new Error(`Strict mode: ${count} failed to render${details.join('')}`);
+  error.code = 'DIAGRAM_RENDER_FAILED';
+  error.diagrams = failures;
+  return error;
+}
+
+/**
+ * Problems with the math of the document just rendered: expressions that did
+ * not render (with `severity`), `missing` references and duplicate labels.
+ */
+function mathProblems(mathRenderer, missing, severity) {
+  return [
+    ...mathRenderer.errors.map(({ raw, line, included, message }) => ({
+      line,
+      severity,
+      message: `Math expression ${raw.split('\n')[0]} failed to render: ${message}${includedIn(included)}`
+    })),
+    ...missing.map(({ raw, line, included }) => ({
+      line,
+      severity: 'warning',
+      message: `Equation reference ${raw} has no matching \\label${includedIn(included)}`
+    })),
+    ...mathRenderer.duplicates.map(({ key, line, included }) => ({
+      line,
+      severity: 'warning',
+      message: `Equation label "${key}" is defined more than once${includedIn(included)}`
+    }))
+  ];
+}
+
+/**
+ * Problems for the `missing` figure references and the `duplicates` figure
+ * IDs of the document just rendered.
+ */
+function figureProblems({ missing, duplicates }) {
+  return [
+    ...missing.map(({ raw, line, included }) => ({
+      line,
+      severity: 'warning',
+      message: `Figure reference ${raw} has no numbered figure with that ID${includedIn(included)}`
+    })),
+    ...duplicates.map(({ id, line, included }) => ({
+      line,
+      severity: 'warning',
+      message: `Figure ID "${id}" is used by more than one figure; references go to the first${includedIn(included)}`
+    }))
+  ];
+}
+
+/**
+ * Problems for local images and link targets of the document just rendered
+ * that do not exist.
+ */
+function assetProblems(assets, severity) {
+  return assets.missing.map(({ kind, href, line, included, filePath }) => ({
+    line,
+    severity,
+    message: `${kind === 'image' ? 'Image' : 'Link target'} ${href} not found at ${filePath}${includedIn(included)}`
+  }));
+}
+
+/**
+ * The error of a strict conversion that references local files that do not exist.
+ * `missing` are the resolver's entries with `line`, `source` and `included` set.
+ */
+function missingAssetError(missing) {
+  const count = missing.length === 1 ? '1 local file' : `${missing.length} local files`;
+  const details = missing.map(entry => `\n  - ${entry.kind} ${entry.href} at ${sourceLocation(entry)}`);
+  const error = new Error(`Strict mode: ${count} referenced by the document not found${details.join('')}`);
+  error.code = 'ASSET_NOT_FOUND';
+  error.assets = missing;
+  return error;
+}
+
+/**
+ * The error of a strict conversion with math that did not render.
+ * `failures` are the renderer's errors with `line`, `source` and `included` set.
+ */
+function mathRenderError(failures) {
+  const count = failures.length === 1 ? '1 math expression' : `${failures.length} math expressions`;
+  const details = failures.map(failure => `\n  - ${failure.raw.split('\n')[0]} at ${sourceLocation(failure)}: ${failure.message}`);
+  const error = new Error(`Strict mode: ${count} failed to render${details.join('')}`);
+  error.code = 'MATH_RENDER_FAILED';
+  error.math = failures;
+  return error;
+}
+
 function createHeadingSlugger() {
   const seen = new Map();
   return {
+    // Headings slugged since the last reset, for the table of contents
+    headings: [],
     slug(raw) {
       const base = String(raw)
         .trim()
@@ -51,38 +216,212 @@ function createHeadingSlugger() {
     },
     reset() {
       seen.clear();
+      this.headings = [];
     }
   };
 }
-const headingSlugger = createHeadingSlugger();
-marked.use({
-  renderer: {
-    heading(text, level, raw) {
-      const id = headingSlugger.slug(raw);
-      return `<h${level} id="${id}">${text}</h${level}>\n`;
+
+/**
+ * The rendering state of one output document, with the `marked` instance
+ * whose extensions and renderers write to it. Every conversion and check
+ * creates its own on `context.rendering`, so conversions that run at the same
+ * time, in one converter or several, never share heading IDs, equation
+ * numbers, footnotes, figures or settings.
+ */
+function createRenderState() {
+  const headingSlugger = createHeadingSlugger();
+  const state = {
+    headingSlugger,
+    // Numbering runs on across the chapters of a book
+    mathRenderer: createMathRenderer(),
+    // Reset for each document or book chapter
+    footnotes: createFootnotes(raw => headingSlugger.slug(raw)),
+    // Local images and links
+    assets: createAssetResolver(),
+    // Figures and figure references
+    figures: createFigures(raw => headingSlugger.slug(raw)),
+    // Settings the renderer needs; set before each `marked` call
+    codeBlockDefaults: { lineNumbers: false }
+  };
+  const { mathRenderer, footnotes, assets, figures, codeBlockDefaults } = state;
+  state.markdown = new Marked({
+    extensions: [...mathExtensions(mathRenderer), ...footnotes.extensions(), ...figures.extensions(), ...blockExtensions()],
+    walkTokens: token => {
+      figures.walkTokens(token);
+      assets.walkTokens(token);
+    },
+    renderer: {
+      code(code, infostring) {
+        return renderCodeBlock(code, infostring, codeBlockDefaults);
+      },
+      heading(text, level, raw) {
+        const id = headingSlugger.slug(raw);
+        headingSlugger.headings.push({ level, id, text, raw });
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      }
     }
-  }
-});
+  });
+  return state;
+}
 
 class MarkdownConverter {
-  constructor(options = {}) {
-    this.logger = setupLogger();
+  /**
+   * @param {object} [config] - Settings (see `SETTINGS` in config.js), usually
+   *   resolved by `ProjectConfig`. Settings left out are taken from the
+   *   environment or their defaults.
+   * @param {object} [options]
+   * @param {object} [options.logger] - Winston-compatible logger (default: the CLI logger from logger.js).
+   */
+  constructor(config = {}, { logger } = {}) {
+    this.logger = logger || setupLogger();
     this.browser = null;
-    this.page = null;
-    this.currentFilename = null;
-    this.frontMatterMode = options.frontMatterMode || 'none';
-    this.maxFileSize = parseInt(process.env.MAX_FILE_SIZE || '10485760', 10); // 10MB default
-    marked.setOptions({
-      breaks: process.env.MARKDOWN_BREAKS === 'true',
-      gfm: true
-    });
+    this.browserLaunch = null;
+    this.pages = new Set();
+    // Browser lifecycle counts, reported in the batch summary
+    this.browserStats = { launches: 0, disconnects: 0 };
+    this.config = resolveConfig({ flags: config });
 
-    this.logger.info('MarkdownConverter initialized', { frontMatterMode: this.frontMatterMode });
     this.logger.info('MarkdownConverter initialized', {
-      frontMatterMode: this.frontMatterMode,
-      maxFileSize: this.maxFileSize,
-      markdownBreaks: process.env.MARKDOWN_BREAKS === 'true'
+      frontMatterMode: this.config.frontMatterMode,
+      maxFileSize: this.config.maxFileSize,
+      markdownBreaks: this.config.markdownBreaks
+    });
+  }
+
+  get frontMatterMode() {
+    return this.config.frontMatterMode;
+  }
+
+  get maxFileSize() {
+    return this.config.maxFileSize;
+  }
+
+  // Settings for one conversion: per-file overrides, or the converter's own
+  configFor(context) {
+    return context.config || this.config;
+  }
+
+  /**
+   * Settings that change the rendered PDF. Used to detect when a previously
+   * generated PDF is stale.
+   */
+  getResolvedOptions(config = this.config) {
+    return {
+      frontMatterMode: config.frontMatterMode,
+      maxFileSize: config.maxFileSize,
+      maxMermaidDiagrams: config.maxMermaidDiagrams,
+      maxIncludeDepth: config.maxIncludeDepth,
+      markdownBreaks: config.markdownBreaks,
+      pdfFormat: config.pdfFormat,
+      pdfMargin: config.pdfMargin,
+      strict: config.strict,
+      codeTheme: config.codeTheme,
+      lineNumbers: config.lineNumbers,
+      toc: config.toc,
+      tocDepth: config.tocDepth,
+      inlineImages: config.inlineImages
+    };
+  }
+
+  /**
+   * A setting that a document may override in its front matter, such as
+   * `strict` or `toc`: the front matter field when present, else the setting.
+   */
+  frontMatterSetting(frontMatter, key, context = {}) {
+    if (frontMatter[key] === undefined) {
+      return this.configFor(context)[key];
+    }
+    try {
+      return SETTINGS[key].parse(frontMatter[key], key);
+    } catch (error) {
+      throw new Error(`Invalid front matter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether a diagram that fails to render fails the conversion.
+   */
+  isStrict(frontMatter, context = {}) {
+    return this.frontMatterSetting(frontMatter, 'strict', context);
+  }
+
+  /**
+   * Put the table of contents in place of `[[toc]]` markers, or at the top
+   * when the document's `toc` setting asks for one. Call after all headings
+   * of the document are rendered; marks the context so the PDF gets page numbers.
+   */
+  addTableOfContents(html, frontMatter, context = {}) {
+    const { headingSlugger } = context.rendering;
+    const { html: withToc, inserted } = insertTableOfContents(html, headingSlugger.headings, {
+      depth: this.frontMatterSetting(frontMatter, 'tocDepth', context),
+      auto: this.frontMatterSetting(frontMatter, 'toc', context)
     });
+    if (inserted) {
+      context.tableOfContents = true;
+      this.logger.debug('Table of contents inserted', { filename: context.filename, headings: headingSlugger.headings.length });
+    }
+    return withToc;
+  }
+
+  /**
+   * Number the captioned figures, fill in `@fig-id` references and put the
+   * list of figures in place of `[[lof]]` markers. Call after the whole
+   * document is rendered; marks the context so the list gets page numbers.
+   * References to unknown figures and figure IDs used more than once become warnings.
+   */
+  resolveFigures(html, context = {}) {
+    const { figures } = context.rendering;
+    const { html: numbered, ...problems } = figures.resolve(html);
+    context.diagnostics?.push(...figureProblems(problems));
+    const { html: withLof, inserted } = insertListOfFigures(numbered, figures.figures);
+    if (inserted) {
+      context.tableOfContents = true;
+      this.logger.debug('List of figures inserted', { filename: context.filename, figures: figures.figures.length });
+    }
+    return withLof;
+  }
+
+  /**
+   * Fill in equation references and report math that did not render. Call
+   * after the whole document is rendered. A strict document fails with
+   * `MATH_RENDER_FAILED`; otherwise each problem becomes a warning and the
+   * expression stays in the PDF as a marked error.
+   */
+  resolveMath(html, frontMatter, context = {}) {
+    const { mathRenderer } = context.rendering;
+    const { html: resolved, missing } = mathRenderer.resolveReferences(html);
+    const strict = this.isStrict(frontMatter, context);
+    context.diagnostics?.push(...mathProblems(mathRenderer, missing, strict ? 'error' : 'warning'));
+
+    if (mathRenderer.errors.length > 0) {
+      this.logger.warn('Math expressions failed to render', { filename: context.filename, failed: mathRenderer.errors.length });
+      if (strict) {
+        throw mathRenderError(mathRenderer.errors);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Report local images and link targets that do not exist. Call after the
+   * whole document is rendered. A strict document fails with
+   * `ASSET_NOT_FOUND`; otherwise each becomes a warning and the PDF shows a
+   * broken image or a dead link.
+   */
+  reportMissingAssets(frontMatter, context = {}) {
+    const { assets } = context.rendering;
+    if (assets.missing.length === 0) {
+      return;
+    }
+    const strict = this.isStrict(frontMatter, context);
+    context.diagnostics?.push(...assetProblems(assets, strict ? 'error' : 'warning'));
+    this.logger.warn('Local images or link targets not found', {
+      filename: context.filename,
+      missing: assets.missing.map(({ href, source, line }) => ({ href, source, line }))
+    });
+    if (strict) {
+      throw missingAssetError(assets.missing);
+    }
   }
 
   // Timing utility function
@@ -96,31 +435,241 @@ class MarkdownConverter {
 
   async initializeBrowser() {
     if (!this.browser) {
-      this.logger.debug('Initializing browser');
-      const executablePath = findChromiumExecutable();
-      this.logger.debug('Using Chromium executable', { executablePath });
-      this.browser = await puppeteer.launch({
-        headless: 'new',
-        executablePath,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--no-first-run',
-          '--no-zygote',
-          '--disable-gpu'
-        ]
-      });
-      this.logger.debug('Browser initialized successfully');
+      // Concurrent conversions share a single launch
+      if (!this.browserLaunch) {
+        this.browserLaunch = this.launchBrowser().finally(() => {
+          this.browserLaunch = null;
+        });
+      }
+      await this.browserLaunch;
+    }
+  }
+
+  async launchBrowser() {
+    this.logger.debug('Initializing browser');
+    const executablePath = findChromiumExecutable();
+    this.logger.debug('Using Chromium executable', { executablePath });
+    if (this.browserStats.launches > 0) {
+      this.logger.warn('Relaunching browser', { launches: this.browserStats.launches, disconnects: this.browserStats.disconnects });
+    }
+    const browser = await puppeteer.launch({
+      headless: 'new',
+      executablePath,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+      ]
+    });
+    this.browserStats.launches++;
+
+    // A crashed or killed Chromium is dropped, so the next conversion launches a new one
+    browser.on('disconnected', () => {
+      if (this.browser !== browser) {
+        return;
+      }
+      this.browser = null;
+      this.pages.clear();
+      this.browserStats.disconnects++;
+      this.logger.warn('Browser disconnected unexpectedly', { disconnects: this.browserStats.disconnects });
+    });
+    this.browser = browser;
+    this.logger.debug('Browser initialized successfully');
+  }
+
+  // A timed-out conversion keeps running until its next await; stop it there
+  assertNotCancelled(context) {
+    if (context.cancelled) {
+      throw new Error('Conversion was cancelled');
+    }
+  }
+
+  /**
+   * Settle `work` within the conversion's `timeout` setting. On timeout the
+   * conversion's page is closed, which aborts whatever it was waiting for,
+   * and the returned promise rejects with an error whose `code` is 'TIMEOUT'.
+   */
+  async withTimeout(work, context) {
+    const { timeout } = this.configFor(context);
+    if (!timeout) {
+      return work;
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Conversion timed out after ${timeout}ms`);
+        error.code = 'TIMEOUT';
+        reject(error);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([work, timedOut]);
+    } catch (error) {
+      if (error.code === 'TIMEOUT') {
+        context.cancelled = true;
+        // The abandoned work rejects once its page is gone
+        work.catch(() => {});
+        await this.cleanupPage(context.page);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Convert a markdown file to PDF.
+   *
+   * @param {string} inputPath - Markdown file.
+   * @param {string|null} outputPath - Where to write the PDF; when null the PDF is only returned.
+   * @param {object} [config] - Settings for this file only, e.g. from `ProjectConfig.forFile()`.
+   * @returns {Promise<Buffer>} The PDF bytes.
+   */
+  async convertToPdf(inputPath, outputPath, config) {
+    return (await this.convertFile(inputPath, outputPath, config)).pdf;
+  }
+
+  /**
+   * Like `convertToPdf`, but resolves with the PDF and how it was produced.
+   *
+   * @param {object} [options]
+   * @param {Map<string, string>} [options.documents] - The batch being converted: absolute markdown
+   *   path → absolute path of its PDF. Links to these files open their PDF.
+   * @returns {Promise<ConversionResult>}
+   */
+  async convertFile(inputPath, outputPath, config, { documents } = {}) {
+    return this.runConversion({
+      filename: path.basename(inputPath),
+      inputPath,
+      outputPath,
+      baseDir: path.dirname(inputPath),
+      config,
+      documents: documents ? createDocumentLinks(documents, inputPath) : null,
+      readSources: async (context) => {
+        const origins = [];
+        return [{ path: inputPath, content: await this.readMarkdownFile(inputPath, context, { includes: true, origins }), origins }];
+      },
+      render: ([source], context) => this.processMarkdown(source.content, context, { origins: source.origins })
+    });
+  }
+
+  /**
+   * Convert in-memory markdown to PDF without touching the filesystem.
+   *
+   * @param {string|Buffer} markdown - Markdown source (UTF-8 when a Buffer).
+   * @param {object} [options]
+   * @param {string} [options.filename='stdin.md'] - Name used in logs and error messages.
+   * @returns {Promise<Buffer>} The PDF bytes.
+   */
+  async convertMarkdownToPdf(markdown, options = {}) {
+    return (await this.convertMarkdown(markdown, options)).pdf;
+  }
+
+  /**
+   * Like `convertMarkdownToPdf`, but resolves with the PDF and how it was produced.
+   *
+   * @param {string|Buffer} markdown - Markdown source (UTF-8 when a Buffer).
+   * @param {object} [options]
+   * @param {string} [options.filename='stdin.md'] - Name used in logs and error messages.
+   * @param {string} [options.baseDir] - Directory that relative links, images and includes resolve against.
+   * @param {object} [options.config] - Settings for this conversion only.
+   * @returns {Promise<ConversionResult>}
+   */
+  async convertMarkdown(markdown, { filename = 'stdin.md', baseDir = null, config } = {}) {
+    return this.runConversion({
+      filename,
+      inputPath: filename,
+      outputPath: null,
+      baseDir,
+      config,
+      readSources: async (context) => {
+        const origins = [];
+        const content = await this.spliceIncludes(this.readMarkdownSource(markdown, context), { file: null, baseDir }, context, origins);
+        return [{ path: filename, content, origins }];
+      },
+      render: ([source], context) => this.processMarkdown(source.content, context, { origins: source.origins })
+    });
+  }
+
+  /**
+   * Combine several markdown files into one PDF.
+   *
+   * Chapters are rendered in order into a single HTML document, so heading IDs
+   * stay unique across the whole book and `#anchor` links work across chapters.
+   * Every chapter after the first starts on a new page. Only one front matter
+   * block is used for the PDF metadata and the styled title block.
+   *
+   * @param {string[]} inputPaths - Chapter files in reading order.
+   * @param {string|null} outputPath - Where to write the PDF; when null the PDF is only returned.
+   * @param {object} [options]
+   * @param {string} [options.frontMatterFrom] - Chapter whose front matter is used (default: the first chapter).
+   * @returns {Promise<Buffer>} The PDF bytes.
+   */
+  async convertBookToPdf(inputPaths, outputPath, options = {}) {
+    return (await this.convertBook(inputPaths, outputPath, options)).pdf;
+  }
+
+  /**
+   * Like `convertBookToPdf`, but resolves with the PDF and how it was produced.
+   *
+   * @returns {Promise<ConversionResult>}
+   */
+  async convertBook(inputPaths, outputPath, { frontMatterFrom } = {}) {
+    if (inputPaths.length === 0) {
+      throw new Error('A book needs at least one chapter');
     }
+
+    return this.runConversion({
+      filename: outputPath ? path.basename(outputPath) : 'book.pdf',
+      inputPath: inputPaths.join(', '),
+      outputPath,
+      // Chapters resolve their own images; the page opens in the first one's directory
+      baseDir: path.dirname(inputPaths[0]),
+      readSources: async (context) => {
+        const sources = [];
+        for (const inputPath of inputPaths) {
+          const origins = [];
+          sources.push({ path: inputPath, content: await this.readMarkdownFile(inputPath, context, { includes: true, origins }), origins });
+        }
+        return sources;
+      },
+      render: (sources, context) => this.processBook(sources, { frontMatterFrom }, context)
+    });
   }
 
-  async convertToPdf(inputPath, outputPath) {
+  /**
+   * @typedef {object} ConversionResult
+   * @property {Buffer} pdf - The PDF bytes.
+   * @property {object} timing - Milliseconds per step (readFile, validateFile, processMarkdown, generatePdf, total).
+   * @property {object} pdfTiming - Milliseconds per browser step (pageCreate, contentSet, mermaidLoad, diagramRender, pdfGeneration, metadataEmbed).
+   * @property {{ total: number, rendered: number, failed: number }} diagrams - Mermaid diagram outcome.
+   * @property {number|null} pageCount - Pages in the PDF, or null when it could not be read.
+   * @property {CheckProblem[]} diagnostics - Warnings about the source, e.g. diagrams that failed to render.
+   * @property {string[]} includes - Absolute paths of the files the sources include.
+   * @property {string[]} assets - Absolute paths of the local images the document shows, including missing ones.
+   *
+   * A failed conversion rejects with an Error whose `conversion` property holds
+   * the `timing`, `pdfTiming`, `diagrams`, `diagnostics`, `includes` and `assets` collected before the failure.
+   */
+  async runConversion({ filename, inputPath, outputPath, baseDir = null, config, documents = null, readSources, render }) {
     const conversionStartTime = Date.now();
-    // Extract filename for logging context
-    this.currentFilename = path.basename(inputPath);
-    this.logger.info('Starting conversion process', { inputPath, outputPath, filename: this.currentFilename });
+    // Per-conversion state, so concurrent conversions never share a filename, page or settings
+    const context = {
+      filename,
+      baseDir,
+      config: config ? { ...this.config, ...config } : this.config,
+      documents,
+      mermaidDiagrams: [],
+      diagnostics: [],
+      includes: new Set()
+    };
+    this.logger.info('Starting conversion process', { inputPath, outputPath, filename: context.filename });
 
     const timing = {
       readFile: 0,
@@ -130,22 +679,22 @@ class MarkdownConverter {
       total: 0
     };
 
-    try {
+    const steps = async () => {
       // Initialize browser (reused across conversions)
       await this.initializeBrowser();
 
-      // Read and validate markdown file
+      // Read and validate markdown sources
       const readStartTime = Date.now();
-      const markdownContent = await this.readMarkdownFile(inputPath);
+      const sources = await readSources(context);
       timing.readFile = Date.now() - readStartTime;
 
       const validateStartTime = Date.now();
-      this.validateMarkdownContent(markdownContent, inputPath);
+      sources.forEach(source => this.validateMarkdownContent(source.content, source.path, context, source.origins));
       timing.validateFile = Date.now() - validateStartTime;
 
       this.logger.debug('Markdown file read and validated', {
-        filename: this.currentFilename,
-        size: markdownContent.length,
+        filename: context.filename,
+        size: sources.reduce((total, source) => total + source.content.length, 0),
         readDuration: timing.readFile,
         validateDuration: timing.validateFile,
         durationFormatted: this.formatDuration(timing.readFile + timing.validateFile)
@@ -153,10 +702,10 @@ class MarkdownConverter {
 
       // Process markdown and render Mermaid diagrams
       const processStartTime = Date.now();
-      const { html: htmlContent, frontMatter, mermaidDiagramCount } = await this.processMarkdown(markdownContent);
+      const { html: htmlContent, frontMatter, mermaidDiagramCount } = await render(sources, context);
       timing.processMarkdown = Date.now() - processStartTime;
       this.logger.debug('Markdown processed to HTML', {
-        filename: this.currentFilename,
+        filename: context.filename,
         htmlSize: htmlContent.length,
         hasFrontMatter: Object.keys(frontMatter).length > 0,
         mermaidDiagramCount,
@@ -166,10 +715,10 @@ class MarkdownConverter {
 
       // Generate PDF
       const pdfStartTime = Date.now();
-      await this.generatePdf(htmlContent, outputPath, frontMatter, mermaidDiagramCount);
+      const pdf = await this.generatePdf(htmlContent, outputPath, frontMatter, mermaidDiagramCount, context);
       timing.generatePdf = Date.now() - pdfStartTime;
       this.logger.debug('PDF generation completed', {
-        filename: this.currentFilename,
+        filename: context.filename,
         outputPath,
         duration: timing.generatePdf,
         durationFormatted: this.formatDuration(timing.generatePdf)
@@ -177,7 +726,7 @@ class MarkdownConverter {
 
       timing.total = Date.now() - conversionStartTime;
       this.logger.info('Conversion completed successfully', {
-        filename: this.currentFilename,
+        filename: context.filename,
         inputPath,
         outputPath,
         timing,
@@ -185,48 +734,122 @@ class MarkdownConverter {
         totalDurationFormatted: this.formatDuration(timing.total)
       });
 
+      return {
+        pdf,
+        timing,
+        pdfTiming: context.pdfTiming,
+        diagrams: context.diagrams,
+        pageCount: await this.countPdfPages(pdf, context),
+        diagnostics: context.diagnostics,
+        includes: [...context.includes],
+        assets: [...context.rendering.assets.images]
+      };
+    };
+
+    const disconnectsBefore = this.browserStats.disconnects;
+    try {
+      return await this.withTimeout(steps(), context);
     } catch (error) {
+      if (!error.code && this.browserStats.disconnects > disconnectsBefore) {
+        error.code = 'BROWSER_DISCONNECTED';
+      }
       timing.total = Date.now() - conversionStartTime;
       this.logger.error('Conversion failed', {
-        filename: this.currentFilename,
+        filename: context.filename,
         error: error.message,
         stack: error.stack,
         timing,
         totalDuration: timing.total,
         totalDurationFormatted: this.formatDuration(timing.total)
       });
+      error.conversion = {
+        timing,
+        pdfTiming: context.pdfTiming || null,
+        diagrams: context.diagrams || null,
+        diagnostics: context.diagnostics,
+        includes: [...context.includes],
+        assets: [...(context.rendering?.assets.images || [])]
+      };
       throw error;
-    } finally {
-      await this.cleanupPage();
     }
   }
 
-  async readMarkdownFile(filePath) {
-    this.logger.debug('Reading markdown file', { filePath, filename: this.currentFilename });
+  /**
+   * @param {string} filePath - Markdown file.
+   * @param {object} [context] - The conversion's context.
+   * @param {{ includes?: boolean, origins?: object[] }} [options] - `includes`: splice in the files named by
+   *   `{{#include}}` directives; `origins` receives where each line came from (see `spliceIncludes`).
+   */
+  async readMarkdownFile(filePath, context = {}, { includes = false, origins = [] } = {}) {
+    this.logger.debug('Reading markdown file', { filePath, filename: context.filename });
 
+    let content;
     try {
       // Check file size before reading
       const stats = await fs.stat(filePath);
-      if (stats.size > this.maxFileSize) {
-        throw new Error(`File size (${stats.size} bytes) exceeds maximum allowed size (${this.maxFileSize} bytes)`);
+      const { maxFileSize } = this.configFor(context);
+      if (stats.size > maxFileSize) {
+        throw new Error(`File size (${stats.size} bytes) exceeds maximum allowed size (${maxFileSize} bytes)`);
       }
 
-      const content = await fs.readFile(filePath, 'utf8');
+      content = await fs.readFile(filePath, 'utf8');
       this.logger.debug('Markdown file read successfully', {
-        filename: this.currentFilename,
+        filename: context.filename,
         filePath,
         size: content.length,
         lines: content.split('\n').length
       });
-      return content;
     } catch (error) {
-      this.logger.error('Failed to read markdown file', { filename: this.currentFilename, filePath, error: error.message });
+      this.logger.error('Failed to read markdown file', { filename: context.filename, filePath, error: error.message });
       throw new Error(`Failed to read markdown file: ${error.message}`);
     }
+    return includes ? this.spliceIncludes(content, { file: filePath, baseDir: path.dirname(filePath) }, context, origins) : content;
+  }
+
+  /**
+   * Replace the `{{#include}}` directives of `content` with the files they
+   * name (see includes.js), adding those files to `context.includes`. The
+   * result is held to `maxFileSize` like a file read directly.
+   *
+   * @param {string} content - Markdown source.
+   * @param {{ file: string|null, baseDir: string|null }} source - Where `content` came from.
+   * @param {object} context - The conversion's context.
+   * @param {object[]} [origins] - Receives where each line of the result came from, so problems can be
+   *   reported in the file they are in; stays empty when `content` has no directives.
+   * @returns {Promise<string>}
+   * @throws {Error} With `code` `INCLUDE_FAILED` when a directive cannot be resolved.
+   */
+  async spliceIncludes(content, { file, baseDir }, context, origins = []) {
+    if (!content.includes('{{#include')) {
+      return content;
+    }
+    const { maxIncludeDepth, maxFileSize } = this.configFor(context);
+    const expanded = await expandIncludes(content, { file, baseDir, maxDepth: maxIncludeDepth, files: context.includes, origins });
+    const size = Buffer.byteLength(expanded, 'utf8');
+    if (size > maxFileSize) {
+      throw new Error(`Markdown with its includes (${size} bytes) exceeds maximum allowed size (${maxFileSize} bytes)`);
+    }
+    this.logger.debug('Includes spliced in', { filename: context.filename, includes: context.includes?.size, size });
+    return expanded;
+  }
+
+  readMarkdownSource(markdown, context = {}) {
+    const content = Buffer.isBuffer(markdown) ? markdown.toString('utf8') : String(markdown ?? '');
+    const size = Buffer.byteLength(content, 'utf8');
+    const { maxFileSize } = this.configFor(context);
+    if (size > maxFileSize) {
+      throw new Error(`Markdown size (${size} bytes) exceeds maximum allowed size (${maxFileSize} bytes)`);
+    }
+    this.logger.debug('Markdown source received', {
+      filename: context.filename,
+      size: content.length,
+      lines: content.split('\n').length
+    });
+    return content;
   }
 
-  validateMarkdownContent(content, filePath) {
-    this.logger.debug('Validating markdown content', { filename: this.currentFilename });
+  validateMarkdownContent(content, filePath, context = {}, origins = null) {
+    this.logger.debug('Validating markdown content', { filename: context.filename });
 
     // Check for empty content
     if (!content || content.trim().length === 0) {
@@ -234,82 +857,479 @@ class MarkdownConverter {
     }
 
     // Check for suspiciously large number of diagrams (potential DoS)
-    const diagrams = this.extractMermaidDiagrams(content);
-    const maxDiagrams = parseInt(process.env.MAX_MERMAID_DIAGRAMS || '50', 10);
+    const diagrams = this.extractMermaidDiagrams(content, context);
+    const maxDiagrams = this.configFor(context).maxMermaidDiagrams;
     if (diagrams.length > maxDiagrams) {
       throw new Error(`File contains ${diagrams.length} Mermaid diagrams, exceeding maximum allowed (${maxDiagrams})`);
     }
 
     // Warn about very large diagrams
     diagrams.forEach((diagram, index) => {
-      if (diagram.code.length > 10000) {
+      if (diagram.code.length > LARGE_DIAGRAM_SIZE) {
         this.logger.warn('Large Mermaid diagram detected', {
-          filename: this.currentFilename,
+          filename: context.filename,
           diagramIndex: index,
           diagramSize: diagram.code.length
         });
+        context.diagnostics?.push(largeDiagramProblem(diagram, index, origins));
       }
     });
 
     this.logger.debug('Markdown content validated', {
-      filename: this.currentFilename,
+      filename: context.filename,
       diagramCount: diagrams.length
     });
   }
 
-  async processMarkdown(markdownContent) {
-    this.logger.debug('Processing markdown content', { filename: this.currentFilename });
+  /**
+   * Check a markdown file for problems without producing a PDF.
+   *
+   * Runs the same reading, validation and front matter parsing as a
+   * conversion, and asks Mermaid to parse every diagram. The browser is only
+   * started when the file has diagrams.
+   *
+   * @param {string} inputPath - Markdown file.
+   * @param {object} [config] - Settings for this file only, e.g. from `ProjectConfig.forFile()`.
+   * @returns {Promise<CheckProblem[]>} Problems ordered by line; empty when the file is fine.
+   */
+  async checkFile(inputPath, config) {
+    const context = {
+      filename: path.basename(inputPath),
+      baseDir: path.dirname(inputPath),
+      config: config ? { ...this.config, ...config } : this.config
+    };
+    let content;
+    try {
+      content = await this.readMarkdownFile(inputPath, context);
+    } catch (error) {
+      return [{ line: null, severity: 'error', message: error.message }];
+    }
+    return this.checkWithIncludes(content, { file: inputPath, baseDir: path.dirname(inputPath) }, context);
+  }
 
-    // Parse YAML front matter
-    const { data: frontMatter, content: contentWithoutFrontMatter } = matter(markdownContent);
-    const hasFrontMatter = Object.keys(frontMatter).length > 0;
-    if (hasFrontMatter) {
-      this.logger.info('YAML front matter detected', {
-        filename: this.currentFilename,
-        fields: Object.keys(frontMatter),
-        mode: this.frontMatterMode
-      });
+  /**
+   * Like `checkFile`, for in-memory markdown.
+   *
+   * @param {string|Buffer} markdown - Markdown source (UTF-8 when a Buffer).
+   * @param {object} [options]
+   * @param {string} [options.filename='stdin.md'] - Name used in logs and messages.
+   * @param {string} [options.baseDir] - Directory that includes resolve against.
+   * @param {object} [options.config] - Settings for this check only.
+   * @returns {Promise<CheckProblem[]>}
+   */
+  async checkMarkdown(markdown, { filename = 'stdin.md', baseDir = null, config } = {}) {
+    const context = { filename, baseDir, config: config ? { ...this.config, ...config } : this.config };
+    let content;
+    try {
+      content = this.readMarkdownSource(markdown, context);
+    } catch (error) {
+      return [{ line: null, severity: 'error', message: error.message }];
     }
+    return this.checkWithIncludes(content, { file: null, baseDir }, context, filename);
+  }
 
-    // Extract Mermaid diagrams from content (front matter already stripped)
-    const mermaidDiagrams = this.extractMermaidDiagrams(contentWithoutFrontMatter);
-    this.logger.debug('Extracted Mermaid diagrams', { filename: this.currentFilename, count: mermaidDiagrams.length });
+  /**
+   * Check `content` with its includes spliced in. When an include fails, the
+   * rest is checked without them, after the include problem.
+   */
+  async checkWithIncludes(content, source, context, filePath = source.file) {
+    const origins = [];
+    let expanded;
+    try {
+      expanded = await this.spliceIncludes(content, source, context, origins);
+    } catch (error) {
+      const problems = [{ line: error.line ?? null, severity: 'error', message: error.message }];
+      problems.push(...await this.checkMarkdownContent(content, filePath, context));
+      return problems.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    }
+    return this.checkMarkdownContent(expanded, filePath, context, origins);
+  }
+
+  /**
+   * @typedef {object} CheckProblem
+   * @property {number|null} line - 1-based source line, or null for problems with the whole file.
+   * @property {'error'|'warning'} severity - Errors fail a check run; warnings do not.
+   * @property {string} message - Description of the problem.
+   */
+  async checkMarkdownContent(content, filePath, context = {}, origins = null) {
+    const problems = [];
+
+    try {
+      this.validateMarkdownContent(content, filePath, context, origins);
+    } catch (error) {
+      problems.push({ line: null, severity: 'error', message: error.message });
+      if (!content || content.trim().length === 0) {
+        return problems;
+      }
+    }
+
+    let frontMatter = {};
+    try {
+      frontMatter = matter(content).data;
+    } catch (error) {
+      // js-yaml marks are 0-based within the block, which starts after the opening ---
+      const line = error.mark ? error.mark.line + 2 : 1;
+      problems.push({ line, severity: 'error', message: `Invalid front matter: ${error.reason || error.message}` });
+    }
+    for (const key of ['strict', 'toc', 'tocDepth', 'inlineImages']) {
+      try {
+        this.frontMatterSetting(frontMatter, key, context);
+      } catch (error) {
+        problems.push({ line: 1, severity: 'error', message: error.message });
+      }
+    }
+
+    problems.push(...this.checkRendering(content, context, origins));
+
+    const diagrams = this.extractMermaidDiagrams(content, context);
+    diagrams.forEach((diagram, index) => {
+      if (diagram.code.length > LARGE_DIAGRAM_SIZE) {
+        problems.push(largeDiagramProblem(diagram, index, origins));
+      }
+    });
+
+    if (diagrams.length > 0) {
+      try {
+        const parseErrors = await this.parseMermaidDiagrams(diagrams.map(diagram => diagram.code), context);
+        parseErrors.forEach((parseError, index) => {
+          if (!parseError) {
+            return;
+          }
+          const diagram = diagrams[index];
+          const message = `Mermaid diagram ${index + 1} (${diagram.type}) does not parse: ${parseError.split('\n')[0]}`;
+          problems.push(problemAt(origins, mermaidErrorLine(diagram, parseError), 'error', message));
+        });
+      } catch (error) {
+        problems.push({ line: null, severity: 'error', message: `Could not check Mermaid diagrams: ${error.message}` });
+      }
+    }
+
+    this.logger.debug('Markdown content checked', { filename: context.filename, problemCount: problems.length });
+    return problems.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  }
+
+  /**
+   * Render `content` to find problems that only show while rendering: math
+   * that does not render, equation references without a label, duplicate
+   * labels, and footnotes that are missing, unused or defined twice.
+   *
+   * @returns {CheckProblem[]}
+   */
+  checkRendering(content, context = {}, origins = null) {
+    let body = content;
+    let strict = this.configFor(context).strict;
+    try {
+      const parsed = matter(content);
+      body = parsed.content;
+      strict = this.isStrict(parsed.data, context);
+    } catch {
+      // Reported with the front matter; check the whole file
+    }
+    const lineOffset = content.split('\n').length - body.split('\n').length;
+    const rendering = createRenderState();
+    const renderContext = { filename: context.filename, baseDir: context.baseDir, config: context.config, diagnostics: [], rendering };
+    const { html } = this.renderMarkdownBody(body, renderContext, { lineOffset, origins });
+    return [
+      ...mathProblems(rendering.mathRenderer, rendering.mathRenderer.resolveReferences(html).missing, 'error'),
+      ...figureProblems(rendering.figures.resolve(html)),
+      ...assetProblems(rendering.assets, strict ? 'error' : 'warning'),
+      ...renderContext.diagnostics
+    ];
+  }
+
+  /**
+   * Run Mermaid's `parse()` on each diagram in a blank page.
+   *
+   * @param {string[]} codes - Diagram sources.
+   * @returns {Promise<(string|null)[]>} The parse error message per diagram, or null when it parses.
+   */
+  async parseMermaidDiagrams(codes, context = {}) {
+    await this.initializeBrowser();
+    let page = null;
+    try {
+      page = await this.browser.newPage();
+      this.pages.add(page);
+      await page.setContent('<!DOCTYPE html><html><head></head><body></body></html>');
+      await this.loadMermaidLibrary(page, context);
+
+      return await page.evaluate(async (diagramCodes) => {
+        const errors = [];
+        for (const code of diagramCodes) {
+          try {
+            await window.mermaid.parse(code);
+            errors.push(null);
+          } catch (error) {
+            errors.push(error.message || String(error));
+          }
+        }
+        return errors;
+      }, codes);
+    } finally {
+      await this.cleanupPage(page);
+    }
+  }
+
+  async processMarkdown(markdownContent, context = {}, { origins = null } = {}) {
+    this.logger.debug('Processing markdown content', { filename: context.filename });
+
+    const { data: frontMatter, content: contentWithoutFrontMatter } = this.parseFrontMatter(markdownContent, context);
+
+    context.rendering = createRenderState();
+    const { headingSlugger, figures } = context.rendering;
+    context.rendering.assets.reset({
+      inline: this.frontMatterSetting(frontMatter, 'inlineImages', context),
+      documentLink: context.documents ? (filePath, fragment) => context.documents.link(filePath, fragment) : null
+    });
+    // Diagram lines are reported in the source file, front matter included
+    const lineOffset = markdownContent.split('\n').length - contentWithoutFrontMatter.split('\n').length;
+    const { html: bodyHtml, mermaidDiagramCount } = this.renderMarkdownBody(contentWithoutFrontMatter, context, { lineOffset, origins });
+    let htmlContent = this.resolveMath(
+      this.resolveFigures(this.addTableOfContents(bodyHtml, frontMatter, context), context),
+      frontMatter,
+      context
+    );
+    this.reportMissingAssets(frontMatter, context);
+    if (context.documents) {
+      this.reportOutsideLinks('Links to markdown files outside the batch', context);
+      // Other documents of the batch may link to any heading or figure
+      htmlContent += renderLinkTargets([...headingSlugger.headings, ...figures.figures]);
+    }
+
+    const fullHtml = this.wrapInHtmlDocument(htmlContent, frontMatter, this.configFor(context));
+    this.logger.debug('HTML wrapped in complete document', { filename: context.filename });
 
-    let processedContent = contentWithoutFrontMatter;
-    for (let i = 0; i < mermaidDiagrams.length; i++) {
-      const diagram = mermaidDiagrams[i];
-      const placeholder = `\n\n<div class="mermaid-diagram" data-mermaid="${encodeURIComponent(diagram.code)}">\n<div class="mermaid-placeholder">Rendering diagram...</div>\n</div>\n\n`;
+    return { html: fullHtml, frontMatter, mermaidDiagramCount };
+  }
 
-      processedContent = processedContent.replace(diagram.fullMatch, placeholder);
-      this.logger.debug('Replaced Mermaid diagram with placeholder', { filename: this.currentFilename, index: i, type: diagram.type });
+  /**
+   * Render book chapters into one HTML document (see `convertBookToPdf`).
+   *
+   * @param {{ path: string, content: string, origins?: object[] }[]} sources - Chapters in reading order.
+   */
+  async processBook(sources, { frontMatterFrom } = {}, context = {}) {
+    this.logger.debug('Processing book chapters', { filename: context.filename, chapters: sources.length });
+
+    const chapters = sources.map(source => {
+      const parsed = this.parseFrontMatter(source.content, context);
+      const lineOffset = source.content.split('\n').length - parsed.content.split('\n').length;
+      return { path: source.path, lineOffset, origins: source.origins, ...parsed };
+    });
+    const metadataChapter = frontMatterFrom
+      ? chapters.find(chapter => path.resolve(chapter.path) === path.resolve(frontMatterFrom))
+      : chapters[0];
+    if (!metadataChapter) {
+      throw new Error(`Front matter source is not one of the book chapters: ${frontMatterFrom}`);
     }
 
-    headingSlugger.reset();
-    const htmlContent = marked(processedContent);
-    this.logger.debug('Markdown converted to HTML', { filename: this.currentFilename });
+    // One rendering state for the whole book keeps heading IDs unique across chapters
+    context.rendering = createRenderState();
+    const { headingSlugger } = context.rendering;
+    // Links to other chapters are resolved once every chapter's heading IDs are known
+    const chapterLinks = [];
+    const chapterPaths = new Set(chapters.map(chapter => path.resolve(chapter.path)));
+    context.rendering.assets.reset({
+      inline: this.frontMatterSetting(metadataChapter.data, 'inlineImages', context),
+      documentLink: (filePath, fragment) => {
+        if (!chapterPaths.has(filePath)) {
+          return null;
+        }
+        chapterLinks.push({ filePath, fragment });
+        return `#${CHAPTER_LINK}${chapterLinks.length - 1}`;
+      }
+    });
+    let mermaidDiagramCount = 0;
+    const chapterTargets = new Map();
+    const sections = chapters.map(chapter => {
+      const chapterName = path.basename(chapter.path).replace(/\.(md|markdown)$/i, '');
+      const chapterId = headingSlugger.slug(`chapter-${chapterName}`);
+      const headingsStart = headingSlugger.headings.length;
+      const body = this.renderMarkdownBody(chapter.content, context, { lineOffset: chapter.lineOffset, source: chapter.path, origins: chapter.origins });
+      mermaidDiagramCount += body.mermaidDiagramCount;
+      chapterTargets.set(path.resolve(chapter.path), { id: chapterId, headings: headingSlugger.headings.slice(headingsStart) });
+      return `<section class="book-chapter" id="${chapterId}">\n${body.html}</section>`;
+    });
 
-    const fullHtml = this.wrapInHtmlDocument(htmlContent, frontMatter);
-    this.logger.debug('HTML wrapped in complete document', { filename: this.currentFilename });
+    const bookHtml = this.resolveMath(
+      this.resolveFigures(
+        this.addTableOfContents(this.resolveChapterLinks(sections.join('\n'), chapterLinks, chapterTargets), metadataChapter.data, context),
+        context
+      ),
+      metadataChapter.data,
+      context
+    );
+    this.reportMissingAssets(metadataChapter.data, context);
+    this.reportOutsideLinks('Links to markdown files that are not chapters of the book', context);
+    const fullHtml = this.wrapInHtmlDocument(bookHtml, metadataChapter.data, this.configFor(context));
+    this.logger.debug('Book chapters wrapped in complete document', {
+      filename: context.filename,
+      frontMatterFrom: metadataChapter.path,
+      mermaidDiagramCount
+    });
 
-    return { html: fullHtml, frontMatter, mermaidDiagramCount: mermaidDiagrams.length };
+    return { html: fullHtml, frontMatter: metadataChapter.data, mermaidDiagramCount };
   }
 
-  extractMermaidDiagrams(markdownContent) {
-    const diagrams = [];
-    // Support both standard mermaid syntax and pandoc syntax with attributes
-    const mermaidRegex = /```(?:mermaid|{[^}]*\.mermaid[^}]*})\s*\n([\s\S]*?)\n```/g;
-    let match;
+  /**
+   * Point the placeholder links to other chapters at the chapter, or at the
+   * heading their `#anchor` names. Anchors are the IDs the heading would have
+   * in its own file, which can differ in the book when another chapter has a
+   * heading with the same text; other anchors are kept as written.
+   *
+   * @param {{ filePath: string, fragment: string }[]} chapterLinks - Placeholder `n` links to `chapterLinks[n]`.
+   * @param {Map<string, { id: string, headings: object[] }>} chapterTargets - Chapter path → its section ID and headings.
+   */
+  resolveChapterLinks(html, chapterLinks, chapterTargets) {
+    const anchors = new Map();
+    const anchorsOf = (filePath) => {
+      if (!anchors.has(filePath)) {
+        const slugger = createHeadingSlugger();
+        anchors.set(filePath, new Map(chapterTargets.get(filePath).headings.map(({ raw, id }) => [slugger.slug(raw), id])));
+      }
+      return anchors.get(filePath);
+    };
 
-    while ((match = mermaidRegex.exec(markdownContent)) !== null) {
-      diagrams.push({
-        fullMatch: match[0],
-        code: match[1].trim(),
-        type: this.detectDiagramType(match[1])
+    return html.replace(new RegExp(`href="#${CHAPTER_LINK}(\\d+)"`, 'g'), (match, index) => {
+      const { filePath, fragment } = chapterLinks[Number(index)];
+      if (!fragment || fragment === '#') {
+        return `href="#${chapterTargets.get(filePath).id}"`;
+      }
+      let anchor = fragment.slice(1);
+      try {
+        anchor = decodeURIComponent(anchor);
+      } catch {
+        // A stray % is taken literally
+      }
+      const id = anchorsOf(filePath).get(anchor);
+      return `href="#${id || encodeURI(anchor)}"`;
+    });
+  }
+
+  /**
+   * Log the links to markdown files that are not converted along with this
+   * one; they stay links to the markdown file.
+   */
+  reportOutsideLinks(message, context = {}) {
+    const { assets } = context.rendering;
+    if (assets.outside.length === 0) {
+      return;
+    }
+    this.logger.warn(message, {
+      filename: context.filename,
+      links: assets.outside.map(({ href, source, line }) => ({ href, source, line }))
+    });
+  }
+
+  parseFrontMatter(markdownContent, context = {}) {
+    // Parse YAML front matter
+    const parsed = matter(markdownContent);
+    if (Object.keys(parsed.data).length > 0) {
+      this.logger.info('YAML front matter detected', {
+        filename: context.filename,
+        fields: Object.keys(parsed.data),
+        mode: this.configFor(context).frontMatterMode
       });
     }
+    return parsed;
+  }
+
+  /**
+   * Render markdown (front matter already stripped) to an HTML fragment with
+   * placeholders for the Mermaid diagrams. Heading IDs, numbering and the other
+   * state continue from `context.rendering`; callers create it once per output
+   * document (see `createRenderState`).
+   * `lineOffset` is the number of front matter lines stripped from `content`;
+   * `source` names the chapter file in book mode. Local images and links
+   * resolve against the directory of `source`, else `context.baseDir`.
+   * `origins` are where the lines came from when includes were spliced in
+   * (see `spliceIncludes`); problems in included lines name their file.
+   */
+  renderMarkdownBody(content, context = {}, { lineOffset = 0, source = null, origins = null } = {}) {
+    const config = this.configFor(context);
+    const { markdown, mathRenderer, footnotes, assets, figures, codeBlockDefaults } = context.rendering;
+    // `lexer` and `parser` do not merge their options with the instance's extensions
+    const markedOptions = { ...markdown.defaults, breaks: config.markdownBreaks, gfm: true };
+    footnotes.reset();
+    const tokens = markdown.lexer(content, markedOptions);
+
+    // Extract Mermaid diagrams from content (front matter already stripped)
+    const mermaidDiagrams = this.extractMermaidDiagrams(content, context, tokens);
+    this.logger.debug('Extracted Mermaid diagrams', { filename: context.filename, count: mermaidDiagrams.length });
+    // Kept in document order, so render failures can be traced back to the source
+    context.mermaidDiagrams?.push(...mermaidDiagrams.map(diagram => ({ type: diagram.type, ...traceLine(origins, diagram.line + lineOffset), source })));
+
+    const firstDiagram = (context.mermaidDiagrams?.length ?? mermaidDiagrams.length) - mermaidDiagrams.length;
+    mermaidDiagrams.forEach((diagram, i) => {
+      diagram.problems.forEach(problem => {
+        const diagnostic = problemAt(origins, diagram.line + lineOffset, 'warning', `Mermaid diagram ${firstDiagram + i + 1}: ${problem}; the attribute is ignored`);
+        this.logger.warn('Invalid diagram attribute', { filename: context.filename, line: diagnostic.line, problem });
+        context.diagnostics?.push(diagnostic);
+      });
+      if (diagram.options.landscape) {
+        context.landscapePages = true;
+      }
+      // The block itself becomes the placeholder, so identical diagrams each keep their place
+      Object.assign(diagram.token, { type: 'html', block: true, pre: false, text: renderDiagramPlaceholder(diagram.code, diagram.options) });
+      this.logger.debug('Replaced Mermaid diagram with placeholder', { filename: context.filename, index: i, type: diagram.type });
+    });
+
+    codeBlockDefaults.lineNumbers = config.lineNumbers;
+    const mathStart = {
+      errors: mathRenderer.errors.length,
+      references: mathRenderer.references.length,
+      duplicates: mathRenderer.duplicates.length
+    };
+    assets.baseDir = source ? path.dirname(source) : context.baseDir || null;
+    const assetsStart = assets.missing.length;
+    const outsideStart = assets.outside.length;
+    const referencesStart = figures.references.length;
+    const idsStart = figures.ids.length;
+    markdown.walkTokens(tokens, markedOptions.walkTokens);
+    // Footnotes go at the end of the document, or of the chapter in book mode
+    const html = markdown.parser(tokens, markedOptions) + footnotes.renderSection();
+    this.logger.debug('Markdown converted to HTML', { filename: context.filename });
+    context.diagnostics?.push(...footnotes.problems(content, lineOffset).map(({ line, severity, message }) => problemAt(origins, line, severity, message)));
+
+    // Math problems are reported once the document is complete; note where they are now
+    const locate = (entries) => locateInSource(entries, content, lineOffset).forEach(entry => {
+      Object.assign(entry, traceLine(origins, entry.line), { source });
+    });
+    for (const [list, start] of Object.entries(mathStart)) {
+      locate(mathRenderer[list].slice(start));
+    }
+    locate(assets.missing.slice(assetsStart));
+    locate(assets.outside.slice(outsideStart));
+    locate(figures.references.slice(referencesStart));
+    locate(figures.ids.slice(idsStart));
+
+    return { html, mermaidDiagramCount: mermaidDiagrams.length };
+  }
+
+  /**
+   * Find the Mermaid diagrams of `markdownContent`: fenced code blocks marked
+   * `mermaid` or `{.mermaid}`, also inside lists and blockquotes.
+   *
+   * @param {object[]} [tokens] - The content already lexed by `marked`; each diagram keeps its `token`.
+   *   Without them the content is lexed with a rendering state of its own.
+   * @returns {{ token: object, info: string, code: string, type: string, line: number, options: object, problems: string[] }[]}
+   *   `line` is the 1-based line of the opening fence; `options` and `problems` come from its attributes
+   *   (see `parseDiagramOptions`).
+   */
+  extractMermaidDiagrams(markdownContent, context = {}, tokens = null) {
+    if (!tokens) {
+      const { markdown } = createRenderState();
+      tokens = markdown.lexer(markdownContent, { ...markdown.defaults, gfm: true });
+    }
+    const diagrams = findMermaidBlocks(tokens).map(({ token, line }) => ({
+      token,
+      info: token.lang,
+      code: token.text.trim(),
+      type: this.detectDiagramType(token.text),
+      line,
+      ...parseDiagramOptions(token.lang)
+    }));
 
     this.logger.debug('Mermaid diagrams extracted', {
-      filename: this.currentFilename,
+      filename: context.filename,
       count: diagrams.length,
       types: diagrams.map(d => d.type)
     });
@@ -337,7 +1357,7 @@ class MarkdownConverter {
     return 'unknown';
   }
 
-  wrapInHtmlDocument(htmlContent, frontMatter = {}) {
+  wrapInHtmlDocument(htmlContent, frontMatter = {}, config = this.config) {
     const css = `
       <style>
         body {
@@ -373,13 +1393,55 @@ class MarkdownConverter {
           background-color: #f6f8fa;
           padding: 16px;
           border-radius: 6px;
-          overflow-x: auto;
           margin: 1em 0;
+          /* A PDF cannot scroll, so long lines wrap */
+          white-space: pre-wrap;
+          overflow-wrap: anywhere;
         }
         
-        pre code {
+        pre code,
+        pre code.hljs {
+          display: block;
           background-color: transparent;
           padding: 0;
+          overflow: visible;
+        }
+
+        .code-line {
+          display: block;
+        }
+
+        /* Keeps empty lines one line high */
+        .code-line::after {
+          content: "\\200b";
+        }
+
+        .code-line-highlighted {
+          background-color: #fff8c5;
+          margin: 0 -16px;
+          padding: 0 16px;
+        }
+
+        .line-numbers .code-line {
+          position: relative;
+          padding-left: 3em;
+        }
+
+        .line-numbers .code-line-highlighted {
+          padding-left: calc(3em + 16px);
+        }
+
+        .line-numbers .code-line::before {
+          content: attr(data-line);
+          position: absolute;
+          left: 0;
+          width: 2.2em;
+          text-align: right;
+          color: #999;
+        }
+
+        .line-numbers .code-line-highlighted::before {
+          left: 16px;
         }
         
         blockquote {
@@ -388,6 +1450,59 @@ class MarkdownConverter {
           padding-left: 1em;
           color: #666;
         }
+
+        .alert {
+          margin: 1em 0;
+          padding: 0.5em 1em;
+          border-left: 4px solid var(--alert-color);
+          border-radius: 0 6px 6px 0;
+          background-color: #f6f8fa;
+          break-inside: avoid;
+        }
+
+        .alert > :last-child { margin-bottom: 0; }
+
+        .alert-title {
+          margin: 0 0 0.4em 0;
+          font-weight: 600;
+          color: var(--alert-color);
+        }
+
+        .alert-note { --alert-color: #0969da; }
+        .alert-tip { --alert-color: #1a7f37; }
+        .alert-important { --alert-color: #8250df; }
+        .alert-warning { --alert-color: #9a6700; }
+        .alert-caution { --alert-color: #cf222e; }
+
+        dl { margin: 1em 0; }
+
+        dt {
+          font-weight: 600;
+          color: #2c3e50;
+          margin-top: 0.8em;
+        }
+
+        dd {
+          margin: 0.2em 0 0 1.5em;
+        }
+
+        dd > p:first-child { margin-top: 0; }
+
+        /* [href] outranks the link rules further down */
+        .footnote-ref a[href],
+        a.footnote-backref[href] {
+          text-decoration: none;
+        }
+
+        .footnotes {
+          margin-top: 2em;
+          padding-top: 0.5em;
+          border-top: 1px solid #eee;
+          font-size: 0.9em;
+          color: #555;
+        }
+
+        .footnotes p { margin: 0.3em 0; }
         
         table {
           border-collapse: collapse;
@@ -464,6 +1579,94 @@ class MarkdownConverter {
           }
         }
 
+        .book-chapter + .book-chapter {
+          break-before: page;
+        }
+
+        .toc {
+          margin: 1em 0 2em 0;
+        }
+
+        .toc-title {
+          font-size: 1.25em;
+          font-weight: 600;
+          color: #2c3e50;
+          margin-bottom: 0.5em;
+        }
+
+        .toc ul {
+          list-style: none;
+          padding-left: 0;
+        }
+
+        .toc li {
+          margin-bottom: 0.25em;
+          break-inside: avoid;
+        }
+
+        .toc a[href^="#"] {
+          display: flex;
+          align-items: baseline;
+          color: inherit;
+          text-decoration: none;
+        }
+
+        .toc a[href^="#"]::before {
+          content: "";
+          order: 1;
+          flex: 1;
+          margin: 0 0.4em;
+          border-bottom: 1px dotted #bbb;
+        }
+
+        .toc-page {
+          order: 2;
+          min-width: 2.5em;
+          text-align: right;
+          font-variant-numeric: tabular-nums;
+        }
+
+        .toc-level-1 { font-weight: 600; }
+        .toc-level-2 { padding-left: 1.5em; }
+        .toc-level-3 { padding-left: 3em; }
+        .toc-level-4 { padding-left: 4.5em; }
+        .toc-level-5 { padding-left: 6em; }
+        .toc-level-6 { padding-left: 7.5em; }
+
+        .image-figure {
+          margin: 1.5em 0;
+          text-align: center;
+          break-inside: avoid;
+        }
+
+        .image-figure figcaption {
+          margin-top: 0.5em;
+          font-size: 0.9em;
+          color: #555;
+        }
+
+        .figure-label {
+          font-weight: 600;
+        }
+
+        .math-display {
+          display: block;
+          max-width: 100%;
+          break-inside: avoid;
+        }
+
+        a.math-ref[href] {
+          color: inherit;
+          text-decoration: none;
+        }
+
+        .math-error {
+          color: #c0392b;
+          font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+          font-size: 0.9em;
+          border-bottom: 1px dotted #c0392b;
+        }
+
         .front-matter-header {
           margin-bottom: 2em;
           padding-bottom: 1.5em;
@@ -520,7 +1723,7 @@ class MarkdownConverter {
     const documentTitle = frontMatter.title ? escapeHtml(frontMatter.title) : 'Markdown to PDF';
 
     let titleBlockHtml = '';
-    if (this.frontMatterMode === 'styled' && Object.keys(frontMatter).length > 0) {
+    if (config.frontMatterMode === 'styled' && Object.keys(frontMatter).length > 0) {
       const parts = [];
       if (frontMatter.title) {
         parts.push(`<h1 class="front-matter-title">${escapeHtml(frontMatter.title)}</h1>`);
@@ -549,6 +1752,9 @@ class MarkdownConverter {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${documentTitle}</title>
+    <style>${codeThemeCss(config.codeTheme)}</style>
+    ${/class="math[ "]/.test(htmlContent) ? `<style>${mathCss()}</style>` : ''}
+    ${/class="mermaid-figure[ "]/.test(htmlContent) ? `<style>${diagramCss(config.pdfFormat)}</style>` : ''}
     ${css}
 </head>
 <body>
@@ -558,16 +1764,19 @@ class MarkdownConverter {
 </html>`;
   }
 
-  getMermaidCdnUrl() {
-    const mermaidVersion = process.env.MERMAID_VERSION || '10.6.1';
-    return `https://cdn.jsdelivr.net/npm/mermaid@${mermaidVersion}/dist/mermaid.min.js`;
+  getMermaidVersion(config = this.config) {
+    return config.mermaidVersion;
+  }
+
+  getMermaidCdnUrl(config = this.config) {
+    return `https://cdn.jsdelivr.net/npm/mermaid@${this.getMermaidVersion(config)}/dist/mermaid.min.js`;
   }
 
-  getMermaidLocalPath() {
-    // 1. Check environment variable override
-    const envPath = process.env.MERMAID_JS_PATH;
-    if (envPath && fs.existsSync(envPath)) {
-      return envPath;
+  getMermaidLocalPath(config = this.config) {
+    // 1. Check configured override (MERMAID_JS_PATH)
+    const configuredPath = config.mermaidJsPath;
+    if (configuredPath && fs.existsSync(configuredPath)) {
+      return configuredPath;
     }
 
     // 2. Check common local paths (Docker image bundles mermaid here)
@@ -585,9 +1794,9 @@ class MarkdownConverter {
     return null;
   }
 
-  async loadMermaidLibrary(page) {
-    const cdnUrl = this.getMermaidCdnUrl();
-    const localPath = this.getMermaidLocalPath();
+  async loadMermaidLibrary(page, context = {}) {
+    const cdnUrl = this.getMermaidCdnUrl(this.configFor(context));
+    const localPath = this.getMermaidLocalPath(this.configFor(context));
 
     // Try CDN first, then fall back to local bundle
     const sources = [
@@ -610,21 +1819,16 @@ class MarkdownConverter {
         await page.waitForFunction(() => typeof window.mermaid !== 'undefined', { timeout: 5000 });
 
         // Initialize mermaid
-        await page.evaluate(() => {
-          window.mermaid.initialize({
-            startOnLoad: false,
-            theme: 'default',
-            securityLevel: 'loose',
-            fontFamily: 'Arial, sans-serif'
-          });
-        });
+        await page.evaluate((mermaidConfig) => {
+          window.mermaid.initialize(mermaidConfig);
+        }, MERMAID_CONFIG);
 
         this.logger.debug('Mermaid loaded successfully', { source: source.type, value: source.value });
         return; // Success
       } catch (error) {
         lastError = error;
         this.logger.warn(`Mermaid loading from ${source.type} failed, ${sources.indexOf(source) < sources.length - 1 ? 'trying fallback' : 'no more sources'}`, {
-          filename: this.currentFilename,
+          filename: context.filename,
           error: error.message,
           source: source.type,
           value: source.value
@@ -635,9 +1839,54 @@ class MarkdownConverter {
     throw new Error(`Failed to load Mermaid library from all sources: ${lastError.message}`);
   }
 
-  async generatePdf(htmlContent, outputPath, frontMatter = {}, mermaidDiagramCount = 0) {
+  /**
+   * Check that Chromium can open a page and Mermaid loads and renders in it,
+   * for health endpoints. Starts the browser if it is not running yet.
+   *
+   * @returns {Promise<{ ok: boolean, chromium: object, mermaid: object }>} `ok` is true when both
+   *   `chromium` and `mermaid` are `{ ok: true, version }`; a failed part carries `error` instead.
+   */
+  async checkHealth() {
+    const health = {
+      ok: false,
+      chromium: { ok: false },
+      mermaid: { ok: false, version: this.getMermaidVersion() }
+    };
+
+    let page = null;
+    try {
+      await this.initializeBrowser();
+      page = await this.browser.newPage();
+      this.pages.add(page);
+      health.chromium = { ok: true, version: await this.browser.version() };
+
+      try {
+        await page.setContent('<!DOCTYPE html><html><head></head><body></body></html>');
+        await this.loadMermaidLibrary(page, { filename: 'health-check' });
+        await page.evaluate(() => window.mermaid.render('mermaid-health-check', 'graph TD\n  A-->B'));
+        health.mermaid.ok = true;
+      } catch (error) {
+        health.mermaid.error = error.message;
+      }
+    } catch (error) {
+      health.chromium.error = error.message;
+    } finally {
+      await this.cleanupPage(page);
+    }
+
+    health.ok = health.chromium.ok && health.mermaid.ok;
+    this.logger.debug('Health checked', { ok: health.ok, chromium: health.chromium.ok, mermaid: health.mermaid.ok });
+    return health;
+  }
+
+  /**
+   * Render the HTML document to PDF in a fresh page.
+   *
+   * @returns {Promise<Buffer>} The PDF bytes, also written to `outputPath` when one is given.
+   */
+  async generatePdf(htmlContent, outputPath, frontMatter = {}, mermaidDiagramCount = 0, context = {}) {
     const pdfStartTime = Date.now();
-    this.logger.debug('Creating new page for PDF generation', { filename: this.currentFilename });
+    this.logger.debug('Creating new page for PDF generation', { filename: context.filename });
 
     const pdfTiming = {
       pageCreate: 0,
@@ -647,24 +1896,43 @@ class MarkdownConverter {
       pdfGeneration: 0,
       metadataEmbed: 0
     };
+    context.pdfTiming = pdfTiming;
+    context.diagrams = { total: mermaidDiagramCount, rendered: 0, failed: 0 };
+    const strict = this.isStrict(frontMatter, context);
 
+    let page = null;
     try {
       // Create a new page for this conversion
       const pageStartTime = Date.now();
-      this.page = await this.browser.newPage();
+      // The browser may have crashed since the conversion started
+      await this.initializeBrowser();
+      this.assertNotCancelled(context);
+      page = await this.browser.newPage();
+      this.pages.add(page);
+      context.page = page;
+      this.assertNotCancelled(context);
       pdfTiming.pageCreate = Date.now() - pageStartTime;
       this.logger.debug('Page created', {
-        filename: this.currentFilename,
+        filename: context.filename,
         duration: pdfTiming.pageCreate,
         durationFormatted: this.formatDuration(pdfTiming.pageCreate)
       });
 
-      // Set content and wait for any dynamic content
+      // Set content and wait for any dynamic content. With a base directory the
+      // page first opens that directory, so the document gets its file:// URL:
+      // relative images load from there and #anchor links stay internal.
       const contentStartTime = Date.now();
-      await this.page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      if (context.baseDir) {
+        await page.goto(pathToFileURL(path.resolve(context.baseDir) + path.sep).href);
+      }
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      if (htmlContent.includes('class="math ')) {
+        // The math fonts are inlined, so no network request is left to wait for
+        await page.evaluate(() => document.fonts.ready.then(() => undefined));
+      }
       pdfTiming.contentSet = Date.now() - contentStartTime;
       this.logger.debug('HTML content set in page', {
-        filename: this.currentFilename,
+        filename: context.filename,
         duration: pdfTiming.contentSet,
         durationFormatted: this.formatDuration(pdfTiming.contentSet)
       });
@@ -672,10 +1940,10 @@ class MarkdownConverter {
       // Load and render Mermaid diagrams (only when diagrams are present)
       if (mermaidDiagramCount > 0) {
         const mermaidLoadStartTime = Date.now();
-        await this.loadMermaidLibrary(this.page);
+        await this.loadMermaidLibrary(page, context);
         pdfTiming.mermaidLoad = Date.now() - mermaidLoadStartTime;
         this.logger.debug('Mermaid library loaded', {
-          filename: this.currentFilename,
+          filename: context.filename,
           duration: pdfTiming.mermaidLoad,
           durationFormatted: this.formatDuration(pdfTiming.mermaidLoad)
         });
@@ -683,7 +1951,7 @@ class MarkdownConverter {
         // Add debug output to the page for troubleshooting (only if debug is enabled)
         const debugEnabled = process.env.MARKDOWN_MERMAIDJS_TO_PDF_DEBUG === '1' || process.env.MARKDOWN_MERMAIDJS_TO_PDF_DEBUG === 'true';
         if (debugEnabled) {
-          await this.page.evaluate(() => {
+          await page.evaluate(() => {
             if (!document.getElementById('mermaid-debug-info')) {
               const debugDiv = document.createElement('div');
               debugDiv.id = 'mermaid-debug-info';
@@ -696,16 +1964,17 @@ class MarkdownConverter {
 
         // Progressive Mermaid diagram rendering - render diagrams one by one
         const diagramStartTime = Date.now();
-        const renderStatus = await this.page.evaluate(async (debugEnabled) => {
+        const renderStatus = await page.evaluate(async (debugEnabled, mermaidConfig) => {
           const diagrams = document.querySelectorAll('.mermaid-diagram');
           const debugDiv = document.getElementById('mermaid-debug-info');
 
           if (diagrams.length === 0) {
             if (debugEnabled && debugDiv) {debugDiv.innerText = 'Mermaid: No diagrams found.';}
-            return { total: 0, rendered: 0, failed: 0 };
+            return { total: 0, rendered: 0, failed: 0, errors: [] };
           }
 
           let rendered = 0, failed = 0;
+          const errors = [];
 
           // Render each diagram individually
           for (let i = 0; i < diagrams.length; i++) {
@@ -716,8 +1985,12 @@ class MarkdownConverter {
               debugDiv.innerText = `Mermaid: Rendering diagram ${i + 1}/${diagrams.length}...`;
             }
 
+            const theme = diagram.getAttribute('data-mermaid-theme');
             try {
-              // Render the diagram
+              // Render the diagram, in its own theme when it has one
+              if (theme) {
+                window.mermaid.initialize({ ...mermaidConfig, theme });
+              }
               const result = await window.mermaid.render(`mermaid-${Date.now()}-${i}`, code);
               diagram.innerHTML = result.svg;
               rendered++;
@@ -729,10 +2002,15 @@ class MarkdownConverter {
               // Show error for this diagram
               diagram.innerHTML = `<div style="color: red; border: 1px solid red; padding: 10px;">Mermaid Diagram Error: ${error.message}</div>`;
               failed++;
+              errors.push({ index: i, message: error.message || String(error) });
 
               if (debugEnabled && debugDiv) {
                 debugDiv.innerText = `Mermaid: Diagram ${i + 1} failed, continuing...`;
               }
+            } finally {
+              if (theme) {
+                window.mermaid.initialize(mermaidConfig);
+              }
             }
 
             // Small delay to prevent overwhelming the browser
@@ -743,11 +2021,24 @@ class MarkdownConverter {
             debugDiv.innerText = `Mermaid: ${diagrams.length} diagrams processed (${rendered} rendered, ${failed} failed).`;
           }
 
-          return { total: diagrams.length, rendered, failed };
-        }, debugEnabled);
+          return { total: diagrams.length, rendered, failed, errors };
+        }, debugEnabled, MERMAID_CONFIG);
 
+        context.diagrams = { total: renderStatus.total, rendered: renderStatus.rendered, failed: renderStatus.failed };
+        const failures = (renderStatus.errors || []).map(({ index, message }) => {
+          const diagram = (context.mermaidDiagrams || [])[index] || { type: 'unknown', line: null, source: null, included: null };
+          context.diagnostics?.push({
+            line: diagram.line,
+            severity: strict ? 'error' : 'warning',
+            message: `Mermaid diagram ${index + 1} (${diagram.type}) failed to render: ${String(message).split('\n')[0]}${includedIn(diagram.included)}`
+          });
+          // Mermaid's "on line N" counts within the diagram, wherever the diagram was written
+          const included = diagram.included ? { ...diagram.included, line: mermaidErrorLine(diagram.included, message) } : null;
+          const line = included ? diagram.line : mermaidErrorLine(diagram, message);
+          return { index, type: diagram.type, line, source: diagram.source || null, included, message };
+        });
         this.logger.info('Progressive Mermaid rendering completed', {
-          filename: this.currentFilename,
+          filename: context.filename,
           totalDiagrams: renderStatus.total,
           renderedDiagrams: renderStatus.rendered,
           failedDiagrams: renderStatus.failed
@@ -755,7 +2046,7 @@ class MarkdownConverter {
 
         // Update debug output to show final status (only if debug is enabled)
         if (debugEnabled) {
-          await this.page.evaluate(() => {
+          await page.evaluate(() => {
             const diagrams = document.querySelectorAll('.mermaid-diagram');
             const debugDiv = document.getElementById('mermaid-debug-info');
             let rendered = 0, failed = 0;
@@ -770,78 +2061,210 @@ class MarkdownConverter {
         }
         pdfTiming.diagramRender = Date.now() - diagramStartTime;
         this.logger.debug('Mermaid diagrams rendered', {
-          filename: this.currentFilename,
+          filename: context.filename,
           duration: pdfTiming.diagramRender,
           durationFormatted: this.formatDuration(pdfTiming.diagramRender)
         });
+
+        // Strict documents never ship with an error box in place of a diagram
+        if (strict && renderStatus.failed > 0) {
+          throw diagramRenderError(renderStatus.failed, failures);
+        }
       } else {
-        this.logger.debug('No Mermaid diagrams found, skipping Mermaid loading', { filename: this.currentFilename });
+        this.logger.debug('No Mermaid diagrams found, skipping Mermaid loading', { filename: context.filename });
         pdfTiming.mermaidLoad = 0;
         pdfTiming.diagramRender = 0;
       }
 
       // Generate PDF with configurable options
       const pdfGenStartTime = Date.now();
+      const { pdfFormat, pdfMargin } = this.configFor(context);
+      if (htmlContent.includes('class="math math-display"')) {
+        await this.fitDisplayMath(page, pdfFormat, pdfMargin);
+      }
       const pdfOptions = {
-        path: outputPath,
-        format: process.env.PDF_FORMAT || 'A4',
-        margin: {
-          top: process.env.PDF_MARGIN_TOP || '1in',
-          right: process.env.PDF_MARGIN_RIGHT || '1in',
-          bottom: process.env.PDF_MARGIN_BOTTOM || '1in',
-          left: process.env.PDF_MARGIN_LEFT || '1in'
-        },
+        format: pdfFormat,
+        margin: { ...pdfMargin },
         printBackground: true,
         displayHeaderFooter: false,
-        tagged: true
+        tagged: true,
+        // Landscape diagrams need the page sizes of their CSS named pages
+        ...(context.landscapePages ? { preferCSSPageSize: true } : {})
       };
 
-      this.logger.debug('Generating PDF with options', { filename: this.currentFilename, ...pdfOptions });
-      await this.page.pdf(pdfOptions);
+      this.logger.debug('Generating PDF with options', { filename: context.filename, ...pdfOptions });
+      let renderedPdf = await page.pdf(pdfOptions);
+      if (context.tableOfContents) {
+        renderedPdf = await this.fillTableOfContents(page, renderedPdf, pdfOptions, context);
+      }
+      if (context.documents && outputPath) {
+        renderedPdf = await this.linkDocuments(renderedPdf, outputPath, context);
+      }
       pdfTiming.pdfGeneration = Date.now() - pdfGenStartTime;
 
       // Embed PDF document metadata from front matter
       const metadataStartTime = Date.now();
-      await this.embedPdfMetadata(outputPath, frontMatter);
+      const pdfBytes = Buffer.from(await this.applyPdfMetadata(renderedPdf, frontMatter, context));
       pdfTiming.metadataEmbed = Date.now() - metadataStartTime;
 
+      this.assertNotCancelled(context);
+      if (outputPath) {
+        await fs.writeFile(outputPath, pdfBytes);
+      }
+
       const totalPdfTime = Date.now() - pdfStartTime;
       this.logger.info('PDF generated successfully', {
-        filename: this.currentFilename,
+        filename: context.filename,
         outputPath,
         pdfTiming,
         totalPdfTime,
         totalPdfTimeFormatted: this.formatDuration(totalPdfTime)
       });
 
+      return pdfBytes;
     } catch (error) {
       const totalPdfTime = Date.now() - pdfStartTime;
       this.logger.error('PDF generation failed', {
-        filename: this.currentFilename,
+        filename: context.filename,
         error: error.message,
         stack: error.stack,
         pdfTiming,
         totalPdfTime,
         totalPdfTimeFormatted: this.formatDuration(totalPdfTime)
       });
-      throw new Error(`PDF generation failed: ${error.message}`);
+      // Errors with a code keep it, so timeouts are retried and strict failures reported as such
+      if (error.code) {
+        throw error;
+      }
+      throw new Error(`PDF generation failed: ${error.message}`, { cause: error });
+    } finally {
+      await this.cleanupPage(page);
     }
   }
 
-  async embedPdfMetadata(outputPath, frontMatter) {
+  /**
+   * Shrink display math that is wider than its column, which would be cut
+   * off at the edge of the printed page. The page is laid out as it will be
+   * printed, at the width of the paper between its margins, and each equation
+   * that overflows gets a `zoom` that makes it fit; zoom, unlike a transform,
+   * also shrinks the space the equation takes up.
+   */
+  async fitDisplayMath(page, pdfFormat, pdfMargin) {
+    const [paperWidth] = paperSize(pdfFormat);
+    await page.emulateMediaType('print');
+    const textWidth = await page.evaluate((width) => {
+      const probe = document.createElement('div');
+      probe.style.width = width;
+      document.body.appendChild(probe);
+      const measured = probe.getBoundingClientRect().width;
+      probe.remove();
+      return measured;
+    }, `calc(${paperWidth}in - ${pdfMargin.left} - ${pdfMargin.right})`);
+    await page.setViewport({ ...page.viewport(), width: Math.max(1, Math.floor(textWidth)) });
+    await page.evaluate(() => {
+      document.querySelectorAll('.math-display').forEach(block => {
+        if (block.scrollWidth > block.clientWidth) {
+          block.style.zoom = String(block.clientWidth / block.scrollWidth);
+        }
+      });
+    });
+  }
+
+  /**
+   * Write the page number of each heading into the table of contents and
+   * print again. The numbers come from the named destinations of the first
+   * print, so they are the pages the headings really landed on; the slots
+   * have a fixed width, so filling them does not move anything.
+   */
+  async fillTableOfContents(page, pdfBytes, pdfOptions, context = {}) {
+    let destinations;
+    try {
+      destinations = await readNamedDestinations(pdfBytes);
+    } catch (error) {
+      this.logger.warn('Could not read heading pages for the table of contents', { filename: context.filename, error: error.message });
+      return pdfBytes;
+    }
+
+    const filled = await page.evaluate((pages) => {
+      let count = 0;
+      document.querySelectorAll('.toc-page[data-toc-target]').forEach(slot => {
+        const pageNumber = pages[slot.getAttribute('data-toc-target')];
+        if (pageNumber) {
+          slot.textContent = String(pageNumber);
+          count++;
+        }
+      });
+      return count;
+    }, Object.fromEntries(destinations));
+
+    this.logger.debug('Table of contents page numbers filled', { filename: context.filename, filled, destinations: destinations.size });
+    if (!filled) {
+      this.logger.warn('No heading pages found for the table of contents', { filename: context.filename });
+      return pdfBytes;
+    }
+    return page.pdf(pdfOptions);
+  }
+
+  /**
+   * Make the links to other documents of the batch open their PDF, relative
+   * to `outputPath`, at the heading they name.
+   */
+  async linkDocuments(pdfBytes, outputPath, context = {}) {
+    try {
+      const { pdf, rewritten } = await context.documents.rewritePdf(pdfBytes, outputPath);
+      this.logger.debug('Links to other documents rewritten', { filename: context.filename, rewritten });
+      return pdf;
+    } catch (error) {
+      this.logger.warn('Could not rewrite links to other documents', { filename: context.filename, error: error.message });
+      return pdfBytes;
+    }
+  }
+
+  async countPdfPages(pdfBytes, context = {}) {
+    try {
+      const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+      return pdfDoc.getPageCount();
+    } catch (error) {
+      this.logger.debug('Could not count PDF pages', { filename: context.filename, error: error.message });
+      return null;
+    }
+  }
+
+  async embedPdfMetadata(outputPath, frontMatter, context = {}) {
     const hasMeta = frontMatter && Object.keys(frontMatter).length > 0;
     if (!hasMeta) {
-      this.logger.debug('No front matter metadata to embed', { filename: this.currentFilename });
+      this.logger.debug('No front matter metadata to embed', { filename: context.filename });
       return;
     }
 
+    const pdfBytes = await fs.readFile(outputPath);
+    const modifiedPdfBytes = await this.applyPdfMetadata(pdfBytes, frontMatter, context);
+    if (modifiedPdfBytes !== pdfBytes) {
+      await fs.writeFile(outputPath, modifiedPdfBytes);
+    }
+  }
+
+  /**
+   * Embed front matter as PDF document properties.
+   *
+   * @param {Uint8Array} pdfBytes - Rendered PDF.
+   * @param {object} frontMatter - Parsed front matter.
+   * @returns {Promise<Uint8Array>} The updated PDF, or `pdfBytes` unchanged when there
+   *   is nothing to embed or embedding fails.
+   */
+  async applyPdfMetadata(pdfBytes, frontMatter, context = {}) {
+    const hasMeta = frontMatter && Object.keys(frontMatter).length > 0;
+    if (!hasMeta) {
+      this.logger.debug('No front matter metadata to embed', { filename: context.filename });
+      return pdfBytes;
+    }
+
     this.logger.debug('Embedding PDF metadata', {
-      filename: this.currentFilename,
+      filename: context.filename,
       fields: Object.keys(frontMatter)
     });
 
     try {
-      const pdfBytes = await fs.readFile(outputPath);
       const pdfDoc = await PDFDocument.load(pdfBytes);
       const pages = pdfDoc.getPages();
       const savedAnnotations = pages.map((p) => p.node.Annots());
@@ -879,44 +2302,48 @@ class MarkdownConverter {
       });
 
       const modifiedPdfBytes = await pdfDoc.save();
-      await fs.writeFile(outputPath, modifiedPdfBytes);
 
       this.logger.info('PDF metadata embedded successfully', {
-        filename: this.currentFilename,
+        filename: context.filename,
         title: frontMatter.title,
         author: frontMatter.author
       });
+      return modifiedPdfBytes;
     } catch (error) {
       this.logger.warn('Failed to embed PDF metadata, PDF was still generated', {
-        filename: this.currentFilename,
+        filename: context.filename,
         error: error.message
       });
+      return pdfBytes;
     }
   }
 
-  async cleanupPage() {
+  async cleanupPage(page) {
+    if (!page) {
+      return;
+    }
     this.logger.debug('Cleaning up page resources');
 
-    if (this.page) {
-      try {
-        await this.page.close();
-        this.page = null;
-        this.logger.debug('Page closed');
-      } catch (error) {
-        this.logger.warn('Error closing page', { error: error.message });
-      }
+    this.pages.delete(page);
+    try {
+      await page.close();
+      this.logger.debug('Page closed');
+    } catch (error) {
+      this.logger.warn('Error closing page', { error: error.message });
     }
   }
 
   async cleanup() {
     this.logger.debug('Cleaning up all resources');
 
-    await this.cleanupPage();
+    await Promise.all([...this.pages].map(page => this.cleanupPage(page)));
 
     if (this.browser) {
+      // Cleared first, so closing is not taken for a crash
+      const browser = this.browser;
+      this.browser = null;
       try {
-        await this.browser.close();
-        this.browser = null;
+        await browser.close();
         this.logger.debug('Browser closed');
       } catch (error) {
         this.logger.warn('Error closing browser', { error: error.message });
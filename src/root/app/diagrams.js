@@ -0,0 +1,197 @@
+const { parseFenceInfo } = require('./fence');
+
+// Mermaid's built-in themes
+const DIAGRAM_THEMES = ['default', 'neutral', 'dark', 'forest', 'base'];
+const ALIGNMENTS = ['left', 'center', 'right'];
+const WIDTH = /^\d+(\.\d+)?(%|px|em|rem|pt|cm|mm|in)$/;
+const ID = /^[A-Za-z][\w-]*$/;
+// Paper sizes of the `pdfFormat` setting as Chromium prints them, width and height in inches
+const PAPER_SIZES = {
+  letter: [8.5, 11],
+  legal: [8.5, 14],
+  tabloid: [11, 17],
+  ledger: [17, 11],
+  a0: [33.1, 46.8],
+  a1: [23.4, 33.1],
+  a2: [16.54, 23.4],
+  a3: [11.7, 16.54],
+  a4: [8.27, 11.7],
+  a5: [5.83, 8.27],
+  a6: [4.13, 5.83]
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Whether the info string of a fenced code block marks a Mermaid diagram:
+ * `mermaid`, or pandoc-style attributes with a `.mermaid` class such as
+ * `{.mermaid}` or `{.diagram .mermaid}`.
+ */
+function isMermaidFence(info) {
+  const { language, classes } = parseFenceInfo(info);
+  return language === 'mermaid' || classes.includes('mermaid');
+}
+
+function lineBreaks(text) {
+  return text.split('\n').length - 1;
+}
+
+// Token lists nested in `token` that can hold code blocks
+function childTokenLists(token) {
+  if (token.type === 'list') {
+    return [token.items];
+  }
+  if (token.type === 'definitionList') {
+    return token.items.flatMap(item => item.definitions.filter(definition => definition.block).map(definition => definition.tokens));
+  }
+  return Array.isArray(token.tokens) ? [token.tokens] : [];
+}
+
+/**
+ * Find the fenced Mermaid blocks in a `marked` token tree, wherever they are
+ * nested (list items, blockquotes, alerts, footnotes), with the 1-based line
+ * of each opening fence. Fences of any length and `~~~` fences count; a fence
+ * inside another code block is only text of that block.
+ *
+ * Tokens carry no positions, so lines are counted from their `raw` source.
+ * Containers strip their markers and indentation from the markdown they
+ * nest, but keep one line per line, so the first line of the nested tokens
+ * is looked up in the container's own lines.
+ *
+ * @param {object[]} tokens - Block tokens from `marked.lexer`.
+ * @returns {{ token: object, line: number }[]} In document order.
+ */
+function findMermaidBlocks(tokens) {
+  const blocks = [];
+
+  const walk = (list, firstLine) => {
+    let line = firstLine;
+    for (const token of list) {
+      if (token.type === 'code' && token.codeBlockStyle !== 'indented' && isMermaidFence(token.lang)) {
+        blocks.push({ token, line });
+      } else {
+        const rawLines = (token.raw || '').split('\n');
+        let from = 0;
+        for (const children of childTokenLists(token)) {
+          const firstChildLine = children.map(child => child.raw || '').join('').split('\n')[0];
+          const index = rawLines.findIndex((rawLine, i) => i >= from && rawLine.endsWith(firstChildLine));
+          from = index === -1 ? from : index;
+          walk(children, line + from);
+          from++;
+        }
+      }
+      line += lineBreaks(token.raw || '');
+    }
+  };
+
+  walk(tokens, 1);
+  return blocks;
+}
+
+/**
+ * Read the per-diagram options from the attributes of a Mermaid fence, such
+ * as `mermaid {width=60% align=left caption="Deployment" theme=forest #fig-arch landscape=true}`.
+ * Attributes with invalid values are left out and described in `problems`.
+ *
+ * @param {string} info - The fence's info string.
+ * @returns {{ options: { width?: string, align?: string, caption?: string, theme?: string, id?: string, landscape?: boolean },
+ *   problems: string[] }}
+ */
+function parseDiagramOptions(info) {
+  const { id, attributes } = parseFenceInfo(info);
+  const options = {};
+  const problems = [];
+  const check = (key, value, valid, expected) => {
+    if (valid) {
+      options[key] = value;
+    } else {
+      problems.push(`${key} "${value}" is not ${expected}`);
+    }
+  };
+
+  for (const [key, value] of Object.entries({ ...(id ? { id } : {}), ...attributes })) {
+    switch (key) {
+    case 'width':
+      check(key, value, WIDTH.test(value), 'a width such as 60% or 400px');
+      break;
+    case 'align':
+      check(key, value.toLowerCase(), ALIGNMENTS.includes(value.toLowerCase()), `one of ${ALIGNMENTS.join(', ')}`);
+      break;
+    case 'theme':
+      check(key, value.toLowerCase(), DIAGRAM_THEMES.includes(value.toLowerCase()), `one of ${DIAGRAM_THEMES.join(', ')}`);
+      break;
+    case 'id':
+      check(key, value, ID.test(value), 'an ID of letters, digits, - and _ that starts with a letter');
+      break;
+    case 'landscape':
+      if (/^(true|false)$/i.test(value)) {
+        options.landscape = value.toLowerCase() === 'true';
+      } else {
+        problems.push(`landscape "${value}" is not true or false`);
+      }
+      break;
+    case 'caption':
+      options.caption = value;
+      break;
+    default:
+      problems.push(`unknown attribute "${key}"; use width, align, caption, theme, id or landscape`);
+    }
+  }
+  return { options, problems };
+}
+
+/**
+ * The placeholder a diagram is rendered into in the page. Diagrams with
+ * layout options are wrapped in a `<figure>`, with the caption below.
+ *
+ * @param {string} code - Mermaid source.
+ * @param {object} [options] - From `parseDiagramOptions`.
+ */
+function renderDiagramPlaceholder(code, options = {}) {
+  const theme = options.theme ? ` data-mermaid-theme="${options.theme}"` : '';
+  const diagram = `<div class="mermaid-diagram" data-mermaid="${encodeURIComponent(code)}"${theme}>\n` +
+    '<div class="mermaid-placeholder">Rendering diagram...</div>\n</div>\n';
+  const { width, align, caption, id, landscape } = options;
+  if (!width && !align && !caption && !id && !landscape) {
+    return diagram;
+  }
+
+  const classes = ['mermaid-figure', align && `align-${align}`, landscape && 'landscape'].filter(Boolean);
+  const attributes = [
+    id ? ` id="${id}"` : '',
+    ` class="${classes.join(' ')}"`,
+    width ? ` style="width: ${width}"` : ''
+  ].join('');
+  const figcaption = caption ? `<figcaption>${escapeHtml(caption)}</figcaption>\n` : '';
+  return `<figure${attributes}>\n${diagram}${figcaption}</figure>\n`;
+}
+
+// Width and height in inches of the paper of a `pdfFormat`; unknown formats are A4
+function paperSize(pdfFormat) {
+  return PAPER_SIZES[String(pdfFormat).toLowerCase()] || PAPER_SIZES.a4;
+}
+
+/**
+ * Styles for diagram figures. Landscape figures go on pages of their own,
+ * turned sideways; `pdfFormat` is the paper size of the other pages.
+ */
+function diagramCss(pdfFormat) {
+  const [width, height] = paperSize(pdfFormat);
+  return `
+    @page { size: ${width}in ${height}in; }
+    @page landscape-diagram { size: ${Math.max(width, height)}in ${Math.min(width, height)}in; }
+    .mermaid-figure { margin: 2em auto; break-inside: avoid; }
+    .mermaid-figure .mermaid-diagram { margin: 0; }
+    .mermaid-figure[style] .mermaid-diagram svg { width: 100%; max-width: 100% !important; }
+    .mermaid-figure.align-left { margin-left: 0; }
+    .mermaid-figure.align-left .mermaid-diagram { text-align: left; }
+    .mermaid-figure.align-right { margin-right: 0; }
+    .mermaid-figure.align-right .mermaid-diagram { text-align: right; }
+    .mermaid-figure.landscape { page: landscape-diagram; }
+    .mermaid-figure figcaption { margin-top: 0.5em; text-align: center; font-size: 0.9em; color: #555; }
+  `;
+}
+
+module.exports = { DIAGRAM_THEMES, diagramCss, findMermaidBlocks, isMermaidFence, paperSize, parseDiagramOptions, renderDiagramPlaceholder };
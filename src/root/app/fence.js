@@ -0,0 +1,64 @@
+// `.class`, `#id`, or `key=value` with the value bare or quoted
+const ATTRIBUTE = /\.([\w-]+)|#([\w-]+)|([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+
+/**
+ * Parse the info string of a fenced code block.
+ *
+ * Both `js {hl="3-5" .line-numbers}` and the attribute-only `{.js hl="3-5"}`
+ * are understood; in the latter the first class is the language.
+ *
+ * @param {string} info - Text after the opening fence.
+ * @returns {{ language: string|null, classes: string[], id: string|null, attributes: object }}
+ */
+function parseFenceInfo(info) {
+  const text = String(info || '').trim();
+  const braces = /\{([^}]*)\}\s*$/.exec(text);
+  const prefix = (braces ? text.slice(0, braces.index) : text).trim();
+
+  const classes = [];
+  const attributes = {};
+  let id = null;
+  if (braces) {
+    for (const match of braces[1].matchAll(ATTRIBUTE)) {
+      if (match[1]) {
+        classes.push(match[1]);
+      } else if (match[2]) {
+        id = match[2];
+      } else {
+        attributes[match[3]] = match[4] ?? match[5] ?? match[6];
+      }
+    }
+  }
+
+  const word = prefix.split(/\s+/)[0] || null;
+  let language = word;
+  if (!language && classes.length > 0) {
+    language = classes.shift();
+  }
+  return { language, classes, id, attributes };
+}
+
+/**
+ * Parse a line selection such as `3-5` or `1,4,7-9` into line numbers.
+ *
+ * @param {string} spec
+ * @param {number} lineCount - Lines in the block; later lines are dropped.
+ * @returns {Set<number>} 1-based line numbers; parts that are not numbers or ranges are ignored.
+ */
+function parseLineRanges(spec, lineCount) {
+  const lines = new Set();
+  for (const part of String(spec || '').split(',')) {
+    const range = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+    if (!range) {
+      continue;
+    }
+    const start = Number(range[1]);
+    const end = Math.min(range[2] ? Number(range[2]) : start, lineCount);
+    for (let line = start; line <= end; line++) {
+      lines.add(line);
+    }
+  }
+  return lines;
+}
+
+module.exports = { parseFenceInfo, parseLineRanges };
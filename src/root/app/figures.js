@@ -0,0 +1,208 @@
+// A paragraph holding only the marker, as rendered by marked
+const LOF_MARKER = /<p>\s*\[\[lof\]\]\s*<\/p>\n?/gi;
+// `@fig-id`, not part of a word or an email address
+const REFERENCE = /^@(fig-[\w-]*\w)/;
+const REFERENCE_START = /(?:^|[^\w.@])@fig-\w/;
+// `{#fig-id}` after an image, the whole rest of its paragraph
+const IMAGE_ID = /^\s*\{\s*#([A-Za-z][\w-]*)\s*\}\s*$/;
+// Figures that take part in numbering: diagram figures and image figures, neither of which nests another figure
+const FIGURE = /<figure\b([^>]*\bclass="(?:mermaid|image)-figure\b[^>]*)>([\s\S]*?)<\/figure>/g;
+// A reference left by the renderer, filled in once every figure of the document is numbered
+const REFERENCE_PLACEHOLDER = /<a class="figure-ref" href="[^"]*" data-figure-ref="(\d+)"><\/a>/g;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Like `escapeHtml`, but leaves character references alone: marked has already escaped image titles
+function escapeText(text) {
+  return String(text).replace(/&(?!#?\w+;)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Numbered figures: Mermaid diagrams with a `caption` and images with a
+ * title (`![alt](src "Caption")`, optionally followed by `{#fig-id}`) are
+ * numbered in document order once the document is rendered, and `@fig-id` in
+ * the text becomes a "Figure N" link. Numbering runs on across the chapters of
+ * a book; `reset()` starts the next output document.
+ *
+ * @param {(raw: string) => string} slug - Makes the IDs of figures without one unique within the output document.
+ */
+function createFigures(slug) {
+  return {
+    // `@fig-id` uses in document order: { id, raw }
+    references: [],
+    // Figures written with an ID, in document order: { id, raw }
+    ids: [],
+    // Numbered figures of the document, set by `resolve()`: { number, id, caption }
+    figures: [],
+
+    /**
+     * Turn paragraphs that hold a single image with a title, or with a
+     * `{#id}` after it, into `imageFigure` tokens. Images without either stay
+     * inline images.
+     */
+    walkTokens(token) {
+      if (token.type === 'html') {
+        // Diagram figures and figures written as HTML
+        for (const [, attributes] of token.text.matchAll(FIGURE)) {
+          const id = /\bid="([^"]*)"/.exec(attributes);
+          if (id) {
+            this.ids.push({ id: id[1], raw: token.raw });
+          }
+        }
+        return;
+      }
+      if (token.type !== 'paragraph' || token.tokens?.[0]?.type !== 'image' || token.tokens.length > 2) {
+        return;
+      }
+      const [image, rest] = token.tokens;
+      const id = rest ? (rest.type === 'text' ? IMAGE_ID.exec(rest.raw) : null) : null;
+      if ((rest && !id) || (!image.title && !id)) {
+        return;
+      }
+      Object.assign(token, { type: 'imageFigure', id: id ? id[1] : null, tokens: [image] });
+      if (id) {
+        this.ids.push({ id: id[1], raw: token.raw });
+      }
+    },
+
+    /**
+     * A reference to the figure `id`: a link whose text is filled in by
+     * `resolve` once every figure is numbered.
+     */
+    reference(id, raw) {
+      this.references.push({ id, raw });
+      return `<a class="figure-ref" href="#${escapeHtml(id)}" data-figure-ref="${this.references.length - 1}"></a>`;
+    },
+
+    /**
+     * Number the captioned figures of `html`, label their captions
+     * "Figure N:" and give the ones without an ID `figure-N`, then fill in
+     * the references. References to IDs that are not a numbered figure read
+     * "Figure ??"; those to an ID that several figures use go to the first.
+     *
+     * @returns {{ html: string, missing: object[], duplicates: object[] }} `missing` are the unresolved
+     *   entries of `references`, `duplicates` the entries of `ids` that repeat an earlier one.
+     */
+    resolve(html) {
+      const numbers = new Map();
+      this.figures = [];
+      const numbered = html.replace(FIGURE, (figure, attributes, content) => {
+        const caption = /<figcaption>([\s\S]*?)<\/figcaption>/.exec(content);
+        if (!caption) {
+          return figure;
+        }
+        const number = this.figures.length + 1;
+        let id = /\bid="([^"]*)"/.exec(attributes)?.[1];
+        if (!id) {
+          id = slug(`figure-${number}`);
+          attributes = ` id="${id}"${attributes}`;
+        }
+        this.figures.push({ number, id, caption: caption[1] });
+        if (!numbers.has(id)) {
+          numbers.set(id, number);
+        }
+        const labelled = content.replace(caption[0], `<figcaption><span class="figure-label">Figure ${number}:</span> ${caption[1]}</figcaption>`);
+        return `<figure${attributes}>${labelled}</figure>`;
+      });
+
+      const missing = [];
+      const resolved = numbered.replace(REFERENCE_PLACEHOLDER, (placeholder, index) => {
+        const reference = this.references[Number(index)];
+        const number = numbers.get(reference.id);
+        if (number === undefined) {
+          missing.push(reference);
+        }
+        return placeholder.replace('></a>', `>Figure ${number ?? '??'}</a>`);
+      });
+      const seen = new Set();
+      const duplicates = [];
+      for (const entry of this.ids) {
+        if (seen.has(entry.id)) {
+          duplicates.push(entry);
+        }
+        seen.add(entry.id);
+      }
+      return { html: resolved, missing, duplicates };
+    },
+
+    reset() {
+      this.references = [];
+      this.ids = [];
+      this.figures = [];
+    },
+
+    /**
+     * `marked` extensions for `@fig-id` references and the figures made by
+     * `walkTokens`. `@fig-` inside a word, such as in an email address, stays text.
+     */
+    extensions() {
+      const figures = this;
+      return [
+        {
+          name: 'figureReference',
+          level: 'inline',
+          start(src) {
+            const match = REFERENCE_START.exec(src);
+            return match ? match.index + match[0].indexOf('@') : undefined;
+          },
+          tokenizer(src) {
+            const match = REFERENCE.exec(src);
+            if (match) {
+              return { type: 'figureReference', raw: match[0], id: match[1] };
+            }
+            return undefined;
+          },
+          renderer(token) {
+            return figures.reference(token.id, token.raw);
+          }
+        },
+        {
+          name: 'imageFigure',
+          renderer(token) {
+            const [image] = token.tokens;
+            const caption = image.title ? `<figcaption>${escapeText(image.title)}</figcaption>\n` : '';
+            const img = this.parser.parseInline([{ ...image, title: null }]);
+            const id = token.id ? ` id="${escapeHtml(token.id)}"` : '';
+            return `<figure${id} class="image-figure">\n${img}\n${caption}</figure>\n`;
+          }
+        }
+      ];
+    }
+  };
+}
+
+/**
+ * Render the list of figures as a `<nav>` styled like the table of contents:
+ * each entry links to its figure and has an empty `.toc-page` slot for the
+ * page number, filled in once the PDF has been laid out.
+ *
+ * @param {{ number: number, id: string, caption: string }[]} figures - `caption` is inline HTML.
+ */
+function renderListOfFigures(figures) {
+  const items = figures.map(({ number, id, caption }) => {
+    // Links inside a caption would nest inside the entry's own link
+    const label = caption.replace(/<\/?a\b[^>]*>/gi, '');
+    return `<li class="toc-entry"><a href="#${id}">` +
+      `<span class="toc-text">Figure ${number}: ${label}</span><span class="toc-page" data-toc-target="${id}"></span></a></li>`;
+  });
+  return `<nav class="toc lof">\n<p class="toc-title">Figures</p>\n<ul>\n${items.join('\n')}\n</ul>\n</nav>\n`;
+}
+
+/**
+ * Replace every `[[lof]]` marker in `html` with the list of figures.
+ *
+ * @returns {{ html: string, inserted: boolean }}
+ */
+function insertListOfFigures(html, figures) {
+  const hasMarker = LOF_MARKER.test(html);
+  LOF_MARKER.lastIndex = 0;
+  if (!hasMarker) {
+    return { html, inserted: false };
+  }
+  const lof = renderListOfFigures(figures);
+  return { html: html.replace(LOF_MARKER, () => lof), inserted: true };
+}
+
+module.exports = { createFigures, renderListOfFigures, insertListOfFigures };
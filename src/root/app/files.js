@@ -0,0 +1,202 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const MARKDOWN_EXTENSION = /\.(md|markdown)$/i;
+const IGNORE_FILENAME = '.mdpdfignore';
+
+// Directories that never contain publishable sources when walking recursively.
+const SKIPPED_DIRECTORIES = new Set(['node_modules']);
+
+function isMarkdownFile(name) {
+  return MARKDOWN_EXTENSION.test(name);
+}
+
+function isSkippedDirectory(name) {
+  return name.startsWith('.') || SKIPPED_DIRECTORIES.has(name);
+}
+
+/**
+ * Map a markdown path (relative or absolute) to its PDF counterpart.
+ *
+ * @param {string} file - Markdown file path.
+ * @returns {string} The same path with a `.pdf` extension.
+ */
+function toPdfPath(file) {
+  return file.replace(MARKDOWN_EXTENSION, '.pdf');
+}
+
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      const slashAfter = glob[i + 2] === '/';
+      source += slashAfter ? '(?:.*/)?' : '.*';
+      i += slashAfter ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const end = glob.indexOf(']', i + 2);
+      source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compile a gitignore-style pattern.
+ *
+ * A pattern without a slash matches a file or directory name at any depth;
+ * one with a slash is anchored to the input directory. A trailing slash
+ * matches directories only, a leading `!` negates, and `**` matches any
+ * number of directories. Matching a directory matches every file below it.
+ *
+ * @param {string} pattern - Glob pattern.
+ * @returns {{ negated: boolean, matches: (relativePath: string) => boolean }}
+ */
+function compilePattern(pattern) {
+  let glob = pattern.trim();
+  const negated = glob.startsWith('!');
+  if (negated) {
+    glob = glob.slice(1);
+  }
+  const directoryOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  const regex = new RegExp(`${anchored ? '^' : '(?:^|/)'}${globToRegExpSource(glob)}$`);
+  return {
+    negated,
+    matches(relativePath) {
+      const segments = relativePath.split(path.sep).join('/').split('/');
+      const candidates = segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+      if (directoryOnly) {
+        candidates.pop();
+      }
+      return candidates.some(candidate => regex.test(candidate));
+    }
+  };
+}
+
+/**
+ * Build the predicate that decides which markdown files are converted.
+ *
+ * With `include` patterns a file must match one of them. Exclude patterns are
+ * applied in order, as in a `.gitignore`: the last matching pattern wins, so a
+ * later `!pattern` brings a file back.
+ *
+ * @param {object} [patterns]
+ * @param {string[]} [patterns.include=[]] - Globs a file must match.
+ * @param {string[]} [patterns.exclude=[]] - Globs (or `!` negations) of files to skip.
+ * @returns {(relativePath: string) => boolean} True when the file should be converted.
+ */
+function createFileFilter({ include = [], exclude = [] } = {}) {
+  const includes = include.map(compilePattern);
+  const excludes = exclude.map(compilePattern);
+
+  return (relativePath) => {
+    if (includes.length > 0 && !includes.some(pattern => pattern.matches(relativePath))) {
+      return false;
+    }
+    let excluded = false;
+    for (const pattern of excludes) {
+      if (pattern.matches(relativePath)) {
+        excluded = !pattern.negated;
+      }
+    }
+    return !excluded;
+  };
+}
+
+/**
+ * Read the exclude patterns of the `.mdpdfignore` file in `inputDir`.
+ * Blank lines and `#` comments are ignored; a missing file yields no patterns.
+ *
+ * @param {string} inputDir - Input directory.
+ * @returns {Promise<string[]>}
+ */
+async function loadIgnorePatterns(inputDir) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(inputDir, IGNORE_FILENAME), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Find markdown files in `inputDir`.
+ *
+ * In flat mode only the top level of `inputDir` is read. In recursive mode
+ * subdirectories are walked as well, skipping hidden directories,
+ * `node_modules`, symlinked directories and `excludeDir` (typically the output
+ * directory when it lives inside the input tree). Symlinked markdown files are
+ * included, as they are in flat mode.
+ *
+ * @param {string} inputDir - Directory to scan.
+ * @param {object} [options]
+ * @param {boolean} [options.recursive=false] - Walk subdirectories.
+ * @param {string} [options.excludeDir] - Directory to never descend into.
+ * @param {(relativePath: string) => boolean} [options.filter] - Selects the markdown files to return (see `createFileFilter`).
+ * @returns {Promise<{ files: string[], excludedFiles: string[], totalFiles: number }>} Markdown
+ *   paths relative to `inputDir` (sorted), the markdown files rejected by `filter`, and the
+ *   number of files seen in total.
+ */
+async function findMarkdownFiles(inputDir, { recursive = false, excludeDir, filter = () => true } = {}) {
+  const root = path.resolve(inputDir);
+  const excluded = excludeDir ? path.resolve(excludeDir) : null;
+  const files = [];
+  const excludedFiles = [];
+  let totalFiles = 0;
+
+  async function walk(relativeDir) {
+    const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    for (const entry of entries) {
+      const relativePath = relativeDir ? path.join(relativeDir, entry.name) : entry.name;
+
+      if (entry.isDirectory()) {
+        const skip = !recursive ||
+          isSkippedDirectory(entry.name) ||
+          path.join(root, relativePath) === excluded;
+        if (!skip) {
+          await walk(relativePath);
+        }
+        continue;
+      }
+
+      totalFiles++;
+      if ((entry.isFile() || entry.isSymbolicLink()) && isMarkdownFile(entry.name)) {
+        (filter(relativePath) ? files : excludedFiles).push(relativePath);
+      }
+    }
+  }
+
+  await walk('');
+  files.sort();
+  excludedFiles.sort();
+
+  return { files, excludedFiles, totalFiles };
+}
+
+module.exports = {
+  IGNORE_FILENAME,
+  findMarkdownFiles,
+  isMarkdownFile,
+  isSkippedDirectory,
+  toPdfPath,
+  createFileFilter,
+  loadIgnorePatterns
+};
@@ -0,0 +1,190 @@
+const { locateInSource } = require('./math');
+
+const DEFINITION_START = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*/;
+// Lines that start a new block rather than continue a footnote's paragraph
+const BLOCK_START = /^ {0,3}(?:[#>*+-]|\d+[.)]|```|~~~|\[\^[^\]\s]+\]:)/;
+const INDENT = /^ {4}/;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Lines of a footnote definition after its `[^label]:` marker: the rest of the
+ * first line, lines indented by four spaces (blank lines between them
+ * included) and unindented lines that continue the first paragraph.
+ *
+ * @returns {{ body: string, length: number }} `length` is the number of lines of `lines` used.
+ */
+function definitionLines(lines) {
+  const body = [lines[0]];
+  let index = 1;
+  while (index < lines.length) {
+    const line = lines[index];
+    if (INDENT.test(line)) {
+      body.push(line.slice(4));
+    } else if (line.trim() === '') {
+      let next = index;
+      while (next < lines.length && lines[next].trim() === '') {
+        next++;
+      }
+      if (next === lines.length || !INDENT.test(lines[next])) {
+        break;
+      }
+      body.push(...lines.slice(index, next).map(() => ''));
+      index = next;
+      continue;
+    } else if (body[body.length - 1].trim() !== '' && !BLOCK_START.test(line)) {
+      body.push(line);
+    } else {
+      break;
+    }
+    index++;
+  }
+  return { body: body.join('\n'), length: index };
+}
+
+/**
+ * Footnotes in the `[^label]` style of GitHub. Definitions (`[^label]: text`)
+ * can be anywhere in the source; references are numbered in the order they
+ * first appear, and `renderSection()` lists the referenced footnotes with
+ * links back to each reference. State covers one `marked` call: `reset()`
+ * before rendering the next document or book chapter.
+ *
+ * @param {(raw: string) => string} slug - Makes the element ids unique within the output document.
+ */
+function createFootnotes(slug) {
+  let definitions = new Map();
+  let order = [];
+
+  const footnotes = {
+    // References to labels without a definition: { label, raw }
+    missing: [],
+    // Definitions of a label that was already defined: { label, raw }
+    duplicates: [],
+
+    reset() {
+      definitions = new Map();
+      order = [];
+      this.missing = [];
+      this.duplicates = [];
+    },
+
+    reference(label) {
+      const definition = definitions.get(label);
+      if (!definition.number) {
+        order.push(definition);
+        definition.number = order.length;
+        definition.id = slug(`fn-${label}`);
+      }
+      const id = slug(`fnref-${label}`);
+      definition.backReferences.push(id);
+      return `<sup class="footnote-ref"><a href="#${escapeHtml(definition.id)}" id="${escapeHtml(id)}">${definition.number}</a></sup>`;
+    },
+
+    /**
+     * The referenced footnotes as an ordered list, or '' when there are none.
+     */
+    renderSection() {
+      if (order.length === 0) {
+        return '';
+      }
+      const items = order.map(definition => {
+        const links = definition.backReferences.map((id, index) => (
+          `<a href="#${escapeHtml(id)}" class="footnote-backref" aria-label="Back to reference">↩${index > 0 ? `<sup>${index + 1}</sup>` : ''}</a>`
+        )).join(' ');
+        const html = (definition.html || '').trimEnd();
+        // The links go at the end of the last paragraph, as on GitHub
+        const body = html.endsWith('</p>') ? `${html.slice(0, -4)} ${links}</p>` : `${html}\n<p>${links}</p>`;
+        return `<li id="${escapeHtml(definition.id)}">\n${body}\n</li>`;
+      });
+      return `<section class="footnotes">\n<ol>\n${items.join('\n')}\n</ol>\n</section>\n`;
+    },
+
+    /**
+     * Warnings about the footnotes of the last render, with the line of each
+     * in `content` (the markdown that was rendered).
+     *
+     * @returns {{ line: number|null, severity: 'warning', message: string }[]}
+     */
+    problems(content, lineOffset = 0) {
+      const unused = [...definitions.values()].filter(definition => !definition.number);
+      const warning = (entries, describe) => locateInSource(entries.map(entry => ({ ...entry })), content, lineOffset)
+        .map(entry => ({ line: entry.line, severity: 'warning', message: describe(entry) }));
+      return [
+        ...warning(this.missing, ({ label }) => `Footnote [^${label}] is referenced but never defined`),
+        ...warning(unused, ({ label }) => `Footnote [^${label}] is defined but never referenced`),
+        ...warning(this.duplicates, ({ label }) => `Footnote [^${label}] is defined more than once; the first definition is used`)
+      ];
+    },
+
+    /**
+     * `marked` extensions for definitions and references. A reference to a
+     * label that is not defined stays text.
+     */
+    extensions() {
+      return [
+        {
+          name: 'footnoteDefinition',
+          level: 'block',
+          start(src) {
+            const match = /\n {0,3}\[\^[^\]\s]+\]:/.exec(src);
+            return match ? match.index + 1 : undefined;
+          },
+          tokenizer(src) {
+            const start = DEFINITION_START.exec(src);
+            if (!start) {
+              return undefined;
+            }
+            const lines = src.slice(start[0].length).split('\n');
+            const { body, length } = definitionLines(lines);
+            const raw = start[0] + lines.slice(0, length).join('\n') + (length < lines.length ? '\n' : '');
+            const label = start[1].toLowerCase();
+
+            const top = this.lexer.state.top;
+            this.lexer.state.top = true;
+            const token = { type: 'footnoteDefinition', raw, label, tokens: this.lexer.blockTokens(body), backReferences: [] };
+            this.lexer.state.top = top;
+
+            if (definitions.has(label)) {
+              footnotes.duplicates.push({ label, raw });
+            } else {
+              definitions.set(label, token);
+            }
+            return token;
+          },
+          // Rendered where it stands, shown in the footnote section
+          renderer(token) {
+            token.html = this.parser.parse(token.tokens);
+            return '';
+          }
+        },
+        {
+          name: 'footnoteReference',
+          level: 'inline',
+          start(src) {
+            return /\[\^/.exec(src)?.index;
+          },
+          tokenizer(src) {
+            const match = /^\[\^([^\]\s]+)\]/.exec(src);
+            if (!match) {
+              return undefined;
+            }
+            const label = match[1].toLowerCase();
+            if (!definitions.has(label)) {
+              footnotes.missing.push({ label, raw: match[0] });
+              return undefined;
+            }
+            return { type: 'footnoteReference', raw: match[0], label };
+          },
+          renderer(token) {
+            return footnotes.reference(token.label);
+          }
+        }
+      ];
+    }
+  };
+  return footnotes;
+}
+
+module.exports = { createFootnotes };
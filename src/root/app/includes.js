@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const matter = require('./frontmatter');
+const { isMarkdownFile } = require('./files');
+
+// `{{#include path}}` on a line of its own; a leading backslash keeps the line as text
+const INCLUDE = /^([ \t]*)(\\?)\{\{#include[ \t]+([^}]+?)[ \t]*\}\}[ \t]*$/m;
+// Region markers in source files, as in mdBook: `// ANCHOR: setup` ... `// ANCHOR_END: setup`
+const ANCHOR = /\bANCHOR(_END)?:\s*([\w-]+)/;
+// The part of an include target after its last `:`: a region name or a line range. Any other
+// colon belongs to the path, as in `C:\docs\part.md`.
+const SELECTOR = /^(.+?):(?:(\d*[A-Za-z_-][\w-]*)|(\d*):(\d*)|(\d+))$/;
+
+function includeError(message) {
+  const error = new Error(message);
+  error.code = 'INCLUDE_FAILED';
+  return error;
+}
+
+/**
+ * Split the target of an include into the file and the part of it wanted:
+ * `file`, `file:region`, `file:12` (one line), `file:3:9`, `file:3:` or `file::9`.
+ */
+function parseTarget(target) {
+  const match = SELECTOR.exec(target);
+  if (!match) {
+    return { file: target };
+  }
+  const [, file, region, start, end, line] = match;
+  if (region) {
+    return { file, region };
+  }
+  if (line) {
+    return { file, start: Number(line), end: Number(line) };
+  }
+  return { file, start: start ? Number(start) : 1, end: end ? Number(end) : Infinity };
+}
+
+/**
+ * The lines of `lines` the target asks for, where `lines` are `{ text, line }`
+ * entries of the included file. Lines holding region markers are always left
+ * out, so regions can overlap and nest.
+ */
+function selectLines(lines, { file, region, start, end }, where) {
+  if (region) {
+    const marks = (entry, end) => {
+      const match = ANCHOR.exec(entry.text);
+      return Boolean(match) && Boolean(match[1]) === end && match[2] === region;
+    };
+    const first = lines.findIndex(entry => marks(entry, false));
+    if (first === -1) {
+      throw includeError(`Cannot include "${file}:${region}" at ${where}: no ANCHOR: ${region} line in the file`);
+    }
+    const last = lines.findIndex((entry, index) => index > first && marks(entry, true));
+    lines = lines.slice(first + 1, last === -1 ? lines.length : last);
+  } else if (start !== undefined) {
+    lines = lines.slice(start - 1, end);
+  }
+  return isMarkdownFile(file) && !region ? lines : lines.filter(entry => !ANCHOR.test(entry.text));
+}
+
+// `text` as `{ text, line }` entries numbered from `firstLine`
+function numberLines(text, firstLine = 1) {
+  return text.split('\n').map((line, index) => ({ text: line, line: firstLine + index }));
+}
+
+/**
+ * Replace `{{#include ...}}` lines with the files they name.
+ *
+ * Markdown files are spliced in without their front matter, and their own
+ * includes are expanded in turn; other files (source code) are inserted as
+ * they are, usually inside a fenced code block. Paths resolve against the
+ * directory of the file that contains the directive. Included lines are
+ * indented like the directive, so includes work inside lists.
+ *
+ * @param {string} content - Markdown containing the directives.
+ * @param {object} options
+ * @param {string|null} options.file - Path of `content`, for cycle detection and messages; null for in-memory markdown.
+ * @param {string|null} options.baseDir - Directory of `content`; includes fail without one.
+ * @param {number} options.maxDepth - How deep includes may nest; 0 turns them off.
+ * @param {Set<string>} [options.files] - Receives the absolute path of every file included, also those that failed to load.
+ * @param {object[]} [options.origins] - Receives where each line of the result came from, as `{ line, included }`:
+ *   `line` is the line of `content`, for included lines that of the directive that led to them, and `included`
+ *   is `{ file, line }` of the file an included line was read from, else null.
+ * @returns {Promise<string>} The expanded markdown.
+ */
+async function expandIncludes(content, { file, baseDir, maxDepth, files = new Set(), origins = [] }) {
+  const chain = file ? [path.resolve(file)] : [];
+  const displayName = file ? path.basename(file) : 'the document';
+
+  // The entries of `lines`, read from `source` (null for `content`), with their includes spliced in as
+  // { text, source, line, at }, where `at` is the line of `lines` the entry stands at or was included from
+  async function expand(lines, source, directory, depth, name) {
+    const expanded = [];
+    for (const { text, line } of lines) {
+      const match = INCLUDE.exec(text);
+      if (!match) {
+        expanded.push({ text, source, line, at: line });
+        continue;
+      }
+      try {
+        const spliced = await splice(match, { source, line }, directory, depth, `${name} line ${line}`);
+        expanded.push(...spliced.map(entry => ({ ...entry, at: line })));
+      } catch (error) {
+        // Problems deep down the includes are reported at the directive that led to them
+        if (depth === 0 && error.code === 'INCLUDE_FAILED' && error.line === undefined) {
+          error.line = line;
+        }
+        throw error;
+      }
+    }
+    return expanded;
+  }
+
+  async function splice(match, directive, directory, depth, where) {
+    const [line, indent, escaped, target] = match;
+    if (escaped) {
+      return [{ ...directive, text: line.replace('\\{{', '{{') }];
+    }
+    if (depth >= maxDepth) {
+      throw includeError(maxDepth === 0
+        ? `Includes are turned off (maxIncludeDepth is 0): ${where}`
+        : `Includes nested deeper than maxIncludeDepth (${maxDepth}) at ${where}`);
+    }
+    if (!directory) {
+      throw includeError(`Cannot include "${target}" at ${where}: in-memory markdown has no directory to resolve it against`);
+    }
+
+    const selection = parseTarget(target);
+    const includePath = path.resolve(directory, selection.file);
+    files.add(includePath);
+    if (chain.includes(includePath)) {
+      const cycle = [...chain.slice(chain.indexOf(includePath)), includePath].map(entry => path.basename(entry));
+      throw includeError(`Include cycle at ${where}: ${cycle.join(' → ')}`);
+    }
+
+    let included;
+    try {
+      included = (await fs.readFile(includePath, 'utf8')).replace(/\r\n?/g, '\n').replace(/\n$/, '');
+    } catch (error) {
+      const reason = error.code === 'ENOENT' ? 'file not found' : error.message;
+      throw includeError(`Cannot include "${selection.file}" at ${where}: ${reason}`);
+    }
+
+    const markdown = isMarkdownFile(includePath);
+    let firstLine = 1;
+    if (markdown) {
+      try {
+        const body = matter(included).content;
+        firstLine += included.split('\n').length - body.split('\n').length;
+        included = body;
+      } catch (error) {
+        throw includeError(`Invalid front matter in ${selection.file} (included at ${where}): ${error.reason || error.message}`);
+      }
+    }
+    let lines = selectLines(numberLines(included, firstLine), selection, where)
+      .map(entry => ({ ...entry, source: includePath }));
+    if (markdown) {
+      chain.push(includePath);
+      lines = await expand(lines, includePath, path.dirname(includePath), depth + 1, path.basename(includePath));
+      chain.pop();
+    }
+    return lines.map(entry => ({ ...entry, text: entry.text ? indent + entry.text : entry.text }));
+  }
+
+  if (!INCLUDE.test(content)) {
+    return content;
+  }
+  const lines = await expand(numberLines(content), null, baseDir, 0, displayName);
+  origins.push(...lines.map(({ source, line, at }) => ({ line: at, included: source === null ? null : { file: source, line } })));
+  return lines.map(entry => entry.text).join('\n');
+}
+
+module.exports = { expandIncludes, parseTarget };
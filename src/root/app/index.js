@@ -5,7 +5,16 @@ const path = require('path');
 const fs = require('fs-extra');
 const chalk = require('chalk');
 const { MarkdownConverter } = require('./converter');
-const { setupLogger } = require('./logger');
+const { findMarkdownFiles, toPdfPath, createFileFilter, loadIgnorePatterns } = require('./files');
+const { watchMarkdownFiles } = require('./watcher');
+const { runWithConcurrency } = require('./pool');
+const { BuildManifest } = require('./manifest');
+const { loadChapterList, toBookPdfPath } = require('./book');
+const { ProjectConfig } = require('./config');
+const { OutputNamer } = require('./naming');
+const { parseReportOption, defaultReportPath, buildReport, writeReport } = require('./report');
+const { createConversionServer } = require('./server');
+const { setupLogger, routeConsoleToStderr } = require('./logger');
 const { version } = require('../../../package.json');
 require('dotenv').config();
 
@@ -21,18 +30,588 @@ function formatDuration(ms) {
   return `${minutes}m ${seconds}s`;
 }
 
+// Kind of failure recorded in a file's `events`, as shown in the summary and report.
+// Only 'timeout' and 'browser-disconnected' are retried; any other error would fail again.
+function failureType(error) {
+  if (error.code === 'TIMEOUT') {return 'timeout';}
+  if (error.code === 'BROWSER_DISCONNECTED') {return 'browser-disconnected';}
+  return 'error';
+}
+
+/**
+ * Convert a single markdown file from the batch and print its result line.
+ *
+ * A conversion that timed out or lost its browser is tried again up to the
+ * file's `retries` setting; a browser that crashed is relaunched by the
+ * converter on the next attempt. Other failures, such as a diagram that does
+ * not render in strict mode, fail the file on the first attempt.
+ *
+ * @param {MarkdownConverter} converter - Shared converter (and browser).
+ * @param {{ inputDir: string, outputDir: string, file: string, outputFile: string, config?: object, documents?: Map }} job - `file` is
+ *   relative to `inputDir` and `outputFile` to `outputDir`; `config` holds the file's resolved settings and
+ *   `documents` the PDF of every batch file (see `batchDocuments`).
+ * @returns {Promise<object>} `{ file, outputFile, duration, success, attempts, events }`, plus `error` on
+ *   failure and the conversion's `timing`, `pdfTiming`, `diagrams` and `pageCount` for the run report.
+ *   `events` lists the failed attempts as `{ type, attempt, message }`.
+ */
+async function convertFile(converter, { inputDir, outputDir, file, outputFile, config, documents }) {
+  const fileStartTime = Date.now();
+  const inputPath = path.join(inputDir, file);
+  const outputPath = path.join(outputDir, outputFile);
+  const { retries } = converter.configFor({ config });
+  const events = [];
+
+  logger.info('Converting file', { inputFile: file, outputFile });
+  console.log(chalk.blue(`Converting: ${file} → ${outputFile}`));
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // Recreate the source folder structure under the output directory
+      await fs.ensureDir(path.dirname(outputPath));
+      const { timing, pdfTiming, diagrams, pageCount, includes, assets } = await converter.convertFile(inputPath, outputPath, config, { documents });
+
+      const fileDuration = Date.now() - fileStartTime;
+      logger.info('File converted successfully', {
+        inputFile: file,
+        outputFile,
+        attempts: attempt,
+        duration: fileDuration,
+        durationFormatted: formatDuration(fileDuration)
+      });
+      const retried = attempt > 1 ? `, attempt ${attempt}` : '';
+      console.log(chalk.green(`✓ ${file} → ${outputFile} (${formatDuration(fileDuration)}${retried})`));
+      return { file, outputFile, duration: fileDuration, success: true, attempts: attempt, events, timing, pdfTiming, diagrams, pageCount, includes, assets };
+
+    } catch (error) {
+      const type = failureType(error);
+      events.push({ type, attempt, message: error.message });
+      if (type !== 'error' && attempt <= retries) {
+        logger.warn('File conversion failed, retrying', { inputFile: file, attempt, error: error.message });
+        console.log(chalk.yellow(`↻ ${file}: ${error.message}, retrying (${attempt}/${retries})`));
+        continue;
+      }
+
+      const fileDuration = Date.now() - fileStartTime;
+      logger.error('File conversion failed', {
+        inputFile: file,
+        error: error.message,
+        stack: error.stack,
+        attempts: attempt,
+        duration: fileDuration,
+        durationFormatted: formatDuration(fileDuration)
+      });
+      console.error(chalk.red(`✗ ${file}: ${error.message} (${formatDuration(fileDuration)})`));
+      return { file, outputFile, duration: fileDuration, success: false, error: error.message, attempts: attempt, events, ...error.conversion };
+    }
+  }
+}
+
+/**
+ * Convert a batch file unless the build manifest shows its PDF is still current.
+ *
+ * @returns {Promise<object>} The result of `convertFile`, or `{ file, outputFile, duration, success, skipped: true, includes }`.
+ */
+async function buildFile(converter, manifest, { inputDir, outputDir, file, outputFile, force, projectConfig, documents }) {
+  let config;
+  try {
+    config = await projectConfig.forFile(file);
+  } catch (error) {
+    logger.error('Invalid config file', { inputFile: file, error: error.message });
+    console.error(chalk.red(`✗ ${file}: ${error.message}`));
+    return { file, outputFile, duration: 0, success: false, error: error.message };
+  }
+
+  let fingerprint = null;
+  try {
+    fingerprint = await manifest.fingerprint(file, {
+      options: converter.getResolvedOptions(config),
+      mermaidVersion: converter.getMermaidVersion(config),
+      outputFile
+    });
+  } catch (error) {
+    // Unreadable source: convert anyway so the failure is reported as usual
+    logger.debug('Could not fingerprint source', { inputFile: file, error: error.message });
+  }
+
+  if (fingerprint && !force && await manifest.isCurrent(file, fingerprint)) {
+    logger.info('File is up to date, skipping', { inputFile: file, outputFile });
+    console.log(chalk.gray(`- ${file} → ${outputFile} (up to date)`));
+    return { file, outputFile, duration: 0, success: true, skipped: true, includes: manifest.includesOf(file) };
+  }
+
+  const result = await convertFile(converter, { inputDir, outputDir, file, outputFile, config, documents });
+  if (result.success && fingerprint) {
+    manifest.record(file, fingerprint, await manifest.hashInputs(inputsOf(result)));
+  } else {
+    manifest.forget(file);
+  }
+  return result;
+}
+
+/**
+ * Absolute paths of the files besides its source that a conversion read: its
+ * includes and the local images it shows. Skipped files list the inputs
+ * recorded in the manifest as `includes`.
+ */
+function inputsOf(result) {
+  return [...(result.includes || []), ...(result.assets || [])];
+}
+
+/**
+ * Name the PDF of every batch file before any conversion starts, so that with
+ * colliding names the first file in sorted order keeps its PDF regardless of
+ * which conversion finishes first.
+ *
+ * @returns {Promise<object[]>} `{ file, outputFile }` per file, or `{ file, error }` when it cannot be named.
+ */
+async function nameOutputFiles(namer, files) {
+  const named = [];
+  for (const file of files) {
+    try {
+      named.push({ file, outputFile: await namer.resolve(file) });
+    } catch (error) {
+      named.push({ file, error });
+    }
+  }
+  return named;
+}
+
+/**
+ * Map every named batch file to its PDF, both as absolute paths, so links
+ * between the files can be pointed at the PDFs.
+ *
+ * @param {object[]} namedFiles - The result of `nameOutputFiles`.
+ * @returns {Map<string, string>}
+ */
+function batchDocuments(inputDir, outputDir, namedFiles) {
+  return new Map(namedFiles
+    .filter(({ error }) => !error)
+    .map(({ file, outputFile }) => [path.resolve(inputDir, file), path.resolve(outputDir, outputFile)]));
+}
+
+function namingFailure(file, error) {
+  logger.error('Cannot name output file', { inputFile: file, error: error.message });
+  console.error(chalk.red(`✗ ${file}: ${error.message}`));
+  return { file, outputFile: null, duration: 0, success: false, error: error.message };
+}
+
+/**
+ * Keep the converter's browser alive and rebuild markdown files as they change.
+ * Files that include a changed file or show a changed image are rebuilt too,
+ * and so are the files below a config file that is created, changed or removed.
+ * Runs until the process receives SIGINT or SIGTERM.
+ *
+ * @param {MarkdownConverter} converter
+ * @param {object} options
+ * @param {object[]} options.results - Results of the initial build, for the files each one includes and the images it shows.
+ * @param {Map<string, string>} options.documents - The batch's PDFs (see `batchDocuments`), kept up to date as files come and go.
+ */
+function startWatchMode(converter, { inputDir, outputDir, recursive, files, results, filter, deleteRemoved, manifest, force, projectConfig, namer, documents }) {
+  // Included file or image (absolute path) → markdown files that read it
+  const dependents = new Map();
+  // Markdown files being watched, and the config files that could apply to them
+  const sources = new Set(files);
+  let configPaths = new Set();
+  let watcher = null;
+
+  function updateDependencies() {
+    const dirs = new Set([...sources].map(file => path.dirname(file)));
+    configPaths = new Set(projectConfig.configCandidates([...dirs]));
+    watcher?.setDependencies([...dependents.keys(), ...configPaths]);
+  }
+
+  async function configChanged(configPath) {
+    try {
+      await projectConfig.invalidate(configPath);
+    } catch (error) {
+      logger.error('Invalid config file, keeping the previous settings', { configFile: configPath, error: error.message });
+      console.error(chalk.red(`✗ ${configPath}: ${error.message}`));
+      return;
+    }
+    const configDir = path.relative(inputDir, path.dirname(configPath));
+    const affected = [...sources].filter(file => {
+      const relative = path.relative(configDir, file);
+      return configDir === '' || configDir.startsWith('..') || !relative.startsWith('..');
+    });
+    for (const file of affected.sort()) {
+      logger.info('Config file changed, rebuilding', { configFile: configPath, inputFile: file });
+      await rebuild(file);
+    }
+  }
+
+  function trackIncludes(file, includes = []) {
+    for (const [include, users] of dependents) {
+      users.delete(file);
+      if (users.size === 0) {
+        dependents.delete(include);
+      }
+    }
+    for (const include of includes) {
+      dependents.set(include, (dependents.get(include) || new Set()).add(file));
+    }
+    updateDependencies();
+  }
+  results.filter(result => result.includes).forEach(result => trackIncludes(result.file, inputsOf(result)));
+
+  async function rebuild(file) {
+    if (!sources.has(file)) {
+      sources.add(file);
+      updateDependencies();
+    }
+    // Front matter edits can rename the PDF
+    let outputFile;
+    try {
+      outputFile = await namer.resolve(file);
+    } catch (error) {
+      namingFailure(file, error);
+      return;
+    }
+    documents.set(path.resolve(inputDir, file), path.resolve(outputDir, outputFile));
+    const result = await buildFile(converter, manifest, { inputDir, outputDir, file, outputFile, force, projectConfig, documents });
+    // Failed builds list the includes and images they tried, so creating a missing one rebuilds the file
+    if (result.includes) {
+      trackIncludes(file, inputsOf(result));
+    }
+    await manifest.save();
+  }
+
+  watcher = watchMarkdownFiles(inputDir, {
+    recursive,
+    excludeDir: outputDir,
+    files,
+    filter,
+    onChange: rebuild,
+    onDependencyChange: async (filePath) => {
+      if (configPaths.has(filePath)) {
+        await configChanged(filePath);
+        return;
+      }
+      for (const file of [...(dependents.get(filePath) || [])].sort()) {
+        logger.info('Included file or image changed, rebuilding', { includedFile: filePath, inputFile: file });
+        await rebuild(file);
+      }
+    },
+    onRemove: async (file) => {
+      const outputFile = namer.outputFileOf(file) || toPdfPath(file);
+      namer.release(file);
+      sources.delete(file);
+      documents.delete(path.resolve(inputDir, file));
+      manifest.forget(file);
+      trackIncludes(file);
+      await manifest.save();
+      if (!deleteRemoved) {
+        logger.info('Source removed, keeping its PDF', { inputFile: file, outputFile });
+        return;
+      }
+      await fs.remove(path.join(outputDir, outputFile));
+      logger.info('Source removed, deleted its PDF', { inputFile: file, outputFile });
+      console.log(chalk.yellow(`🗑  ${file} removed → deleted ${outputFile}`));
+    },
+    onError: (error) => {
+      logger.error('Watch mode error', { error: error.message, stack: error.stack });
+      console.error(chalk.red(`Watch error: ${error.message}`));
+    }
+  });
+  updateDependencies();
+
+  logger.info('Watching for changes', { inputDir, recursive, deleteRemoved, includedFiles: dependents.size, configFiles: projectConfig.configFiles });
+  console.log(chalk.blue(`\n👀 Watching ${inputDir} for changes (Ctrl+C to stop)`));
+
+  const stop = async () => {
+    logger.info('Stopping watch mode');
+    await watcher.close();
+    await converter.cleanup();
+    process.exit(0);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+function writeStdout(bytes) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(bytes, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * Convert one markdown file, or markdown piped on stdin ("-"), to one PDF.
+ *
+ * The PDF goes to `output` when it names a `.pdf` file, into `output` when it
+ * is a directory, to stdout when it is "-", and otherwise next to the source
+ * file (stdout for stdin input). Unless `output` names a `.pdf` file, the
+ * `outputName` setting in `config` names the PDF.
+ *
+ * @returns {Promise<object>} Result in the same shape as `convertFile`.
+ */
+async function convertSingleFile(input, { output, toStdout, config }) {
+  const fromStdin = input === '-';
+  const print = toStdout ? console.error : console.log;
+  const displayName = fromStdin ? 'stdin' : input;
+
+  const startTime = Date.now();
+  const converter = new MarkdownConverter(config);
+  let displayOutput = toStdout ? 'stdout' : null;
+
+  try {
+    const source = fromStdin ? await readStdin() : null;
+    let outputPath = null;
+    if (!toStdout) {
+      if (output && output.toLowerCase().endsWith('.pdf')) {
+        outputPath = output;
+      } else {
+        const namer = new OutputNamer({ inputDir: fromStdin ? '.' : path.dirname(input), template: config.outputName });
+        const outputFile = await namer.resolve(fromStdin ? 'stdin.md' : path.basename(input), { content: source });
+        outputPath = path.join(output || path.dirname(input), outputFile);
+      }
+      displayOutput = outputPath;
+    }
+
+    logger.info('Converting file', { inputFile: displayName, outputFile: displayOutput });
+    print(chalk.blue(`Converting: ${displayName} → ${displayOutput}`));
+
+    if (outputPath) {
+      await fs.ensureDir(path.dirname(outputPath));
+    }
+
+    let result;
+    if (fromStdin) {
+      // Includes in piped markdown resolve against the working directory
+      result = await converter.convertMarkdown(source, { baseDir: process.cwd() });
+      if (outputPath) {
+        await fs.writeFile(outputPath, result.pdf);
+      }
+    } else {
+      result = await converter.convertFile(input, outputPath);
+    }
+
+    if (toStdout) {
+      await writeStdout(result.pdf);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.info('File converted successfully', {
+      inputFile: displayName,
+      outputFile: displayOutput,
+      duration,
+      durationFormatted: formatDuration(duration)
+    });
+    print(chalk.green(`✓ ${displayName} → ${displayOutput} (${formatDuration(duration)})`));
+    const { timing, pdfTiming, diagrams, pageCount } = result;
+    return { file: displayName, outputFile: displayOutput, duration, success: true, timing, pdfTiming, diagrams, pageCount };
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error('File conversion failed', {
+      inputFile: displayName,
+      error: error.message,
+      stack: error.stack,
+      duration,
+      durationFormatted: formatDuration(duration)
+    });
+    console.error(chalk.red(`✗ ${displayName}: ${error.message} (${formatDuration(duration)})`));
+    return { file: displayName, outputFile: displayOutput, duration, success: false, error: error.message, ...error.conversion };
+  } finally {
+    await converter.cleanup();
+  }
+}
+
+/**
+ * Convert an ordered list of chapters into one book PDF.
+ *
+ * @param {string[]} chapters - Chapter paths in reading order.
+ * @param {object} book
+ * @param {string} book.outputPath - Where to write the PDF.
+ * @param {string} [book.frontMatterFrom] - Chapter whose front matter is used for the metadata.
+ * @param {object} book.config - Resolved settings for the whole book.
+ * @returns {Promise<object>} Result in the same shape as `convertFile`, with the book PDF as `file`.
+ */
+async function convertBook(chapters, { outputPath, frontMatterFrom, config }) {
+  const startTime = Date.now();
+  const converter = new MarkdownConverter(config);
+
+  try {
+    logger.info('Converting book', { chapters, outputFile: outputPath, frontMatterFrom: frontMatterFrom || chapters[0] });
+    console.log(chalk.blue(`Converting: ${chapters.length} chapters → ${outputPath}`));
+    chapters.forEach((chapter, index) => console.log(chalk.gray(`   ${index + 1}. ${chapter}`)));
+
+    await fs.ensureDir(path.dirname(outputPath));
+    const { timing, pdfTiming, diagrams, pageCount } = await converter.convertBook(chapters, outputPath, { frontMatterFrom });
+
+    const duration = Date.now() - startTime;
+    logger.info('Book converted successfully', {
+      outputFile: outputPath,
+      chapterCount: chapters.length,
+      duration,
+      durationFormatted: formatDuration(duration)
+    });
+    console.log(chalk.green(`✓ ${chapters.length} chapters → ${outputPath} (${formatDuration(duration)})`));
+    const file = path.basename(outputPath);
+    return { file, outputFile: file, duration, success: true, timing, pdfTiming, diagrams, pageCount };
+
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error('Book conversion failed', {
+      outputFile: outputPath,
+      error: error.message,
+      stack: error.stack,
+      duration,
+      durationFormatted: formatDuration(duration)
+    });
+    console.error(chalk.red(`✗ ${outputPath}: ${error.message} (${formatDuration(duration)})`));
+    const file = path.basename(outputPath);
+    return { file, outputFile: file, duration, success: false, error: error.message, ...error.conversion };
+  } finally {
+    await converter.cleanup();
+  }
+}
+
+function printProblems(file, problems) {
+  for (const { line, severity, message } of problems) {
+    const location = line ? `${file}:${line}` : file;
+    const color = severity === 'error' ? chalk.red : chalk.yellow;
+    console.log(`${location}: ${color(severity)}: ${message}`);
+  }
+}
+
+/**
+ * Check markdown files without converting them and print every problem as
+ * `file:line: severity: message`. A file below an invalid nested config file
+ * gets that as its one error; the other files are still checked.
+ *
+ * @param {string[]} files - Paths relative to `inputDir` ("-" for stdin with `fromStdin`).
+ * @returns {Promise<number>} Process exit code: 1 when any file has an error.
+ */
+async function checkFiles(files, { inputDir, concurrency, projectConfig, fromStdin = false }) {
+  const converter = new MarkdownConverter(projectConfig.settings);
+  let results;
+  try {
+    results = await runWithConcurrency(files, concurrency, async (file) => {
+      const displayName = fromStdin ? 'stdin' : path.join(inputDir, file);
+      const config = fromStdin ? null : await projectConfig.forFile(file).catch(error => error);
+      let problems;
+      if (fromStdin) {
+        problems = await converter.checkMarkdown(await readStdin(), { baseDir: process.cwd() });
+      } else if (config instanceof Error) {
+        problems = [{ line: null, severity: 'error', message: config.message }];
+      } else {
+        problems = await converter.checkFile(path.join(inputDir, file), config);
+      }
+      logger.info('File checked', { inputFile: displayName, problemCount: problems.length });
+      printProblems(displayName, problems);
+      return problems;
+    });
+  } finally {
+    await converter.cleanup();
+  }
+
+  const problems = results.flat();
+  const errorCount = problems.filter(problem => problem.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+  const filesWithErrors = results.filter(fileProblems => fileProblems.some(problem => problem.severity === 'error')).length;
+
+  logger.info('Check completed', { fileCount: files.length, errorCount, warningCount });
+  const summary = `Checked ${files.length} files: ${errorCount} errors, ${warningCount} warnings`;
+  if (errorCount > 0) {
+    console.log(chalk.red(`✗ ${summary} (${filesWithErrors} files with errors)`));
+    return 1;
+  }
+  console.log(chalk.green(`✓ ${summary}`));
+  return 0;
+}
+
+/**
+ * Run the HTTP server (`serve` command) until SIGINT or SIGTERM, with the
+ * browser started up front so the first request does not wait for it.
+ */
+async function startServer(settings) {
+  const converter = new MarkdownConverter(settings);
+  const server = createConversionServer({ converter, config: settings, logger });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(settings.port, settings.host, resolve);
+  });
+  const { address, port } = server.address();
+  logger.info('Server listening', { host: address, port, concurrency: settings.concurrency, maxFileSize: settings.maxFileSize });
+  console.log(chalk.green(`Listening on http://${address}:${port} (POST /convert, GET /health)`));
+
+  try {
+    await converter.initializeBrowser();
+  } catch (error) {
+    // Keep serving: /health reports the problem and each request retries the launch
+    logger.error('Browser failed to start', { error: error.message });
+    console.error(chalk.red(`Browser failed to start: ${error.message}`));
+  }
+
+  const stop = async () => {
+    logger.info('Stopping server');
+    server.close();
+    await converter.cleanup();
+    process.exit(0);
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+// Collect repeated options (e.g. several --exclude globs) into an array
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 async function main() {
   const startTime = Date.now();
 
+  let serveOptions = null;
+  program
+    .command('serve')
+    .description('Run an HTTP server that converts markdown posted to /convert')
+    .option('--port <n>', 'Port to listen on (default: 3000)')
+    .option('--host <address>', 'Address to listen on (default: 127.0.0.1; use 0.0.0.0 in containers)')
+    .action((options) => {
+      serveOptions = options;
+    });
+
   program
     .name('markdown-mermaidjs-to-pdf')
     .description('Convert markdown files with Mermaid diagrams to PDF')
     .version(version)
-    .option('-i, --input <dir>', 'Input directory path (default: ./input)')
-    .option('-o, --output <dir>', 'Output directory path (default: ./output)')
+    .argument('[input]', 'Markdown file or directory to convert, or "-" to read markdown from stdin')
+    .option('-i, --input <path>', 'Input directory or markdown file (default: ./input)')
+    .option('-o, --output <path>', 'Output directory, PDF file for single-file input, or "-" for stdout (default: ./output)')
     .option('-v, --verbose', 'Enable verbose logging')
     .option('--no-logging', 'Disable logging')
     .option('--front-matter <mode>', 'Front matter handling: "none" (strip only) or "styled" (render title block)')
+    .option('-r, --recursive', 'Convert markdown files in subdirectories, mirroring the folder structure in the output directory')
+    .option('-w, --watch', 'Keep running and re-convert markdown files when they are added or changed')
+    .option('--delete-removed', 'In watch mode, delete the PDF of a markdown file that is removed')
+    .option('-c, --concurrency <n>', 'Number of files to convert in parallel, each in its own browser page (default: 1)')
+    .option('-f, --force', 'Rebuild every PDF, even those the build manifest reports as up to date')
+    .option('--strict', 'Fail a file when any of its Mermaid diagrams or math expressions fails to render or a local image or link target is missing, instead of printing an error in the PDF')
+    .option('--code-theme <theme>', 'Colours for code blocks: github, vs, xcode, atom-one-light, stackoverflow-light, a11y-light, grayscale or none (default: github)')
+    .option('--line-numbers', 'Number the lines of every code block')
+    .option('--toc', 'Put a table of contents with page numbers at the top of every document')
+    .option('--toc-depth <n>', 'Deepest heading level listed in tables of contents, 1-6 (default: 3)')
+    .option('--inline-images', 'Embed local images in the document, so the PDF never loads them from disk')
+    .option('--timeout <ms>', 'Give up on a file after this many milliseconds; 0 waits forever (default: 120000)')
+    .option('--retries <n>', 'Try a file that timed out or lost its browser this many more times (default: 0)')
+    .option('--output-name <template>', 'Name PDFs from front matter fields, e.g. "ADR-{id}_{title}" ({name} and {dir} are the source name and folder)')
+    .option('-b, --book <name>', 'Combine the markdown files into one PDF named <name> in the output directory')
+    .option('--chapters <file>', 'With --book, YAML file listing the chapter files in order (default: sorted file names)')
+    .option('--book-front-matter <file>', 'With --book, chapter whose front matter sets the PDF metadata (default: first chapter)')
+    .option('--check', 'Validate markdown, front matter and Mermaid diagrams without writing PDFs')
+    .option('--include <glob>', 'Only convert markdown files matching the glob (repeatable)', collect, [])
+    .option('--exclude <glob>', 'Skip markdown files matching the glob, in addition to .mdpdfignore (repeatable)', collect, [])
+    .option('--report <format> [path...]', 'Write a machine-readable run report, "json" or "junit", to path (default: mdpdf-report.json or .xml in the output directory)')
+    // Converting is the default command; an action lets commander accept [input] next to `serve`
+    .action(() => {})
     .parse();
 
   const options = program.opts();
@@ -46,115 +625,275 @@ async function main() {
       process.env.LOG_LEVEL = 'debug';
     }
 
+    const [inputArg] = program.args;
+    if (inputArg && options.input) {
+      console.error(chalk.red('Error: Pass the input either as an argument or with --input, not both.'));
+      process.exit(1);
+    }
+
+    let report = null;
+    if (options.report) {
+      try {
+        report = parseReportOption(options.report);
+        // `--report json docs` reads docs as the report path, not the input
+        if (report.path && (await fs.stat(report.path).catch(() => null))?.isDirectory()) {
+          throw new Error(`--report path ${report.path} is a directory; put the input before --report or pass it with --input.`);
+        }
+      } catch (error) {
+        logger.error(error.message);
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    }
+    const reportFormat = report?.format ?? null;
+    const startedAt = new Date(startTime);
+    const saveReport = async (results, reportDir, browser = null) => {
+      if (!reportFormat) {
+        return;
+      }
+      const reportPath = report.path || defaultReportPath(reportFormat, reportDir);
+      const runReport = buildReport(results, {
+        startedAt,
+        duration: Date.now() - startTime,
+        toolVersion: version,
+        outputDir: reportDir,
+        browser
+      });
+      await writeReport(reportFormat, reportPath, runReport);
+      logger.info('Run report written', { format: reportFormat, reportPath });
+    };
+
+    // Settings from flags, environment and .mdpdfrc.yml files, in that order of precedence
+    const flags = {
+      frontMatterMode: options.frontMatter,
+      recursive: options.recursive,
+      concurrency: options.concurrency,
+      outputName: options.outputName,
+      strict: options.strict,
+      codeTheme: options.codeTheme,
+      lineNumbers: options.lineNumbers,
+      toc: options.toc,
+      tocDepth: options.tocDepth,
+      inlineImages: options.inlineImages,
+      timeout: options.timeout,
+      retries: options.retries,
+      port: serveOptions?.port,
+      host: serveOptions?.host
+    };
+    const loadProjectConfig = async (dir) => {
+      try {
+        const projectConfig = await ProjectConfig.load(dir, { flags });
+        logger.info('Configuration resolved', { configFiles: projectConfig.configFiles, ...projectConfig.settings });
+        return projectConfig;
+      } catch (error) {
+        logger.error('Invalid configuration', { error: error.message });
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    };
+
+    if (serveOptions) {
+      if (options.watch || options.book || options.check || options.report) {
+        console.error(chalk.red('Error: serve cannot be combined with --watch, --book, --check or --report.'));
+        process.exit(1);
+      }
+      // Settings from the environment and a .mdpdfrc.yml in the working directory or above
+      const projectConfig = await loadProjectConfig(process.cwd());
+      await startServer(projectConfig.settings);
+      return;
+    }
+
+    // A single file (or stdin) produces a single PDF
+    const input = inputArg || options.input || './input';
+    const inputStats = input === '-' ? null : await fs.stat(input).catch(() => null);
+    if (options.check && (options.watch || options.book || options.report)) {
+      console.error(chalk.red('Error: --check cannot be combined with --watch, --book or --report.'));
+      process.exit(1);
+    }
+    if (options.book && options.outputName) {
+      console.error(chalk.red('Error: --output-name cannot be combined with --book; name the book PDF with --book <name>.'));
+      process.exit(1);
+    }
+
+    if (input === '-' || (inputStats && inputStats.isFile())) {
+      if (options.check) {
+        const projectConfig = await loadProjectConfig(input === '-' ? process.cwd() : path.dirname(input));
+        process.exit(await checkFiles([path.basename(input)], {
+          inputDir: path.dirname(input),
+          concurrency: 1,
+          projectConfig,
+          fromStdin: input === '-'
+        }));
+      }
+      if (options.book) {
+        console.error(chalk.red('Error: --book requires an input directory or a --chapters list.'));
+        process.exit(1);
+      }
+      if (options.watch) {
+        console.error(chalk.red('Error: --watch requires an input directory.'));
+        process.exit(1);
+      }
+      const toStdout = options.output === '-' || (input === '-' && !options.output);
+      if (toStdout) {
+        // Keep stdout clean for the PDF bytes
+        routeConsoleToStderr(logger);
+      }
+      logger.info('Starting Markdown to PDF single-file conversion', { input, output: options.output || null });
+      const projectConfig = await loadProjectConfig(input === '-' ? process.cwd() : path.dirname(input));
+      const result = await convertSingleFile(input, { output: options.output, toStdout, config: projectConfig.settings });
+      const singleOutputDir = result.outputFile && result.outputFile !== 'stdout' ? path.dirname(result.outputFile) : process.cwd();
+      await saveReport([result], singleOutputDir);
+      process.exit(result.success ? 0 : 1);
+    }
+
     // Set default directories
-    const inputDir = options.input || './input';
+    const inputDir = input;
     const outputDir = options.output || './output';
+    if (outputDir === '-') {
+      console.error(chalk.red('Error: Writing to stdout requires a single markdown file or "-" as input.'));
+      process.exit(1);
+    }
+    const projectConfig = await loadProjectConfig(options.chapters ? path.dirname(options.chapters) : inputDir);
+    const { recursive, concurrency, outputName } = projectConfig.settings;
+    const watch = Boolean(options.watch);
 
     logger.info('Starting Markdown to PDF batch converter', {
       inputDir,
       outputDir,
+      recursive,
+      watch,
+      concurrency,
       loggingEnabled: process.env.LOGGING_ENABLED !== 'false',
       logLevel: process.env.LOG_LEVEL || 'info'
     });
 
-    // Check if input directory exists
-    if (!await fs.pathExists(inputDir)) {
+    // Check if input directory exists (a chapter list names its files itself)
+    if (!options.chapters && !await fs.pathExists(inputDir)) {
       logger.error(`Input directory not found: ${inputDir}`);
       console.error(chalk.red(`Error: Input directory not found: ${inputDir}`));
       process.exit(1);
     }
 
+    // Select files with --include, .mdpdfignore and --exclude
+    const filter = createFileFilter({
+      include: options.include,
+      exclude: [...await loadIgnorePatterns(inputDir), ...options.exclude]
+    });
+
+    if (options.check) {
+      const { files } = await findMarkdownFiles(inputDir, { recursive, excludeDir: outputDir, filter });
+      process.exit(await checkFiles(files, { inputDir, concurrency, projectConfig }));
+    }
+
     // Create output directory if it doesn't exist
     await fs.ensureDir(outputDir);
     logger.info('Output directory ensured', { outputDir });
 
-    // Find all markdown files in input directory
-    const files = await fs.readdir(inputDir);
-    const markdownFiles = files.filter(file =>
-      file.toLowerCase().endsWith('.md') || file.toLowerCase().endsWith('.markdown')
-    );
+    if (options.book) {
+      if (watch) {
+        console.error(chalk.red('Error: --watch cannot be combined with --book.'));
+        process.exit(1);
+      }
+      let chapters;
+      let frontMatterFrom = options.bookFrontMatter ? path.resolve(options.bookFrontMatter) : undefined;
+      if (options.chapters) {
+        const chapterList = await loadChapterList(options.chapters);
+        chapters = chapterList.chapters;
+        frontMatterFrom = frontMatterFrom || chapterList.frontMatter;
+      } else {
+        const { files, excludedFiles } = await findMarkdownFiles(inputDir, { recursive, excludeDir: outputDir, filter });
+        if (excludedFiles.length > 0) {
+          logger.debug('Excluded markdown files', { excludedFiles });
+        }
+        chapters = files.map(file => path.join(inputDir, file));
+      }
+
+      if (chapters.length === 0) {
+        logger.warn('No markdown files found for the book');
+        console.log(chalk.yellow(`No markdown files found in: ${inputDir}`));
+        process.exit(0);
+      }
+      const result = await convertBook(chapters, {
+        outputPath: toBookPdfPath(outputDir, options.book),
+        frontMatterFrom,
+        config: projectConfig.settings
+      });
+      await saveReport([result], outputDir);
+      process.exit(result.success ? 0 : 1);
+    }
+
+    // Find all markdown files in input directory (paths relative to inputDir)
+    const { files: markdownFiles, excludedFiles, totalFiles } = await findMarkdownFiles(inputDir, {
+      recursive,
+      excludeDir: outputDir,
+      filter
+    });
 
     logger.info('Found markdown files', {
-      totalFiles: files.length,
+      totalFiles,
       markdownFilesCount: markdownFiles.length,
+      excludedFilesCount: excludedFiles.length,
       markdownFiles: markdownFiles
     });
+    if (excludedFiles.length > 0) {
+      logger.debug('Excluded markdown files', { excludedFiles });
+    }
 
     if (markdownFiles.length === 0) {
       logger.warn('No markdown files found in input directory');
       console.log(chalk.yellow(`No markdown files found in: ${inputDir}`));
-      process.exit(0);
-    }
-
-    const frontMatterMode = options.frontMatter || process.env.FRONT_MATTER_MODE || 'none';
-    if (!['none', 'styled'].includes(frontMatterMode)) {
-      logger.error(`Invalid --front-matter mode: ${frontMatterMode}`);
-      console.error(chalk.red(`Error: Invalid --front-matter mode "${frontMatterMode}". Use "none" or "styled".`));
-      process.exit(1);
+      if (!watch) {
+        await saveReport([], outputDir);
+        process.exit(0);
+      }
     }
 
     // Initialize converter
     logger.info('Initializing converter');
-    const converter = new MarkdownConverter({ frontMatterMode });
+    const converter = new MarkdownConverter(projectConfig.settings);
 
-    // Process each markdown file
-    let successCount = 0;
-    let errorCount = 0;
-    const conversionTimes = [];
+    // Skip files whose PDF is current according to the build manifest
+    const force = Boolean(options.force);
+    const manifest = await BuildManifest.load({ inputDir, outputDir, toolVersion: version, logger });
+
+    // Name every PDF up front (--output-name) and refuse names claimed twice
+    const namer = new OutputNamer({ inputDir, template: outputName });
+    const namedFiles = await nameOutputFiles(namer, markdownFiles);
+    // Links between batch files open the other file's PDF
+    const documents = batchDocuments(inputDir, outputDir, namedFiles);
+
+    // Process markdown files, up to `concurrency` pages at a time
+    let conversionTimes = [];
 
     try {
-      for (const file of markdownFiles) {
-        const fileStartTime = Date.now();
-        const inputPath = path.join(inputDir, file);
-        const outputFile = file.replace(/\.(md|markdown)$/i, '.pdf');
-        const outputPath = path.join(outputDir, outputFile);
-
-        try {
-          logger.info('Converting file', { inputFile: file, outputFile });
-          console.log(chalk.blue(`Converting: ${file} → ${outputFile}`));
-
-          await converter.convertToPdf(inputPath, outputPath);
-
-          const fileEndTime = Date.now();
-          const fileDuration = fileEndTime - fileStartTime;
-          conversionTimes.push({ file, duration: fileDuration, success: true });
-
-          logger.info('File converted successfully', {
-            inputFile: file,
-            outputFile,
-            duration: fileDuration,
-            durationFormatted: formatDuration(fileDuration)
-          });
-          console.log(chalk.green(`✓ ${file} → ${outputFile} (${formatDuration(fileDuration)})`));
-          successCount++;
-
-        } catch (error) {
-          const fileEndTime = Date.now();
-          const fileDuration = fileEndTime - fileStartTime;
-          conversionTimes.push({ file, duration: fileDuration, success: false });
-
-          logger.error('File conversion failed', {
-            inputFile: file,
-            error: error.message,
-            stack: error.stack,
-            duration: fileDuration,
-            durationFormatted: formatDuration(fileDuration)
-          });
-          console.error(chalk.red(`✗ ${file}: ${error.message} (${formatDuration(fileDuration)})`));
-          errorCount++;
-        }
-      }
+      conversionTimes = await runWithConcurrency(namedFiles, concurrency, ({ file, outputFile, error }) =>
+        (error
+          ? namingFailure(file, error)
+          : buildFile(converter, manifest, { inputDir, outputDir, file, outputFile, force, projectConfig, documents }))
+      );
+      await manifest.save();
     } finally {
-      // Clean up browser after all conversions
-      logger.info('Cleaning up converter resources');
-      await converter.cleanup();
+      // Clean up browser after all conversions (watch mode keeps it for rebuilds)
+      if (!watch) {
+        logger.info('Cleaning up converter resources');
+        await converter.cleanup();
+      }
     }
 
+    await saveReport(conversionTimes, outputDir, { ...converter.browserStats });
+
+    const skippedCount = conversionTimes.filter(t => t.skipped).length;
+    const successCount = conversionTimes.filter(t => t.success && !t.skipped).length;
+    const errorCount = conversionTimes.filter(t => !t.success).length;
+    const timedOutCount = conversionTimes.filter(t => (t.events || []).some(e => e.type === 'timeout')).length;
+    const retriedCount = conversionTimes.filter(t => t.attempts > 1).length;
+    const browserRelaunches = Math.max(converter.browserStats.launches - 1, 0);
+
     const totalEndTime = Date.now();
     const totalDuration = totalEndTime - startTime;
 
     // Calculate timing statistics
-    const successfulTimes = conversionTimes.filter(t => t.success).map(t => t.duration);
+    const successfulTimes = conversionTimes.filter(t => t.success && !t.skipped).map(t => t.duration);
 
     const avgSuccessTime = successfulTimes.length > 0 ?
       successfulTimes.reduce((a, b) => a + b, 0) / successfulTimes.length : 0;
@@ -164,7 +903,12 @@ async function main() {
     // Summary
     logger.info('Batch conversion completed', {
       successCount,
+      skippedCount,
       errorCount,
+      timedOutCount,
+      retriedCount,
+      browserRelaunches,
+      browserDisconnects: converter.browserStats.disconnects,
       totalDuration,
       totalDurationFormatted: formatDuration(totalDuration),
       avgSuccessTime: avgSuccessTime,
@@ -177,9 +921,21 @@ async function main() {
 
     console.log(chalk.blue('\n=== Conversion Summary ==='));
     console.log(chalk.green(`✓ Successfully converted: ${successCount} files`));
+    if (skippedCount > 0) {
+      console.log(chalk.gray(`- Skipped (up to date): ${skippedCount} files`));
+    }
     if (errorCount > 0) {
       console.log(chalk.red(`✗ Failed conversions: ${errorCount} files`));
     }
+    if (timedOutCount > 0) {
+      console.log(chalk.yellow(`⏳ Timed out: ${timedOutCount} files`));
+    }
+    if (retriedCount > 0) {
+      console.log(chalk.yellow(`↻ Retried: ${retriedCount} files`));
+    }
+    if (converter.browserStats.disconnects > 0) {
+      console.log(chalk.yellow(`⚠ Browser disconnected: ${converter.browserStats.disconnects} times (relaunched ${browserRelaunches} times)`));
+    }
     console.log(chalk.blue(`📁 Output directory: ${outputDir}`));
     console.log(chalk.blue(`⏱️  Total processing time: ${formatDuration(totalDuration)}`));
 
@@ -193,15 +949,38 @@ async function main() {
     // Detailed timing breakdown
     if (conversionTimes.length > 0) {
       console.log(chalk.blue('\n📋 Detailed timing breakdown:'));
-      conversionTimes.forEach(({ file, duration, success }) => {
+      conversionTimes.forEach(({ file, duration, success, skipped, attempts }) => {
+        if (skipped) {
+          console.log(`   ${chalk.gray('-')} ${file}: ${chalk.gray('up to date')}`);
+          return;
+        }
         const status = success ? chalk.green('✓') : chalk.red('✗');
         const timeColor = success ? chalk.green : chalk.red;
-        console.log(`   ${status} ${file}: ${timeColor(formatDuration(duration))}`);
+        const tries = attempts > 1 ? chalk.yellow(` (${attempts} attempts)`) : '';
+        console.log(`   ${status} ${file}: ${timeColor(formatDuration(duration))}${tries}`);
+      });
+    }
+
+    if (watch) {
+      startWatchMode(converter, {
+        inputDir,
+        outputDir,
+        recursive,
+        files: markdownFiles,
+        results: conversionTimes,
+        filter,
+        deleteRemoved: Boolean(options.deleteRemoved),
+        manifest,
+        force,
+        projectConfig,
+        namer,
+        documents
       });
+      return;
     }
 
     // Exit with appropriate error code
-    if (errorCount > 0 && successCount === 0) {
+    if (errorCount > 0 && successCount === 0 && skippedCount === 0) {
       // All conversions failed
       process.exit(1);
     } else if (errorCount > 0) {
@@ -242,4 +1021,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { main };
+module.exports = { main, convertFile, buildFile, checkFiles };
@@ -0,0 +1,122 @@
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { PDFDocument, PDFName, PDFDict, PDFString, PDFHexString } = require('pdf-lib');
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Links between the documents of a batch. While rendering, links to another
+ * batch document point at its PDF (`link()`); once printed, `rewritePdf()`
+ * turns those into links that open the other PDF from wherever the PDFs are
+ * copied to, at the named destination of the `#anchor`.
+ *
+ * @param {Map<string, string>} documents - Absolute markdown path → absolute path of its PDF.
+ * @param {string} inputPath - The markdown file being converted, one of `documents`.
+ */
+function createDocumentLinks(documents, inputPath) {
+  const self = path.resolve(inputPath);
+  return {
+    /**
+     * The href for a link to the markdown file `filePath`, or null when it is
+     * not part of the batch. `fragment` is the link's `#anchor`, or ''.
+     */
+    link(filePath, fragment) {
+      if (filePath === self && fragment) {
+        return fragment;
+      }
+      const pdfPath = documents.get(filePath);
+      return pdfPath ? pathToFileURL(pdfPath).href + fragment : null;
+    },
+
+    rewritePdf(pdfBytes, outputPath) {
+      return rewriteDocumentLinks(pdfBytes, outputPath, new Set(documents.values()));
+    }
+  };
+}
+
+/**
+ * Hidden links to every heading. Chromium only writes named destinations for
+ * elements that an internal link targets, and other documents of the batch
+ * may link to any heading.
+ *
+ * @param {{ id: string }[]} headings
+ */
+function renderLinkTargets(headings) {
+  if (headings.length === 0) {
+    return '';
+  }
+  const links = headings.map(({ id }) => `<a href="#${escapeHtml(id)}"></a>`);
+  return `<nav class="link-targets" hidden>${links.join('')}</nav>\n`;
+}
+
+// The heading ID a URL's `#fragment` names; a stray % is taken literally
+function fragmentOf(url) {
+  const fragment = url.hash.slice(1);
+  try {
+    return decodeURIComponent(fragment);
+  } catch {
+    return fragment;
+  }
+}
+
+// The PDF and named destination a `file:` URI of a link points at, when the PDF is one of `pdfPaths`
+function linkTarget(uri, pdfPaths) {
+  if (!/^file:/i.test(uri)) {
+    return null;
+  }
+  try {
+    const url = new URL(uri);
+    const pdfPath = fileURLToPath(url);
+    return pdfPaths.has(pdfPath) ? { pdfPath, destination: fragmentOf(url) } : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn the `file:` URI links of a printed PDF that point at `pdfPaths` into
+ * remote go-to actions: the target PDF relative to `outputPath`, opened at the
+ * named destination of the link's anchor, or at the first page without one.
+ *
+ * @param {Uint8Array} pdfBytes
+ * @param {string} outputPath - Where the PDF is written.
+ * @param {Set<string>} pdfPaths - Absolute paths of the PDFs links may point at.
+ * @returns {Promise<{ pdf: Uint8Array, rewritten: number }>} `pdf` is `pdfBytes` when no link was rewritten.
+ */
+async function rewriteDocumentLinks(pdfBytes, outputPath, pdfPaths) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const fromDir = path.dirname(path.resolve(outputPath));
+  let rewritten = 0;
+
+  for (const page of pdfDoc.getPages()) {
+    const annotations = page.node.Annots();
+    for (let i = 0; annotations && i < annotations.size(); i++) {
+      const annotation = annotations.lookup(i);
+      const action = annotation instanceof PDFDict ? annotation.lookup(PDFName.of('A')) : null;
+      if (!(action instanceof PDFDict) || action.lookup(PDFName.of('S')) !== PDFName.of('URI')) {
+        continue;
+      }
+      const uri = action.lookup(PDFName.of('URI'));
+      const target = uri instanceof PDFString || uri instanceof PDFHexString ? linkTarget(uri.decodeText(), pdfPaths) : null;
+      if (!target) {
+        continue;
+      }
+      const relativePath = path.relative(fromDir, target.pdfPath).split(path.sep).join('/');
+      action.delete(PDFName.of('URI'));
+      action.set(PDFName.of('S'), PDFName.of('GoToR'));
+      action.set(PDFName.of('F'), PDFString.of(relativePath));
+      // Chromium keeps named destinations in the catalog's /Dests, which names look up.
+      // It writes the UTF-8 bytes of the ID, and pdf-lib writes each character as one byte.
+      action.set(PDFName.of('D'), target.destination
+        ? PDFName.of(Buffer.from(target.destination, 'utf8').toString('latin1'))
+        : pdfDoc.context.obj([0, 'Fit']));
+      rewritten++;
+    }
+  }
+
+  return { pdf: rewritten ? await pdfDoc.save() : pdfBytes, rewritten };
+}
+
+module.exports = { createDocumentLinks, renderLinkTargets, rewriteDocumentLinks };
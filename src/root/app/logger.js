@@ -1,10 +1,13 @@
 const winston = require('winston');
 const path = require('path');
 
+const ALL_LEVELS = Object.keys(winston.config.npm.levels);
+
 function setupLogger() {
   const isLoggingEnabled = process.env.LOGGING_ENABLED !== 'false';
   const logLevel = process.env.LOG_LEVEL || 'info';
   const logDir = process.env.LOG_DIR || 'logs';
+  const logToStderr = process.env.LOG_TO_STDERR === 'true';
 
   // Create logs directory if it doesn't exist
   if (isLoggingEnabled) {
@@ -106,7 +109,8 @@ function setupLogger() {
     transports.push(
       new winston.transports.Console({
         format: consoleFormat,
-        level: logLevel
+        level: logLevel,
+        stderrLevels: logToStderr ? ALL_LEVELS : []
       })
     );
   }
@@ -143,4 +147,20 @@ function setupLogger() {
   return logger;
 }
 
-module.exports = { setupLogger };
+// Logger that drops every message, for library use where the host application owns the output
+function createSilentLogger() {
+  return winston.createLogger({ silent: true });
+}
+
+// Send console log output to stderr, e.g. when stdout carries PDF bytes.
+// Loggers created afterwards pick this up through LOG_TO_STDERR.
+function routeConsoleToStderr(logger) {
+  process.env.LOG_TO_STDERR = 'true';
+  logger.transports
+    .filter(transport => transport instanceof winston.transports.Console)
+    .forEach(transport => {
+      transport.stderrLevels = Object.fromEntries(ALL_LEVELS.map(level => [level, true]));
+    });
+}
+
+module.exports = { setupLogger, createSilentLogger, routeConsoleToStderr };
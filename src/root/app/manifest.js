@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+const MANIFEST_FILENAME = '.mdpdf-manifest.json';
+const MANIFEST_VERSION = 1;
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// JSON with sorted object keys, so equal options always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashOptions(options) {
+  return hashContent(stableStringify(options));
+}
+
+async function hashFile(filePath) {
+  try {
+    return hashContent(await fs.readFile(filePath));
+  } catch (error) {
+    // An image reference can name a directory, which is as good as missing
+    if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record of the PDFs produced by previous batch runs, stored as
+ * `.mdpdf-manifest.json` in the output directory.
+ *
+ * Each entry is keyed by the markdown path relative to the input directory and
+ * records the hash of every input the PDF was built from, a hash of the
+ * resolved conversion options and the Mermaid version. A file is current when
+ * all of these still match and its PDF exists.
+ */
+class BuildManifest {
+  constructor({ inputDir, outputDir, toolVersion, data }) {
+    this.inputDir = inputDir;
+    this.outputDir = outputDir;
+    this.toolVersion = toolVersion;
+    // A manifest written by another tool version is ignored as a whole
+    const usable = data && data.version === MANIFEST_VERSION && data.toolVersion === toolVersion;
+    this.files = usable && data.files ? data.files : {};
+  }
+
+  /**
+   * Load the manifest from `outputDir`. A missing or unreadable manifest
+   * yields an empty one, so every file is rebuilt.
+   */
+  static async load({ inputDir, outputDir, toolVersion, logger }) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILENAME);
+    let data = null;
+    try {
+      data = await fs.readJson(manifestPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && logger) {
+        logger.warn('Ignoring unreadable build manifest', { manifestPath, error: error.message });
+      }
+    }
+    return new BuildManifest({ inputDir, outputDir, toolVersion, data });
+  }
+
+  /**
+   * Fingerprint of a source before conversion.
+   *
+   * @param {string} file - Markdown path relative to the input directory.
+   * @param {{ options: object, mermaidVersion: string, outputFile: string }} build
+   */
+  async fingerprint(file, { options, mermaidVersion, outputFile }) {
+    return {
+      sourceHash: await hashFile(path.join(this.inputDir, file)),
+      optionsHash: hashOptions(options),
+      mermaidVersion,
+      outputFile
+    };
+  }
+
+  /**
+   * Whether the PDF recorded for `file` is still current for `fingerprint`.
+   */
+  async isCurrent(file, fingerprint) {
+    const entry = this.files[file];
+    if (!entry ||
+      entry.optionsHash !== fingerprint.optionsHash ||
+      entry.mermaidVersion !== fingerprint.mermaidVersion ||
+      entry.outputFile !== fingerprint.outputFile ||
+      entry.inputs[file] !== fingerprint.sourceHash) {
+      return false;
+    }
+
+    for (const [input, hash] of Object.entries(entry.inputs)) {
+      if (input !== file && await hashFile(path.join(this.inputDir, input)) !== hash) {
+        return false;
+      }
+    }
+
+    return fs.pathExists(path.join(this.outputDir, entry.outputFile));
+  }
+
+  /**
+   * Hashes of files a conversion read besides its source, such as included
+   * files and images, keyed like the entries of `inputs`.
+   *
+   * @param {string[]} filePaths - Absolute paths.
+   * @returns {Promise<Object<string, string|null>>} null for files that do not exist or are directories.
+   */
+  async hashInputs(filePaths) {
+    const inputs = {};
+    for (const filePath of filePaths) {
+      inputs[path.relative(this.inputDir, filePath)] = await hashFile(filePath);
+    }
+    return inputs;
+  }
+
+  /**
+   * Absolute paths of the inputs recorded for `file` other than the file itself.
+   */
+  includesOf(file) {
+    const entry = this.files[file];
+    return entry ? Object.keys(entry.inputs).filter(input => input !== file).map(input => path.resolve(this.inputDir, input)) : [];
+  }
+
+  /**
+   * Record a successful conversion of `file`.
+   *
+   * @param {string} file - Markdown path relative to the input directory.
+   * @param {object} fingerprint - Result of `fingerprint()` taken before the conversion.
+   * @param {Object<string, string|null>} [inputs] - Other files the conversion read, from `hashInputs()`.
+   */
+  record(file, fingerprint, inputs = {}) {
+    this.files[file] = {
+      inputs: { ...inputs, [file]: fingerprint.sourceHash },
+      optionsHash: fingerprint.optionsHash,
+      mermaidVersion: fingerprint.mermaidVersion,
+      outputFile: fingerprint.outputFile,
+      convertedAt: new Date().toISOString()
+    };
+  }
+
+  forget(file) {
+    delete this.files[file];
+  }
+
+  async save() {
+    const sortedFiles = {};
+    Object.keys(this.files).sort().forEach(file => {
+      sortedFiles[file] = this.files[file];
+    });
+    await fs.outputJson(path.join(this.outputDir, MANIFEST_FILENAME), {
+      version: MANIFEST_VERSION,
+      toolVersion: this.toolVersion,
+      files: sortedFiles
+    }, { spaces: 2 });
+  }
+}
+
+module.exports = { BuildManifest, MANIFEST_FILENAME, hashContent, hashOptions };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+// `\label{key}` inside a display equation; the equation is numbered and can be referenced
+const LABEL = /\\label\{([^}]*)\}/;
+const TAG = /\\tag\*?\{([^}]*)\}/;
+// A reference left by the renderer, filled in once every label of the document is known
+const REFERENCE_PLACEHOLDER = /<a class="math-ref" href="[^"]*" data-math-ref="(\d+)"><\/a>/g;
+
+let katex = null;
+let katexCss = null;
+
+// Loaded on the first expression, like highlight.js in syntax.js
+function renderer() {
+  if (!katex) {
+    katex = require('katex');
+  }
+  return katex;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function equationId(key) {
+  return `eq-${key.replace(/[^\w:.-]+/g, '-')}`;
+}
+
+/**
+ * Renders `$...$` and `$$...$$` math with KaTeX while a document is turned
+ * into HTML, numbering labelled display equations and collecting references
+ * and errors. One renderer serves one output document at a time; `reset()`
+ * starts the next, so numbering runs on across the chapters of a book.
+ */
+function createMathRenderer() {
+  const labels = new Map();
+  return {
+    // Expressions that failed to render: { expression, raw, message }
+    errors: [],
+    // `\ref` and `\eqref` uses in document order: { key, raw, parenthesized }
+    references: [],
+    // Labels defined twice: { key, raw }
+    duplicates: [],
+    count: 0,
+
+    /**
+     * Render one expression. A display equation with `\label{key}` gets the
+     * next number (or its own `\tag`) and the id `eq-key`. Errors are recorded
+     * and rendered as a marker instead of throwing.
+     *
+     * @param {string} expression - TeX source without the dollar signs.
+     * @param {{ display: boolean, raw: string, block?: boolean }} options - `raw` is the source text, dollars included.
+     */
+    render(expression, { display, raw, block = false }) {
+      let tex = expression.trim();
+      let id = null;
+      const label = display ? LABEL.exec(tex) : null;
+      if (label) {
+        const key = label[1].trim();
+        tex = tex.replace(LABEL, '');
+        const tag = TAG.exec(tex);
+        let number = tag ? tag[1] : null;
+        if (!number) {
+          this.count += 1;
+          number = String(this.count);
+          tex += `\\tag{${number}}`;
+        }
+        if (labels.has(key)) {
+          this.duplicates.push({ key, raw });
+        } else {
+          labels.set(key, number);
+        }
+        id = equationId(key);
+      }
+
+      const element = block ? 'div' : 'span';
+      const className = display ? 'math math-display' : 'math math-inline';
+      const idAttribute = id ? ` id="${escapeHtml(id)}"` : '';
+      try {
+        const html = renderer().renderToString(tex, { displayMode: display, throwOnError: true, output: 'html', strict: 'ignore' });
+        return `<${element} class="${className}"${idAttribute}>${html}</${element}>${block ? '\n' : ''}`;
+      } catch (error) {
+        const message = String(error.rawMessage || error.message);
+        this.errors.push({ expression: tex, raw, message });
+        return `<${element} class="math-error" title="${escapeHtml(message)}">${escapeHtml(raw)}</${element}>${block ? '\n' : ''}`;
+      }
+    },
+
+    /**
+     * A `\ref{key}` or `\eqref{key}`: a link to the equation whose number is
+     * filled in by `resolveReferences` once the whole document is rendered.
+     */
+    reference(key, { parenthesized, raw }) {
+      const trimmed = key.trim();
+      this.references.push({ key: trimmed, raw, parenthesized });
+      return `<a class="math-ref" href="#${escapeHtml(equationId(trimmed))}" data-math-ref="${this.references.length - 1}"></a>`;
+    },
+
+    /**
+     * Fill in the equation numbers of the references in `html`. References to
+     * labels that do not exist read `??`.
+     *
+     * @returns {{ html: string, missing: object[] }} `missing` are the unresolved entries of `references`.
+     */
+    resolveReferences(html) {
+      const missing = [];
+      const resolved = html.replace(REFERENCE_PLACEHOLDER, (placeholder, index) => {
+        const reference = this.references[Number(index)];
+        const number = labels.get(reference.key);
+        if (number === undefined) {
+          missing.push(reference);
+        }
+        const text = escapeHtml(number ?? '??');
+        return placeholder.replace('></a>', `>${reference.parenthesized ? `(${text})` : text}</a>`);
+      });
+      return { html: resolved, missing };
+    },
+
+    reset() {
+      labels.clear();
+      this.errors = [];
+      this.references = [];
+      this.duplicates = [];
+      this.count = 0;
+    }
+  };
+}
+
+/**
+ * `marked` extensions for block `$$...$$`, inline `$...$` and `$$...$$`, and
+ * `\ref{key}` / `\eqref{key}` in text or as the only content of inline math.
+ *
+ * As in Pandoc, an inline `$` opens math only when not followed by a space and
+ * closes it only when not preceded by a space nor followed by a digit, so
+ * prices such as "$5 and $10" stay text. `\$` is a literal dollar.
+ */
+function mathExtensions(math) {
+  const referenceOnly = /^\\(eq)?ref\{([^}]+)\}$/;
+  const renderInline = (token) => {
+    const reference = token.display ? null : referenceOnly.exec(token.text.trim());
+    return reference
+      ? math.reference(reference[2], { parenthesized: Boolean(reference[1]), raw: token.raw })
+      : math.render(token.text, { display: token.display, raw: token.raw });
+  };
+
+  return [
+    {
+      name: 'mathBlock',
+      level: 'block',
+      // Only where a line starts: marked passes the paragraph minus its first character
+      start(src) {
+        const match = /\n {0,3}\$\$/.exec(src);
+        return match ? match.index + 1 : undefined;
+      },
+      tokenizer(src) {
+        const match = /^ {0,3}\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/.exec(src);
+        if (match) {
+          return { type: 'mathBlock', raw: match[0], text: match[1] };
+        }
+        return undefined;
+      },
+      renderer(token) {
+        return math.render(token.text, { display: true, raw: token.raw.trim(), block: true });
+      }
+    },
+    {
+      name: 'mathInline',
+      level: 'inline',
+      start(src) {
+        return /(?<!\\)\$|\\(?:eq)?ref\{/.exec(src)?.index;
+      },
+      tokenizer(src) {
+        const display = /^\$\$(?!\$)([\s\S]+?)\$\$/.exec(src);
+        if (display) {
+          return { type: 'mathInline', raw: display[0], text: display[1], display: true };
+        }
+        const inline = /^\$(?![\s$])((?:\\.|[^\\$])+?)(?<!\s)\$(?!\d)/.exec(src);
+        if (inline) {
+          return { type: 'mathInline', raw: inline[0], text: inline[1], display: false };
+        }
+        return undefined;
+      },
+      renderer: renderInline
+    },
+    {
+      name: 'mathReference',
+      level: 'inline',
+      tokenizer(src) {
+        const match = /^\\(eq)?ref\{([^}]+)\}/.exec(src);
+        if (match) {
+          return { type: 'mathReference', raw: match[0], key: match[2], parenthesized: Boolean(match[1]) };
+        }
+        return undefined;
+      },
+      renderer(token) {
+        return math.reference(token.key, { parenthesized: token.parenthesized, raw: token.raw });
+      }
+    }
+  ];
+}
+
+/**
+ * Set `line` on each entry to the 1-based line of its `raw` text in `content`,
+ * searching forward from the previous entry, as the entries are in document order.
+ */
+function locateInSource(entries, content, lineOffset = 0) {
+  let cursor = 0;
+  for (const entry of entries) {
+    const index = content.indexOf(entry.raw, cursor);
+    if (index === -1) {
+      entry.line = null;
+      continue;
+    }
+    entry.line = content.slice(0, index).split('\n').length + lineOffset;
+    cursor = index + entry.raw.length;
+  }
+  return entries;
+}
+
+/**
+ * KaTeX's stylesheet with its fonts inlined as data URIs, so math renders
+ * without network access or files next to the page. Only the WOFF2 fonts are
+ * kept; Chromium reads them all.
+ */
+function mathCss() {
+  if (katexCss === null) {
+    const cssPath = require.resolve('katex/dist/katex.min.css');
+    const fontDir = path.join(path.dirname(cssPath), 'fonts');
+    katexCss = fs.readFileSync(cssPath, 'utf8').replace(/src:url\(fonts\/([\w-]+\.woff2)\)[^;}]*/g, (_, font) => {
+      const data = fs.readFileSync(path.join(fontDir, font)).toString('base64');
+      return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+    });
+  }
+  return katexCss;
+}
+
+module.exports = { createMathRenderer, mathExtensions, locateInSource, mathCss };
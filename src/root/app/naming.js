@@ -0,0 +1,189 @@
+const fs = require('fs-extra');
+const path = require('path');
+const matter = require('./frontmatter');
+const { toPdfPath } = require('./files');
+
+const PLACEHOLDER = /\{([^{}]*)\}/g;
+const FIELD_NAME = /^[A-Za-z_][\w-]*(\.[A-Za-z_][\w-]*)*$/;
+
+// Placeholders filled from the source path rather than the front matter
+const PATH_FIELDS = new Set(['name', 'dir']);
+
+/**
+ * Make a front matter value safe for use in a file name: accents are
+ * stripped, everything but letters, digits, `.`, `_` and `-` becomes a dash,
+ * and the result is lower-cased.
+ *
+ * @param {*} value - Front matter value; dates become `YYYY-MM-DD`, lists are joined with dashes.
+ * @returns {string}
+ */
+function slugify(value) {
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString().split('T')[0];
+  } else if (Array.isArray(value)) {
+    text = value.join('-');
+  } else {
+    text = String(value);
+  }
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+/**
+ * Validate an output name template such as `ADR-{id}_{title}_v{version}`.
+ *
+ * Placeholders are `{name}` (source file name without extension), `{dir}`
+ * (source directory relative to the input directory) and any front matter
+ * key, with dots for nested keys (`{meta.id}`).
+ *
+ * @param {string} template - Template without or with a `.pdf` extension.
+ * @returns {string} The template.
+ * @throws {Error} When the template is malformed.
+ */
+function parseOutputNameTemplate(template) {
+  if (typeof template !== 'string' || template.trim() === '') {
+    throw new Error('Invalid output name template: it is empty.');
+  }
+  const literal = template.replace(PLACEHOLDER, '');
+  if (/[{}]/.test(literal)) {
+    throw new Error(`Invalid output name template "${template}": unbalanced braces.`);
+  }
+  for (const [, field] of template.matchAll(PLACEHOLDER)) {
+    if (!FIELD_NAME.test(field)) {
+      throw new Error(`Invalid output name template "${template}": "{${field}}" is not a valid field name.`);
+    }
+  }
+  if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+    throw new Error(`Invalid output name template "${template}": names must stay inside the output directory.`);
+  }
+  return template;
+}
+
+function lookup(data, field) {
+  return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function usesFrontMatter(template) {
+  return [...template.matchAll(PLACEHOLDER)].some(([, field]) => !PATH_FIELDS.has(field));
+}
+
+/**
+ * Fill in an output name template for one source file.
+ *
+ * @param {string} template - Template accepted by `parseOutputNameTemplate`.
+ * @param {{ file: string, frontMatter?: object }} source - `file` is relative to the input directory.
+ * @returns {string} PDF path relative to the output directory.
+ * @throws {Error} When a front matter field is missing or a value leaves nothing of the name.
+ */
+function renderOutputName(template, { file, frontMatter = {} }) {
+  const name = path.basename(file).replace(/\.(md|markdown)$/i, '');
+  const dir = path.dirname(file) === '.' ? '' : path.dirname(file);
+
+  const rendered = template.replace(PLACEHOLDER, (_, field) => {
+    if (field === 'name') {
+      return name;
+    }
+    if (field === 'dir') {
+      return dir.split(path.sep).join('/');
+    }
+    const value = lookup(frontMatter, field);
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`Output name template uses {${field}}, but the front matter has no "${field}"`);
+    }
+    const slug = slugify(value);
+    if (!slug) {
+      throw new Error(`Output name template field {${field}} has no usable characters: ${JSON.stringify(value)}`);
+    }
+    return slug;
+  });
+
+  const segments = rendered.split(/[\\/]/).filter(segment => segment !== '' && segment !== '.');
+  if (segments.length === 0 || segments.includes('..')) {
+    throw new Error(`Output name template produces an invalid name for ${file}: "${rendered}"`);
+  }
+  const relativePath = segments.join(path.sep);
+  return /\.pdf$/i.test(relativePath) ? relativePath : `${relativePath}.pdf`;
+}
+
+/**
+ * Assigns output PDF names to the markdown files of a run and refuses to
+ * give two sources the same PDF.
+ *
+ * Names are claimed in the order files are resolved, so the first source
+ * keeps its PDF and a later one that would overwrite it fails. Claims are
+ * compared case-insensitively, as on macOS and Windows file systems.
+ */
+class OutputNamer {
+  /**
+   * @param {object} options
+   * @param {string} options.inputDir - Directory the markdown paths are relative to.
+   * @param {string|null} [options.template] - Output name template; null keeps the source name.
+   */
+  constructor({ inputDir, template = null }) {
+    this.inputDir = inputDir;
+    this.template = template;
+    this.claims = new Map();
+    this.outputFiles = new Map();
+  }
+
+  /**
+   * Name the PDF for `file` and claim it.
+   *
+   * @param {string} file - Markdown path relative to the input directory.
+   * @param {object} [options]
+   * @param {string|Buffer} [options.content] - Source already in memory (otherwise read from disk when needed).
+   * @returns {Promise<string>} PDF path relative to the output directory.
+   * @throws {Error} When the name cannot be rendered or another source already claimed it.
+   */
+  async resolve(file, { content } = {}) {
+    let outputFile = toPdfPath(file);
+    if (this.template) {
+      let frontMatter = {};
+      if (usesFrontMatter(this.template)) {
+        const source = content ?? await fs.readFile(path.join(this.inputDir, file), 'utf8');
+        frontMatter = matter(String(source)).data;
+      }
+      outputFile = renderOutputName(this.template, { file, frontMatter });
+    }
+
+    const key = outputFile.toLowerCase();
+    const owner = this.claims.get(key);
+    if (owner && owner !== file) {
+      // `notes.md` and `notes.markdown` side by side would otherwise overwrite each other's PDF
+      const sameName = toPdfPath(owner).toLowerCase() === toPdfPath(file).toLowerCase();
+      const hint = sameName ? `; ${file} and ${owner} differ only in their extension, rename one of them` : '';
+      throw new Error(`Output file ${outputFile} is already produced by ${owner}${hint}`);
+    }
+
+    this.release(file);
+    this.claims.set(key, file);
+    this.outputFiles.set(file, outputFile);
+    return outputFile;
+  }
+
+  /**
+   * The PDF currently claimed by `file`, if any.
+   */
+  outputFileOf(file) {
+    return this.outputFiles.get(file) ?? null;
+  }
+
+  /**
+   * Give up the claim of `file`, e.g. when the source is removed.
+   */
+  release(file) {
+    const outputFile = this.outputFiles.get(file);
+    if (outputFile) {
+      this.claims.delete(outputFile.toLowerCase());
+      this.outputFiles.delete(file);
+    }
+  }
+}
+
+module.exports = { OutputNamer, parseOutputNameTemplate, renderOutputName, slugify };
@@ -0,0 +1,91 @@
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight.
+ *
+ * Items are started in order; results are returned in input order regardless
+ * of completion order. A rejected worker rejects the whole run, so workers
+ * that must not stop the batch should catch their own errors.
+ *
+ * @template T, R
+ * @param {T[]} items - Work items.
+ * @param {number} limit - Maximum number of concurrent workers (at least 1).
+ * @param {(item: T, index: number) => Promise<R>} worker - Async worker.
+ * @returns {Promise<R[]>}
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+  return results;
+}
+
+/**
+ * Limit how many tasks run at once when tasks arrive over time, e.g. one per
+ * HTTP request. Tasks beyond the limit wait and start in arrival order.
+ *
+ * @param {number} limit - Maximum number of tasks in flight (at least 1).
+ * @returns {{ run: (task: () => Promise<*>) => Promise<*>, active: number, queued: number }}
+ *   `run` resolves or rejects with the task's outcome.
+ */
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+
+  function next() {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get queued() {
+      return queue.length;
+    }
+  };
+}
+
+/**
+ * Parse a concurrency setting (CLI flag or environment variable).
+ *
+ * @param {string|number|undefined} value - Raw value; undefined means 1.
+ * @returns {number} A positive integer.
+ * @throws {Error} When the value is not a positive integer.
+ */
+function parseConcurrency(value) {
+  if (value === undefined || value === null || value === '') {
+    return 1;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`Invalid concurrency "${value}". Use a whole number of 1 or more.`);
+  }
+  return parsed;
+}
+
+module.exports = { runWithConcurrency, createLimiter, parseConcurrency };
@@ -0,0 +1,191 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const REPORT_FORMATS = {
+  json: { extension: '.json', format: formatJsonReport },
+  junit: { extension: '.xml', format: formatJunitReport }
+};
+
+/**
+ * Validate a `--report` format.
+ *
+ * @param {string} format - Requested format.
+ * @returns {string} The format.
+ * @throws {Error} When the format is not supported.
+ */
+function parseReportFormat(format) {
+  if (!Object.prototype.hasOwnProperty.call(REPORT_FORMATS, format)) {
+    throw new Error(`Invalid report format "${format}". Use ${Object.keys(REPORT_FORMATS).map(f => `"${f}"`).join(' or ')}.`);
+  }
+  return format;
+}
+
+/**
+ * Validate the values of `--report <format> [path]`, e.g. `["junit", "reports/docs.xml"]`.
+ *
+ * @param {string[]} values - The format, optionally followed by the report path.
+ * @returns {{ format: string, path: string|null }} `path` is null when the default applies.
+ * @throws {Error} When the format is not supported or more values are given.
+ */
+function parseReportOption(values) {
+  const [format, reportPath = null, ...rest] = values;
+  if (rest.length > 0) {
+    throw new Error(`--report takes a format and an optional path, got "${values.join(' ')}".`);
+  }
+  return { format: parseReportFormat(format), path: reportPath };
+}
+
+/**
+ * Default report path: `mdpdf-report.json` or `mdpdf-report.xml` in `outputDir`.
+ */
+function defaultReportPath(format, outputDir) {
+  return path.join(outputDir, `mdpdf-report${REPORT_FORMATS[format].extension}`);
+}
+
+function statusOf(result) {
+  if (result.skipped) {
+    return 'skipped';
+  }
+  return result.success ? 'converted' : 'failed';
+}
+
+/**
+ * Build the run report from the per-file results of a run.
+ *
+ * @param {object[]} results - Results as returned by `convertFile`/`buildFile` in index.js.
+ * @param {{ startedAt: Date, duration: number, toolVersion: string, outputDir?: string, browser?: object }} run -
+ *   `browser` holds the converter's `browserStats` (launches and unexpected disconnects).
+ * @returns {object} Plain data, serialized by the report formatters.
+ */
+function buildReport(results, { startedAt, duration, toolVersion, outputDir = null, browser = null }) {
+  const files = results.map(result => ({
+    file: result.file,
+    outputFile: result.outputFile || null,
+    status: statusOf(result),
+    error: result.error || null,
+    duration: result.duration,
+    timing: result.timing || null,
+    pdfTiming: result.pdfTiming || null,
+    diagrams: result.diagrams || null,
+    pageCount: result.pageCount ?? null,
+    attempts: result.attempts ?? null,
+    events: result.events || []
+  }));
+
+  return {
+    tool: 'markdown-mermaidjs-to-pdf',
+    toolVersion,
+    startedAt: startedAt.toISOString(),
+    duration,
+    outputDir,
+    browser,
+    summary: {
+      total: files.length,
+      converted: files.filter(f => f.status === 'converted').length,
+      skipped: files.filter(f => f.status === 'skipped').length,
+      failed: files.filter(f => f.status === 'failed').length
+    },
+    files
+  };
+}
+
+function formatJsonReport(report) {
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// Control characters other than tab, newline and carriage return are not allowed in XML 1.0
+function isXmlCharacter(char) {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+}
+
+function escapeXml(value) {
+  return [...String(value)]
+    .filter(isXmlCharacter)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function describeFile(file) {
+  const lines = [];
+  if (file.outputFile) {
+    lines.push(`Output: ${file.outputFile}`);
+  }
+  if (file.pageCount !== null) {
+    lines.push(`Pages: ${file.pageCount}`);
+  }
+  if (file.diagrams) {
+    lines.push(`Diagrams: ${file.diagrams.total} total, ${file.diagrams.rendered} rendered, ${file.diagrams.failed} failed`);
+  }
+  if (file.timing) {
+    lines.push(`Timing (ms): ${Object.entries(file.timing).map(([step, ms]) => `${step}=${ms}`).join(' ')}`);
+  }
+  if (file.pdfTiming) {
+    lines.push(`PDF timing (ms): ${Object.entries(file.pdfTiming).map(([step, ms]) => `${step}=${ms}`).join(' ')}`);
+  }
+  file.events.forEach(({ type, attempt, message }) => {
+    lines.push(`Attempt ${attempt} failed (${type}): ${message}`);
+  });
+  return lines.join('\n');
+}
+
+/**
+ * JUnit XML with one test case per markdown file, so CI systems show failed
+ * documents as failed tests and up-to-date documents as skipped.
+ */
+function formatJunitReport(report) {
+  const { summary } = report;
+  const testCases = report.files.map(file => {
+    const directory = path.dirname(file.file);
+    const classname = directory === '.' ? report.tool : `${report.tool}.${directory.split(path.sep).join('.')}`;
+    const lines = [`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(file.file)}" time="${seconds(file.duration)}">`];
+    if (file.status === 'failed') {
+      lines.push(`      <failure message="${escapeXml(file.error || 'Conversion failed')}" type="ConversionError">${escapeXml(file.error || '')}</failure>`);
+    } else if (file.status === 'skipped') {
+      lines.push('      <skipped message="PDF is up to date"/>');
+    }
+    const details = describeFile(file);
+    if (details) {
+      lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+    return lines.join('\n');
+  });
+
+  const counts = `tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${seconds(report.duration)}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${report.tool}" ${counts}>`,
+    `  <testsuite name="${report.tool}" ${counts} timestamp="${report.startedAt}">`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write `report` to `reportPath` in the given format.
+ */
+async function writeReport(format, reportPath, report) {
+  await fs.outputFile(reportPath, REPORT_FORMATS[format].format(report));
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  parseReportFormat,
+  parseReportOption,
+  defaultReportPath,
+  buildReport,
+  formatJsonReport,
+  formatJunitReport,
+  writeReport
+};
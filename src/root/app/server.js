@@ -0,0 +1,262 @@
+const http = require('http');
+const yaml = require('js-yaml');
+const matter = require('./frontmatter');
+const { resolveConfig } = require('./config');
+const { createLimiter } = require('./pool');
+
+// Settings a request may change; limits and the Mermaid source stay with the server
+const REQUEST_OPTIONS = ['frontMatterMode', 'markdownBreaks', 'pdfFormat', 'pdfMargin', 'strict', 'codeTheme', 'lineNumbers', 'toc', 'tocDepth'];
+
+// Conversions waiting for a free page beyond this are turned away with 503
+const MAX_QUEUED_REQUESTS = 100;
+
+const MARKDOWN_TYPES = ['text/markdown', 'text/x-markdown', 'text/plain'];
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(response, status, body, headers = {}) {
+  const json = JSON.stringify(body);
+  response.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    ...headers
+  });
+  response.end(json);
+}
+
+/**
+ * Read the request body, refusing bodies larger than `limit` bytes.
+ *
+ * @returns {Promise<Buffer>}
+ */
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body exceeds the maximum size of ${limit} bytes`);
+    if (Number(request.headers['content-length']) > limit) {
+      request.resume();
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // Drain the rest without keeping it
+        request.removeListener('data', onData);
+        request.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    request.on('data', onData);
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+function checkOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw httpError(400, '"options" must be an object');
+  }
+  for (const key of Object.keys(options)) {
+    if (!REQUEST_OPTIONS.includes(key)) {
+      throw httpError(400, `Option "${key}" cannot be set per request. Use ${REQUEST_OPTIONS.join(', ')}.`);
+    }
+  }
+  return options;
+}
+
+// Front matter sent next to the markdown wins over the markdown's own
+function withFrontMatter(markdown, frontMatter) {
+  if (!frontMatter || typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    throw httpError(400, '"frontMatter" must be an object');
+  }
+  let parsed;
+  try {
+    parsed = matter(markdown);
+  } catch (error) {
+    throw httpError(400, `Invalid front matter: ${error.reason || error.message}`);
+  }
+  return `---\n${yaml.dump({ ...parsed.data, ...frontMatter })}---\n\n${parsed.content}`;
+}
+
+/**
+ * Turn a `POST /convert` request into `{ markdown, filename, options }`.
+ *
+ * JSON bodies are `{ markdown, frontMatter?, options?, filename? }`. Markdown
+ * bodies take scalar options from the query string, e.g. `?pdfFormat=Letter`.
+ */
+function parseConversionRequest(request, body, url) {
+  const contentType = (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+
+  if (contentType === 'application/json') {
+    let data;
+    try {
+      data = JSON.parse(body.toString('utf8'));
+    } catch (error) {
+      throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+    if (!data || typeof data.markdown !== 'string') {
+      throw httpError(400, 'The JSON body needs a "markdown" string');
+    }
+    if (data.filename !== undefined && typeof data.filename !== 'string') {
+      throw httpError(400, '"filename" must be a string');
+    }
+    return {
+      markdown: data.frontMatter === undefined ? data.markdown : withFrontMatter(data.markdown, data.frontMatter),
+      filename: data.filename || 'request.md',
+      options: data.options === undefined ? {} : checkOptions(data.options)
+    };
+  }
+
+  if (MARKDOWN_TYPES.includes(contentType)) {
+    const options = Object.fromEntries(url.searchParams);
+    delete options.filename;
+    checkOptions(options);
+    if (options.pdfMargin !== undefined) {
+      throw httpError(400, 'Send "pdfMargin" in a JSON body');
+    }
+    return { markdown: body, filename: url.searchParams.get('filename') || 'request.md', options };
+  }
+
+  throw httpError(415, `Unsupported content type "${contentType}". Send application/json or text/markdown.`);
+}
+
+function pdfFilename(filename) {
+  const base = filename.split(/[\\/]/).pop().replace(/\.(md|markdown)$/i, '');
+  return `${base.replace(/[^\w.-]+/g, '_') || 'document'}.pdf`;
+}
+
+/**
+ * HTTP server around one long-lived converter, so the browser stays warm
+ * between requests.
+ *
+ * - `POST /convert` returns the PDF (see `parseConversionRequest` for the body)
+ * - `GET /health` reports whether Chromium and Mermaid work (200 or 503)
+ *
+ * Request bodies are limited to `config.maxFileSize` and at most
+ * `config.concurrency` conversions run at once; the rest wait their turn.
+ * A conversion that runs past `config.timeout` answers 504, and a strict
+ * one with a diagram or math expression that failed to render 422.
+ * `{{#include}}` directives answer 400.
+ *
+ * @param {object} server
+ * @param {MarkdownConverter} server.converter - Converter shared by all requests.
+ * @param {object} server.config - Resolved settings (see config.js).
+ * @param {object} server.logger - Winston logger.
+ * @returns {http.Server} Not yet listening.
+ */
+function createConversionServer({ converter, config, logger }) {
+  const limiter = createLimiter(config.concurrency);
+
+  async function handleConvert(request, response, url) {
+    const startTime = Date.now();
+    const body = await readBody(request, config.maxFileSize);
+    const { markdown, filename, options } = parseConversionRequest(request, body, url);
+
+    let requestConfig;
+    try {
+      const pdfMargin = options.pdfMargin ? { ...config.pdfMargin, ...options.pdfMargin } : config.pdfMargin;
+      requestConfig = resolveConfig({ flags: { ...config, ...options, pdfMargin }, env: {} });
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    // Reject bad input here, so conversion failures are left for 500
+    const context = { filename, config: requestConfig };
+    try {
+      const content = converter.readMarkdownSource(markdown, context);
+      converter.validateMarkdownContent(content, filename, context);
+    } catch (error) {
+      throw httpError(error.message.includes('exceeds maximum allowed size') ? 413 : 400, error.message);
+    }
+
+    if (limiter.queued >= MAX_QUEUED_REQUESTS) {
+      throw httpError(503, 'Too many conversions waiting, try again later');
+    }
+    const result = await limiter.run(async () => {
+      try {
+        return await converter.convertMarkdown(markdown, { filename, config: requestConfig });
+      } catch (error) {
+        if (error.code === 'TIMEOUT') {
+          throw httpError(504, error.message);
+        }
+        if (error.code === 'DIAGRAM_RENDER_FAILED' || error.code === 'MATH_RENDER_FAILED') {
+          throw httpError(422, error.message);
+        }
+        // Requests have no directory, so the server never reads files they name
+        if (error.code === 'INCLUDE_FAILED') {
+          throw httpError(400, error.message);
+        }
+        throw error;
+      }
+    });
+
+    response.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Length': result.pdf.length,
+      'Content-Disposition': `inline; filename="${pdfFilename(filename)}"`,
+      ...(result.pageCount !== null ? { 'X-Page-Count': result.pageCount } : {}),
+      'X-Diagrams-Rendered': result.diagrams.rendered,
+      'X-Diagrams-Failed': result.diagrams.failed
+    });
+    response.end(result.pdf);
+    logger.info('Conversion request completed', {
+      filename,
+      size: result.pdf.length,
+      pageCount: result.pageCount,
+      duration: Date.now() - startTime
+    });
+  }
+
+  async function handleHealth(response) {
+    const health = await converter.checkHealth();
+    sendJson(response, health.ok ? 200 : 503, {
+      status: health.ok ? 'ok' : 'error',
+      chromium: health.chromium,
+      mermaid: health.mermaid,
+      conversions: { active: limiter.active, queued: limiter.queued }
+    });
+  }
+
+  const routes = {
+    '/convert': { method: 'POST', handle: handleConvert },
+    '/health': { method: 'GET', handle: (request, response) => handleHealth(response) }
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const route = routes[url.pathname];
+    try {
+      if (!route) {
+        throw httpError(404, `Not found: ${url.pathname}`);
+      }
+      if (request.method !== route.method) {
+        response.setHeader('Allow', route.method);
+        throw httpError(405, `Use ${route.method} for ${url.pathname}`);
+      }
+      await route.handle(request, response, url);
+    } catch (error) {
+      const status = error.status || 500;
+      const log = status >= 500 ? logger.error.bind(logger) : logger.warn.bind(logger);
+      log('Request failed', { method: request.method, path: url.pathname, status, error: error.message });
+      if (response.headersSent) {
+        response.destroy();
+        return;
+      }
+      // Unread request bodies would otherwise stall keep-alive connections
+      sendJson(response, status, { error: error.message }, status === 413 ? { Connection: 'close' } : {});
+    }
+  });
+  server.limiter = limiter;
+  return server;
+}
+
+module.exports = { createConversionServer, REQUEST_OPTIONS };
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const { parseFenceInfo, parseLineRanges } = require('./fence');
+
+// Light highlight.js styles that print well; 'none' keeps code uncoloured
+const CODE_THEMES = ['github', 'vs', 'xcode', 'atom-one-light', 'stackoverflow-light', 'a11y-light', 'grayscale', 'none'];
+
+let hljs = null;
+const themeCss = new Map();
+
+// Loaded on the first code block, so runs without code do not pay for every grammar
+function highlighter() {
+  if (!hljs) {
+    hljs = require('highlight.js');
+  }
+  return hljs;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Split highlighted HTML into lines, closing the spans that are open at each
+ * line end and reopening them on the next line, so every line is well-formed.
+ */
+function splitHighlightedLines(html) {
+  const lines = [];
+  const open = [];
+  let current = '';
+  for (const [token] of html.matchAll(/<span[^>]*>|<\/span>|\n|[^<\n]+/g)) {
+    if (token === '\n') {
+      lines.push(current + '</span>'.repeat(open.length));
+      current = open.join('');
+    } else if (token === '</span>') {
+      open.pop();
+      current += token;
+    } else if (token.startsWith('<span')) {
+      open.push(token);
+      current += token;
+    } else {
+      current += token;
+    }
+  }
+  lines.push(current + '</span>'.repeat(open.length));
+  return lines;
+}
+
+/**
+ * Render a fenced code block with syntax highlighting.
+ *
+ * The info string names the language and may carry attributes:
+ * `hl="3-5"` highlights lines, `.line-numbers` and `.no-line-numbers` turn
+ * line numbers on or off for this block. Unknown languages are left plain.
+ *
+ * @param {string} code - Block content.
+ * @param {string} info - Fence info string, e.g. `js {hl="3-5"}` or `{.js .line-numbers}`.
+ * @param {{ lineNumbers?: boolean }} [defaults] - `lineNumbers` applies to blocks that do not choose.
+ * @returns {string} A `<pre>` element.
+ */
+function renderCodeBlock(code, info, { lineNumbers = false } = {}) {
+  const { language, classes, attributes } = parseFenceInfo(info);
+  const source = code.replace(/\n$/, '');
+  const grammar = language ? highlighter().getLanguage(language) : null;
+  const body = grammar
+    ? highlighter().highlight(source, { language, ignoreIllegals: true }).value
+    : escapeHtml(source);
+
+  const numbered = classes.includes('line-numbers') || (lineNumbers && !classes.includes('no-line-numbers'));
+  const lines = splitHighlightedLines(body);
+  const highlighted = parseLineRanges(attributes.hl, lines.length);
+
+  const codeClass = ['hljs', language ? `language-${escapeHtml(language)}` : null].filter(Boolean).join(' ');
+  const preClass = ['code-block', numbered ? 'line-numbers' : null].filter(Boolean).join(' ');
+  if (!numbered && highlighted.size === 0) {
+    return `<pre class="${preClass}"><code class="${codeClass}">${body}\n</code></pre>\n`;
+  }
+
+  const rendered = lines.map((line, index) => {
+    const lineClass = highlighted.has(index + 1) ? 'code-line code-line-highlighted' : 'code-line';
+    return `<span class="${lineClass}" data-line="${index + 1}">${line}</span>`;
+  });
+  return `<pre class="${preClass}"><code class="${codeClass}">${rendered.join('')}</code></pre>\n`;
+}
+
+/**
+ * CSS of a code theme, read from the installed highlight.js styles.
+ *
+ * @param {string} theme - One of `CODE_THEMES`.
+ * @returns {string} Empty for `none`.
+ */
+function codeThemeCss(theme) {
+  if (theme === 'none') {
+    return '';
+  }
+  if (!themeCss.has(theme)) {
+    themeCss.set(theme, fs.readFileSync(require.resolve(`highlight.js/styles/${theme}.css`), 'utf8'));
+  }
+  return themeCss.get(theme);
+}
+
+module.exports = { CODE_THEMES, renderCodeBlock, codeThemeCss, splitHighlightedLines };
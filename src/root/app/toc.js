@@ -0,0 +1,110 @@
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef } = require('pdf-lib');
+
+// A paragraph holding only the marker, as rendered by marked
+const TOC_MARKER = /<p>\s*\[\[toc\]\]\s*<\/p>\n?/gi;
+
+/**
+ * Render the table of contents for `headings` as a `<nav>`. Each entry links
+ * to its heading and has an empty `.toc-page` slot for the page number,
+ * filled in once the PDF has been laid out.
+ *
+ * @param {{ level: number, id: string, text: string }[]} headings - Headings in document order; `text` is inline HTML.
+ * @param {number} depth - Deepest heading level listed.
+ */
+function renderTableOfContents(headings, depth) {
+  const entries = headings.filter(heading => heading.level <= depth);
+  const topLevel = Math.min(...entries.map(heading => heading.level));
+  const items = entries.map(({ level, id, text }) => {
+    // Links inside a heading would nest inside the entry's own link
+    const label = text.replace(/<\/?a\b[^>]*>/gi, '');
+    return `<li class="toc-entry toc-level-${level - topLevel + 1}"><a href="#${id}">` +
+      `<span class="toc-text">${label}</span><span class="toc-page" data-toc-target="${id}"></span></a></li>`;
+  });
+  return `<nav class="toc">\n<p class="toc-title">Contents</p>\n<ul>\n${items.join('\n')}\n</ul>\n</nav>\n`;
+}
+
+/**
+ * Replace every `[[toc]]` marker in `html` with the table of contents, or put
+ * one at the top when `auto` is set and there is no marker.
+ *
+ * @returns {{ html: string, inserted: boolean }}
+ */
+function insertTableOfContents(html, headings, { depth, auto = false }) {
+  const hasMarker = TOC_MARKER.test(html);
+  TOC_MARKER.lastIndex = 0;
+  if (!hasMarker && !auto) {
+    return { html, inserted: false };
+  }
+  const toc = renderTableOfContents(headings, depth);
+  return { html: hasMarker ? html.replace(TOC_MARKER, () => toc) : toc + html, inserted: true };
+}
+
+function nameText(key) {
+  return key instanceof PDFName ? Buffer.from(key.asBytes()).toString('utf8') : key.decodeText();
+}
+
+/**
+ * Map the named destinations of a PDF to the 1-based page they point at.
+ *
+ * Chromium writes a named destination for every element that an internal
+ * `#id` link targets, named after the element's id, so this tells on which
+ * page each linked heading landed. Both the catalog's `/Dests` dictionary and
+ * the `/Names` tree are read.
+ *
+ * @param {Uint8Array} pdfBytes
+ * @returns {Promise<Map<string, number>>}
+ */
+async function readNamedDestinations(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const pageNumbers = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+  const destinations = new Map();
+
+  const add = (key, value) => {
+    let destination = pdfDoc.context.lookup(value);
+    if (destination instanceof PDFDict) {
+      destination = destination.lookup(PDFName.of('D'));
+    }
+    const target = destination instanceof PDFArray ? destination.get(0) : null;
+    const pageNumber = target instanceof PDFRef ? pageNumbers.get(target.toString()) : undefined;
+    if (pageNumber) {
+      const name = nameText(key);
+      destinations.set(name, pageNumber);
+      try {
+        destinations.set(decodeURIComponent(name), pageNumber);
+      } catch {
+        // Not percent-encoded
+      }
+    }
+  };
+
+  const dests = pdfDoc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    dests.entries().forEach(([key, value]) => add(key, value));
+  }
+
+  const walkNameTree = (node) => {
+    if (!(node instanceof PDFDict)) {
+      return;
+    }
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        add(names.lookup(i), names.get(i + 1));
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        walkNameTree(kids.lookup(i));
+      }
+    }
+  };
+  const nameDictionary = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  if (nameDictionary instanceof PDFDict) {
+    walkNameTree(nameDictionary.lookup(PDFName.of('Dests')));
+  }
+
+  return destinations;
+}
+
+module.exports = { renderTableOfContents, insertTableOfContents, readNamedDestinations };
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { isMarkdownFile, isSkippedDirectory } = require('./files');
+
+/**
+ * Watch `inputDir` for markdown files that are added, changed or removed.
+ *
+ * Events are debounced per file (editors often write a file several times
+ * per save) and handled one at a time, so callbacks never overlap and can
+ * safely share a single converter. A change is only reported when the file's
+ * modification time differs from the last one seen, which filters out the
+ * duplicate events some platforms emit.
+ *
+ * Files the markdown depends on, such as included files, can live anywhere
+ * and may not exist yet, so `setDependencies()` polls them instead.
+ *
+ * @param {string} inputDir - Directory to watch.
+ * @param {object} options
+ * @param {boolean} [options.recursive=false] - Watch subdirectories too.
+ * @param {string} [options.excludeDir] - Directory whose events are ignored (typically the output directory).
+ * @param {string[]} [options.files=[]] - Relative paths already converted; their current state is not reported again.
+ * @param {(relativePath: string) => boolean} [options.filter] - Markdown files to watch (see `createFileFilter`).
+ * @param {number} [options.debounceMs=200] - Quiet period before a file's events are handled.
+ * @param {(file: string) => Promise<void>} options.onChange - Called with the relative path of an added or changed file.
+ * @param {(file: string) => Promise<void>} [options.onRemove] - Called with the relative path of a removed file.
+ * @param {(filePath: string) => Promise<void>} [options.onDependencyChange] - Called with the absolute path of a dependency that changed or was removed.
+ * @param {number} [options.pollMs=500] - How often dependencies are checked.
+ * @param {(error: Error) => void} [options.onError] - Called when a callback or the watcher fails.
+ * @returns {{ setDependencies: (filePaths: string[]) => void, close: () => Promise<void> }}
+ */
+function watchMarkdownFiles(inputDir, {
+  recursive = false,
+  excludeDir,
+  files = [],
+  filter = () => true,
+  debounceMs = 200,
+  onChange,
+  onRemove = async () => {},
+  onDependencyChange = async () => {},
+  pollMs = 500,
+  onError = () => {}
+}) {
+  const root = path.resolve(inputDir);
+  const excluded = excludeDir ? path.resolve(excludeDir) : null;
+  const mtimes = new Map();
+  const timers = new Map();
+  const dependencies = new Map();
+  let queue = Promise.resolve();
+  let closed = false;
+
+  for (const file of files) {
+    try {
+      mtimes.set(file, fs.statSync(path.join(root, file)).mtimeMs);
+    } catch {
+      // File vanished between discovery and watch start; it is reported as new if it reappears
+    }
+  }
+
+  function isWatched(relativePath) {
+    if (!isMarkdownFile(relativePath)) {
+      return false;
+    }
+    const directories = path.dirname(relativePath).split(path.sep).filter(segment => segment !== '.');
+    if (!recursive && directories.length > 0) {
+      return false;
+    }
+    if (directories.some(isSkippedDirectory) || !filter(relativePath)) {
+      return false;
+    }
+    return !excluded || !path.join(root, relativePath).startsWith(excluded + path.sep);
+  }
+
+  async function handle(relativePath) {
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(path.join(root, relativePath));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (!stats) {
+      mtimes.delete(relativePath);
+      await onRemove(relativePath);
+      return;
+    }
+    if (!stats.isFile() || mtimes.get(relativePath) === stats.mtimeMs) {
+      return;
+    }
+    mtimes.set(relativePath, stats.mtimeMs);
+    await onChange(relativePath);
+  }
+
+  // Run `task` once `key` has been quiet for `debounceMs`, after any earlier task
+  function schedule(key, task) {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      queue = queue
+        .then(() => (closed ? undefined : task()))
+        .catch(onError);
+    }, debounceMs));
+  }
+
+  const watcher = fs.watch(root, { recursive }, (_eventType, filename) => {
+    if (closed || !filename) {
+      return;
+    }
+    const relativePath = path.normalize(filename.toString());
+    if (!isWatched(relativePath)) {
+      return;
+    }
+    schedule(relativePath, () => handle(relativePath));
+  });
+  watcher.on('error', onError);
+
+  return {
+    /**
+     * Replace the set of dependencies to watch.
+     *
+     * @param {string[]} filePaths - Paths of the files, resolved against the working directory.
+     */
+    setDependencies(filePaths) {
+      const wanted = new Set(filePaths.map(filePath => path.resolve(filePath)));
+      for (const [filePath, listener] of dependencies) {
+        if (!wanted.has(filePath)) {
+          fs.unwatchFile(filePath, listener);
+          dependencies.delete(filePath);
+        }
+      }
+      for (const filePath of wanted) {
+        if (closed || dependencies.has(filePath)) {
+          continue;
+        }
+        // A missing file reports an mtime of 0, so creation and removal count as changes
+        const listener = (current, previous) => {
+          if (!closed && current.mtimeMs !== previous.mtimeMs) {
+            schedule(filePath, () => onDependencyChange(filePath));
+          }
+        };
+        fs.watchFile(filePath, { interval: pollMs }, listener);
+        dependencies.set(filePath, listener);
+      }
+    },
+
+    close() {
+      closed = true;
+      watcher.close();
+      dependencies.forEach((listener, filePath) => fs.unwatchFile(filePath, listener));
+      dependencies.clear();
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+      return queue;
+    }
+  };
+}
+
+module.exports = { watchMarkdownFiles };
@@ -0,0 +1,169 @@
+const { Converter, createConverter, convert, convertBatch } = require('../../src/root/app/api');
+const { PDFDocument } = require('pdf-lib');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+describe('api', () => {
+  let puppeteerModule;
+  let originalLaunch;
+  let originalExecPath;
+  let browser;
+  let pages;
+  let renderStatus;
+
+  beforeEach(async () => {
+    originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+    pages = [];
+    renderStatus = { total: 0, rendered: 0, failed: 0, errors: [] };
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    const pdfBytes = await pdfDoc.save();
+
+    browser = {
+      newPage: jest.fn(() => {
+        const page = {
+          goto: jest.fn().mockResolvedValue(undefined),
+          setContent: jest.fn().mockResolvedValue(undefined),
+          waitForFunction: jest.fn().mockResolvedValue(undefined),
+          evaluate: jest.fn(async () => renderStatus),
+          addScriptTag: jest.fn().mockResolvedValue(undefined),
+          pdf: jest.fn().mockResolvedValue(pdfBytes),
+          close: jest.fn().mockResolvedValue(undefined)
+        };
+        pages.push(page);
+        return Promise.resolve(page);
+      }),
+      on: jest.fn(),
+      close: jest.fn().mockResolvedValue(undefined)
+    };
+
+    puppeteerModule = require('puppeteer-core');
+    originalLaunch = puppeteerModule.launch;
+    puppeteerModule.launch = jest.fn().mockResolvedValue(browser);
+  });
+
+  afterEach(() => {
+    puppeteerModule.launch = originalLaunch;
+    if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+  });
+
+  describe('convert', () => {
+    test('should return PDF bytes and close the browser', async () => {
+      const pdf = await convert({ markdown: '# Hello' });
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(puppeteerModule.launch).toHaveBeenCalledTimes(1);
+      expect(browser.close).toHaveBeenCalledTimes(1);
+    });
+
+    test('should apply options and reject invalid ones', async () => {
+      await convert({ markdown: '# Letter', options: { pdfFormat: 'Letter' } });
+      expect(pages[0].pdf).toHaveBeenCalledWith(expect.objectContaining({ format: 'Letter' }));
+
+      await expect(convert({ markdown: '# Bad', options: { pdfFormat: 'B5' } })).rejects.toThrow('Invalid pdfFormat "B5"');
+    });
+
+    test('should open the base directory before setting the content', async () => {
+      const baseDir = path.join(__dirname, 'docs');
+
+      await convert({ markdown: '![Logo](logo.png)', baseDir });
+
+      expect(pages[0].goto).toHaveBeenCalledWith(pathToFileURL(baseDir + path.sep).href);
+      expect(pages[0].goto.mock.invocationCallOrder[0]).toBeLessThan(pages[0].setContent.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('Converter', () => {
+    let converter;
+
+    beforeEach(async () => {
+      converter = await createConverter({ options: { frontMatterMode: 'styled' } });
+    });
+
+    afterEach(async () => {
+      await converter.dispose();
+    });
+
+    test('should start the browser when created and reuse it', async () => {
+      expect(puppeteerModule.launch).toHaveBeenCalledTimes(1);
+
+      await converter.convert({ markdown: '# One' });
+      await converter.convert({ markdown: '# Two' });
+
+      expect(puppeteerModule.launch).toHaveBeenCalledTimes(1);
+      expect(pages).toHaveLength(2);
+    });
+
+    test('should report diagrams that fail to render with their source line', async () => {
+      renderStatus = { total: 2, rendered: 1, failed: 1, errors: [{ index: 1, message: 'Parse error on line 2:\n...' }] };
+      const markdown = '---\ntitle: Diagrams\n---\n\n```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\nsequenceDiagram\n  A->>\n```\n';
+
+      const result = await converter.convertWithDiagnostics({ markdown, filename: 'diagrams.md' });
+
+      expect(Buffer.isBuffer(result.pdf)).toBe(true);
+      expect(result.diagrams).toEqual({ total: 2, rendered: 1, failed: 1 });
+      expect(result.diagnostics).toEqual([
+        { line: 10, severity: 'warning', message: 'Mermaid diagram 2 (sequence) failed to render: Parse error on line 2:' }
+      ]);
+    });
+
+    test('should convert a batch in input order and keep going after failures', async () => {
+      const results = await converter.convertBatch([
+        { markdown: '# First', filename: 'first.md' },
+        { markdown: '   ' },
+        { markdown: '# Third', options: { pdfFormat: 'A5' } }
+      ], { concurrency: 2 });
+
+      expect(results.map(r => [r.filename, r.success])).toEqual([
+        ['first.md', true],
+        ['document-2.md', false],
+        ['document-3.md', true]
+      ]);
+      expect(results[1].pdf).toBeNull();
+      expect(results[1].error.message).toBe('File is empty: document-2.md');
+      expect(Buffer.isBuffer(results[2].pdf)).toBe(true);
+    });
+
+    test('should check markdown without rendering a PDF', async () => {
+      const problems = await converter.check({ markdown: '---\ntitle: [unclosed\n---\n# Body\n' });
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0].message).toMatch(/^Invalid front matter: /);
+      expect(pages.every(page => !page.pdf.mock.calls.length)).toBe(true);
+    });
+
+    test('should refuse work after dispose and allow disposing twice', async () => {
+      await converter.dispose();
+      await converter.dispose();
+
+      expect(browser.close).toHaveBeenCalledTimes(1);
+      await expect(converter.convert({ markdown: '# Late' })).rejects.toThrow('Converter has been disposed');
+    });
+  });
+
+  test('convertBatch should share one browser across the batch', async () => {
+    const results = await convertBatch([{ markdown: '# A' }, { markdown: '# B' }], { options: { markdownBreaks: true } });
+
+    expect(results.every(r => r.success)).toBe(true);
+    expect(puppeteerModule.launch).toHaveBeenCalledTimes(1);
+    expect(browser.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('createConverter should close the browser and reject when options are invalid', async () => {
+    await expect(createConverter({ options: { maxMermaidDiagrams: -1 } })).rejects.toThrow('Invalid maxMermaidDiagrams "-1"');
+    expect(puppeteerModule.launch).not.toHaveBeenCalled();
+    expect(new Converter().disposed).toBe(false);
+  });
+
+  test('should still export main, loading the CLI only when it is called', () => {
+    const listeners = process.listenerCount('uncaughtException');
+
+    jest.isolateModules(() => {
+      expect(typeof require('../../src/root/app/api').main).toBe('function');
+    });
+
+    expect(process.listenerCount('uncaughtException')).toBe(listeners);
+  });
+});
@@ -0,0 +1,95 @@
+const { Marked } = require('marked');
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createAssetResolver, isLocalReference } = require('../../src/root/app/assets');
+
+describe('createAssetResolver', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-assets');
+  const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+  let assets;
+  let render;
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.outputFile(path.join(tmpDir, 'img', 'arch diagram.png'), pixel);
+    await fs.outputFile(path.join(tmpDir, 'spec.txt'), 'spec');
+    assets = createAssetResolver();
+    const marked = new Marked({ walkTokens: token => assets.walkTokens(token) });
+    render = (markdown) => marked.parse(markdown);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('should resolve local images and links against the base directory', () => {
+    assets.reset();
+    assets.baseDir = tmpDir;
+
+    const html = render('![Arch](./img/arch%20diagram.png) [Spec](spec.txt#intro) [Web](https://example.com) [Top](#top)');
+
+    expect(html).toContain(`<img src="${pathToFileURL(path.join(tmpDir, 'img', 'arch diagram.png')).href}" alt="Arch">`);
+    expect(html).toContain(`<a href="${pathToFileURL(path.join(tmpDir, 'spec.txt')).href}#intro">Spec</a>`);
+    expect(html).toContain('<a href="https://example.com">Web</a>');
+    expect(html).toContain('<a href="#top">Top</a>');
+    expect(assets.missing).toEqual([]);
+  });
+
+  test('should inline images as data URIs, including raw HTML images', () => {
+    assets.reset({ inline: true });
+    assets.baseDir = tmpDir;
+
+    const html = render('![Arch](img/arch%20diagram.png)\n\n<img src="img/arch diagram.png" width="10">\n\n[Spec](spec.txt)');
+
+    const dataUri = `data:image/png;base64,${pixel.toString('base64')}`;
+    expect(html).toContain(`<img src="${dataUri}" alt="Arch">`);
+    expect(html).toContain(`<img src="${dataUri}" width="10">`);
+    expect(html).toContain(`<a href="${pathToFileURL(path.join(tmpDir, 'spec.txt')).href}">Spec</a>`);
+  });
+
+  test('should collect references to files that do not exist and leave them as written', () => {
+    assets.reset();
+    assets.baseDir = tmpDir;
+
+    const html = render('![Gone](img/gone.png)\n\n<img src=\'other.svg\'>\n\n[Notes](notes.pdf)');
+
+    expect(html).toContain('<img src="img/gone.png" alt="Gone">');
+    expect(assets.missing).toEqual([
+      { kind: 'image', href: 'img/gone.png', raw: '![Gone](img/gone.png)', filePath: path.join(tmpDir, 'img', 'gone.png') },
+      { kind: 'image', href: 'other.svg', raw: '<img src=\'other.svg\'', filePath: path.join(tmpDir, 'other.svg') },
+      { kind: 'link', href: 'notes.pdf', raw: '[Notes](notes.pdf)', filePath: path.join(tmpDir, 'notes.pdf') }
+    ]);
+  });
+
+  test('should pass links to markdown files through documentLink and collect the ones it does not take', () => {
+    assets.reset({ documentLink: (filePath, fragment) => (filePath.endsWith('guide.md') ? `guide.pdf${fragment}` : null) });
+    assets.baseDir = tmpDir;
+
+    const html = render('[Guide](guide.md#setup) [Notes](notes.md) ![Chart](chart.md)');
+
+    expect(html).toContain('<a href="guide.pdf#setup">Guide</a>');
+    expect(html).toContain('<a href="notes.md">Notes</a>');
+    expect(assets.outside).toEqual([{ href: 'notes.md', raw: '[Notes](notes.md)', filePath: path.join(tmpDir, 'notes.md') }]);
+    expect(assets.missing.map(entry => entry.href)).toEqual(['notes.md', 'chart.md']);
+  });
+
+  test('should leave relative references alone without a base directory', () => {
+    assets.reset();
+
+    expect(render('![Gone](img/gone.png)')).toContain('<img src="img/gone.png" alt="Gone">');
+    expect(assets.missing).toEqual([]);
+  });
+
+  test('isLocalReference should skip URLs, anchors and empty targets', () => {
+    expect(isLocalReference('img/a.png')).toBe(true);
+    expect(isLocalReference('../a.md')).toBe(true);
+    expect(isLocalReference('/abs/a.png')).toBe(true);
+    expect(isLocalReference('https://example.com/a.png')).toBe(false);
+    expect(isLocalReference('mailto:someone@example.com')).toBe(false);
+    expect(isLocalReference('data:image/png;base64,AAAA')).toBe(false);
+    expect(isLocalReference('//cdn.example.com/a.png')).toBe(false);
+    expect(isLocalReference('#section')).toBe(false);
+    expect(isLocalReference('')).toBe(false);
+  });
+});
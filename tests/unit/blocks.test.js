@@ -0,0 +1,61 @@
+const { Marked } = require('marked');
+const { ALERT_TYPES, blockExtensions } = require('../../src/root/app/blocks');
+
+describe('blocks', () => {
+  const marked = new Marked({ extensions: blockExtensions() });
+  const render = (markdown) => marked.parse(markdown);
+
+  describe('alerts', () => {
+    test.each(ALERT_TYPES)('should render a %s alert as a callout box', (type) => {
+      const html = render(`> [!${type.toUpperCase()}]\n> Read **this**.\n`);
+
+      expect(html).toBe(`<div class="alert alert-${type}">\n<p class="alert-title">${type[0].toUpperCase()}${type.slice(1)}</p>\n<p>Read <strong>this</strong>.</p>\n</div>\n`);
+    });
+
+    test('should keep several blocks inside the alert', () => {
+      const html = render('> [!TIP]\n> First.\n>\n> - a list\n\nOutside.');
+
+      expect(html).toBe('<div class="alert alert-tip">\n<p class="alert-title">Tip</p>\n<p>First.</p>\n<ul>\n<li>a list</li>\n</ul>\n</div>\n<p>Outside.</p>\n');
+    });
+
+    test('should leave other blockquotes alone', () => {
+      expect(render('> [!NOTE] on the same line\n')).toBe('<blockquote>\n<p>[!NOTE] on the same line</p>\n</blockquote>\n');
+      expect(render('> [!UNKNOWN]\n> text\n')).toContain('<blockquote>');
+      expect(render('> Just a quote\n')).toBe('<blockquote>\n<p>Just a quote</p>\n</blockquote>\n');
+    });
+  });
+
+  describe('definition lists', () => {
+    test('should render terms with one or more definitions', () => {
+      const html = render('Apple\n: A fruit.\n: A *company*.\n\nPear\n\n: Another fruit\n  on two lines.\n');
+
+      expect(html).toBe([
+        '<dl>',
+        '<dt>Apple</dt>',
+        '<dd>A fruit.</dd>',
+        '<dd>A <em>company</em>.</dd>',
+        '<dt>Pear</dt>',
+        '<dd>Another fruit',
+        'on two lines.</dd>',
+        '</dl>',
+        ''
+      ].join('\n'));
+    });
+
+    test('should keep paragraphs of a definition with several', () => {
+      const html = render('Term\n: First paragraph.\n\n  Second paragraph.\n');
+
+      expect(html).toBe('<dl>\n<dt>Term</dt>\n<dd>\n<p>First paragraph.</p>\n<p>Second paragraph.</p>\n</dd>\n</dl>\n');
+    });
+
+    test('should end a paragraph before a definition list', () => {
+      const html = render('Some text\nTerm\n: Definition\n');
+
+      expect(html).toBe('<p>Some text</p>\n<dl>\n<dt>Term</dt>\n<dd>Definition</dd>\n</dl>\n');
+    });
+
+    test('should not treat a colon line without a term as a list', () => {
+      expect(render(': not a definition\n')).toBe('<p>: not a definition</p>\n');
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const { loadChapterList, toBookPdfPath } = require('../../src/root/app/book');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('book', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-book-list');
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('loadChapterList', () => {
+    test('should resolve a plain list relative to the list file', async () => {
+      const listPath = path.join(tmpDir, 'book.yml');
+      await fs.outputFile(listPath, '- intro.md\n- guides/setup.md\n');
+
+      const { chapters, frontMatter } = await loadChapterList(listPath);
+
+      expect(chapters).toEqual([
+        path.resolve(tmpDir, 'intro.md'),
+        path.resolve(tmpDir, 'guides', 'setup.md')
+      ]);
+      expect(frontMatter).toBeUndefined();
+    });
+
+    test('should read chapters and the front matter source from a mapping', async () => {
+      const listPath = path.join(tmpDir, 'book.yml');
+      await fs.outputFile(listPath, 'frontMatter: cover.md\nchapters:\n  - cover.md\n  - body.md\n');
+
+      const { chapters, frontMatter } = await loadChapterList(listPath);
+
+      expect(chapters).toHaveLength(2);
+      expect(frontMatter).toBe(path.resolve(tmpDir, 'cover.md'));
+    });
+
+    test('should reject a list without markdown chapters', async () => {
+      const listPath = path.join(tmpDir, 'book.yml');
+      await fs.outputFile(listPath, 'title: Not a list\n');
+
+      await expect(loadChapterList(listPath)).rejects.toThrow('must be a list of markdown files');
+    });
+
+    test('should reject entries that are not markdown files', async () => {
+      const listPath = path.join(tmpDir, 'book.yml');
+      await fs.outputFile(listPath, '- intro.md\n- diagram.png\n');
+
+      await expect(loadChapterList(listPath)).rejects.toThrow('invalid entry: "diagram.png"');
+    });
+
+    test('should report a missing list file', async () => {
+      await expect(loadChapterList(path.join(tmpDir, 'missing.yml'))).rejects.toThrow('Cannot read chapter list');
+    });
+  });
+
+  test('toBookPdfPath should append .pdf only when missing', () => {
+    expect(toBookPdfPath('out', 'handbook')).toBe(path.join('out', 'handbook.pdf'));
+    expect(toBookPdfPath('out', 'handbook.PDF')).toBe(path.join('out', 'handbook.PDF'));
+  });
+});
@@ -0,0 +1,235 @@
+const { ProjectConfig, loadConfigFile, resolveConfig } = require('../../src/root/app/config');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('config', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-config');
+  const inputDir = path.join(tmpDir, 'project', 'docs');
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.ensureDir(inputDir);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('resolveConfig', () => {
+    test('should fall back to defaults', () => {
+      const config = resolveConfig({ env: {} });
+
+      expect(config).toEqual({
+        frontMatterMode: 'none',
+        recursive: false,
+        concurrency: 1,
+        outputName: null,
+        port: 3000,
+        host: '127.0.0.1',
+        strict: false,
+        codeTheme: 'github',
+        lineNumbers: false,
+        toc: false,
+        tocDepth: 3,
+        inlineImages: false,
+        timeout: 120000,
+        retries: 0,
+        maxFileSize: 10485760,
+        maxMermaidDiagrams: 50,
+        maxIncludeDepth: 10,
+        markdownBreaks: false,
+        pdfFormat: 'A4',
+        pdfMargin: { top: '1in', right: '1in', bottom: '1in', left: '1in' },
+        mermaidVersion: '10.6.1',
+        mermaidJsPath: null
+      });
+    });
+
+    test('should apply flag > env > config file > default', () => {
+      const config = resolveConfig({
+        flags: { frontMatterMode: 'styled' },
+        env: { FRONT_MATTER_MODE: 'none', PDF_FORMAT: 'Letter', MAX_FILE_SIZE: '' },
+        fileConfig: { frontMatterMode: 'none', pdfFormat: 'A5', maxFileSize: 1024 }
+      });
+
+      expect(config.frontMatterMode).toBe('styled');
+      expect(config.pdfFormat).toBe('Letter');
+      expect(config.maxFileSize).toBe(1024);
+      expect(config.maxMermaidDiagrams).toBe(50);
+    });
+
+    test('should resolve margin sides independently', () => {
+      const config = resolveConfig({
+        env: { PDF_MARGIN_TOP: '2cm' },
+        fileConfig: { pdfMargin: { left: '10mm' } }
+      });
+
+      expect(config.pdfMargin).toEqual({ top: '2cm', right: '1in', bottom: '1in', left: '10mm' });
+    });
+
+    test('should parse environment values and name the variable when invalid', () => {
+      expect(resolveConfig({ env: { MARKDOWN_BREAKS: 'true', CONCURRENCY: '3' } })).toMatchObject({
+        markdownBreaks: true,
+        concurrency: 3
+      });
+      expect(() => resolveConfig({ env: { MAX_MERMAID_DIAGRAMS: 'lots' } }))
+        .toThrow('MAX_MERMAID_DIAGRAMS environment variable: Invalid maxMermaidDiagrams "lots". Use a whole number of 0 or more.');
+    });
+
+    test('should name the CLI flag when a flag value is invalid', () => {
+      expect(() => resolveConfig({ flags: { frontMatterMode: 'fancy' }, env: {} }))
+        .toThrow('--front-matter option: Invalid frontMatterMode "fancy". Use "none" or "styled".');
+    });
+
+    test('should validate the server port', () => {
+      expect(resolveConfig({ env: { PORT: '8080' } }).port).toBe(8080);
+      expect(() => resolveConfig({ flags: { port: '70000' }, env: {} }))
+        .toThrow('--port option: Invalid port "70000". Use a port number from 1 to 65535.');
+    });
+
+    test('should validate output name templates', () => {
+      expect(resolveConfig({ env: { OUTPUT_NAME: 'ADR-{id}_{title}' } }).outputName).toBe('ADR-{id}_{title}');
+      expect(() => resolveConfig({ flags: { outputName: '../{title}' }, env: {} }))
+        .toThrow('--output-name option: Invalid output name template "../{title}": names must stay inside the output directory.');
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    test('should validate settings and resolve paths relative to the file', async () => {
+      const configPath = path.join(tmpDir, '.mdpdfrc.yml');
+      await fs.outputFile(configPath, 'pdfFormat: Letter\nmarkdownBreaks: true\nmermaidJsPath: vendor/mermaid.js\n');
+
+      expect(await loadConfigFile(configPath)).toEqual({
+        pdfFormat: 'Letter',
+        markdownBreaks: true,
+        mermaidJsPath: path.resolve(tmpDir, 'vendor', 'mermaid.js')
+      });
+    });
+
+    test('should reject unknown settings', async () => {
+      const configPath = path.join(tmpDir, '.mdpdfrc.yml');
+      await fs.outputFile(configPath, 'pageSize: A4\n');
+
+      await expect(loadConfigFile(configPath)).rejects.toThrow(`${configPath}: Unknown setting "pageSize"`);
+    });
+
+    test('should reject invalid values with the file name', async () => {
+      const configPath = path.join(tmpDir, '.mdpdfrc.yml');
+      await fs.outputFile(configPath, 'pdfMargin:\n  top: wide\n');
+
+      await expect(loadConfigFile(configPath))
+        .rejects.toThrow(`${configPath}: Invalid pdfMargin.top "wide".`);
+    });
+
+    test('should reject run-wide settings in nested config files', async () => {
+      const configPath = path.join(tmpDir, '.mdpdfrc.yml');
+      await fs.outputFile(configPath, 'concurrency: 4\n');
+
+      await expect(loadConfigFile(configPath, { nested: true })).rejects.toThrow('"concurrency" applies to the whole run');
+    });
+
+    test('should treat an empty file as no settings', async () => {
+      const configPath = path.join(tmpDir, '.mdpdfrc.yml');
+      await fs.outputFile(configPath, '# nothing yet\n');
+
+      expect(await loadConfigFile(configPath)).toEqual({});
+    });
+  });
+
+  describe('ProjectConfig', () => {
+    test('should discover config files upward with the nearest winning', async () => {
+      await fs.outputFile(path.join(tmpDir, '.mdpdfrc.yml'), 'pdfFormat: Letter\nmarkdownBreaks: true\n');
+      await fs.outputFile(path.join(inputDir, '.mdpdfrc.yaml'), 'pdfFormat: A5\n');
+
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+
+      expect(projectConfig.settings).toMatchObject({ pdfFormat: 'A5', markdownBreaks: true });
+      expect(projectConfig.configFiles).toEqual([
+        path.resolve(tmpDir, '.mdpdfrc.yml'),
+        path.resolve(inputDir, '.mdpdfrc.yaml')
+      ]);
+    });
+
+    test('should apply nested config files to their subtree only', async () => {
+      await fs.outputFile(path.join(inputDir, '.mdpdfrc.yml'), 'frontMatterMode: styled\npdfMargin:\n  top: 2cm\n');
+      await fs.outputFile(path.join(inputDir, 'slides', '.mdpdfrc.yml'), 'pdfFormat: Letter\npdfMargin:\n  left: 5mm\n');
+
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+
+      expect(await projectConfig.forFile('index.md')).toMatchObject({ pdfFormat: 'A4', frontMatterMode: 'styled' });
+      expect(await projectConfig.forFile(path.join('slides', 'deck', 'intro.md'))).toMatchObject({
+        pdfFormat: 'Letter',
+        frontMatterMode: 'styled',
+        pdfMargin: { top: '2cm', right: '1in', bottom: '1in', left: '5mm' }
+      });
+    });
+
+    test('should let flags and environment override nested config files', async () => {
+      await fs.outputFile(path.join(inputDir, 'slides', '.mdpdfrc.yml'), 'pdfFormat: Letter\nfrontMatterMode: styled\n');
+
+      const projectConfig = await ProjectConfig.load(inputDir, {
+        flags: { frontMatterMode: 'none' },
+        env: { PDF_FORMAT: 'A3' }
+      });
+
+      expect(await projectConfig.forFile(path.join('slides', 'intro.md'))).toMatchObject({
+        pdfFormat: 'A3',
+        frontMatterMode: 'none'
+      });
+    });
+
+    test('should report an invalid nested config file when its files are resolved', async () => {
+      await fs.outputFile(path.join(inputDir, 'broken', '.mdpdfrc.yml'), 'maxFileSize: -1\n');
+
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+
+      await expect(projectConfig.forFile(path.join('broken', 'a.md'))).rejects.toThrow('Invalid maxFileSize "-1"');
+      await expect(projectConfig.forFile('a.md')).resolves.toMatchObject({ maxFileSize: 10485760 });
+    });
+
+    test('should read a nested config file again after invalidate', async () => {
+      const configPath = path.join(inputDir, 'slides', '.mdpdfrc.yml');
+      await fs.outputFile(configPath, 'pdfFormat: Letter\n');
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+      expect(await projectConfig.forFile(path.join('slides', 'deck', 'a.md'))).toMatchObject({ pdfFormat: 'Letter' });
+
+      await fs.outputFile(configPath, 'pdfFormat: A3\n');
+      expect(await projectConfig.forFile(path.join('slides', 'deck', 'a.md'))).toMatchObject({ pdfFormat: 'Letter' });
+      await projectConfig.invalidate(configPath);
+
+      expect(await projectConfig.forFile(path.join('slides', 'deck', 'a.md'))).toMatchObject({ pdfFormat: 'A3' });
+      expect(await projectConfig.forFile('a.md')).toMatchObject({ pdfFormat: 'A4' });
+      expect(projectConfig.configFiles).toEqual([configPath]);
+    });
+
+    test('should read the config files of the input directory and above again after invalidate', async () => {
+      const configPath = path.join(inputDir, '.mdpdfrc.yml');
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+      await fs.outputFile(configPath, 'pdfFormat: Letter\n');
+
+      await projectConfig.invalidate(configPath);
+
+      expect(projectConfig.settings).toMatchObject({ pdfFormat: 'Letter' });
+      expect(await projectConfig.forFile(path.join('sub', 'a.md'))).toMatchObject({ pdfFormat: 'Letter' });
+
+      await fs.outputFile(configPath, 'pdfFormat: Huge\n');
+      await expect(projectConfig.invalidate(configPath)).rejects.toThrow('Invalid pdfFormat');
+      expect(projectConfig.settings).toMatchObject({ pdfFormat: 'Letter' });
+    });
+
+    test('configCandidates should list every path a config file could have', async () => {
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+
+      const candidates = projectConfig.configCandidates(['.', path.join('a', 'b')]);
+
+      expect(candidates).toEqual(expect.arrayContaining([
+        path.join(inputDir, '.mdpdfrc.yml'),
+        path.join(inputDir, '.mdpdfrc.yaml'),
+        path.join(tmpDir, 'project', '.mdpdfrc.yml'),
+        path.join(inputDir, 'a', '.mdpdfrc.yml'),
+        path.join(inputDir, 'a', 'b', '.mdpdfrc.yaml')
+      ]));
+      expect(new Set(candidates).size).toBe(candidates.length);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 const { MarkdownConverter } = require('../../src/root/app/converter');
-const { PDFDocument } = require('pdf-lib');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
 const fs = require('fs-extra');
 const path = require('path');
+const { pathToFileURL } = require('url');
 
 describe('MarkdownConverter', () => {
   let converter;
@@ -116,6 +117,46 @@ sequenceDiagram
       expect(diagrams[0].type).toBe('flowchart');
       expect(diagrams[1].type).toBe('sequence');
     });
+
+    test('should lay out diagrams with fence attributes and warn about invalid ones', async () => {
+      const context = { diagnostics: [], mermaidDiagrams: [] };
+      const markdown = [
+        '```mermaid {width=60% align=left caption="Deployment <topology>" theme=Forest #fig-deploy}',
+        'graph TD',
+        '```',
+        '',
+        '```{.mermaid width=wide theme=neon landscape=yes colour=red}',
+        'pie',
+        '```'
+      ].join('\n');
+
+      const result = await converter.processMarkdown(markdown, context);
+
+      expect(result.html).toContain('<figure id="fig-deploy" class="mermaid-figure align-left" style="width: 60%">\n' +
+        '<div class="mermaid-diagram" data-mermaid="graph%20TD" data-mermaid-theme="forest">');
+      expect(result.html).toContain('<figcaption><span class="figure-label">Figure 1:</span> Deployment &lt;topology&gt;</figcaption>\n</figure>');
+      expect(result.html).toContain('<style>\n    @page { size: 8.27in 11.7in; }');
+      expect(result.html).toMatch(/<\/figure>\n<div class="mermaid-diagram" data-mermaid="pie">/);
+      expect(context.landscapePages).toBeUndefined();
+      expect(context.diagnostics).toEqual([
+        { line: 5, severity: 'warning', message: 'Mermaid diagram 2: width "wide" is not a width such as 60% or 400px; the attribute is ignored' },
+        { line: 5, severity: 'warning', message: 'Mermaid diagram 2: theme "neon" is not one of default, neutral, dark, forest, base; the attribute is ignored' },
+        { line: 5, severity: 'warning', message: 'Mermaid diagram 2: landscape "yes" is not true or false; the attribute is ignored' },
+        { line: 5, severity: 'warning', message: 'Mermaid diagram 2: unknown attribute "colour"; use width, align, caption, theme, id or landscape; the attribute is ignored' }
+      ]);
+    });
+
+    test('should replace each diagram where it stands and leave documented fences as code', async () => {
+      const diagram = '```mermaid\npie\n```';
+      const markdown = `${diagram}\n\n\`\`\`\`markdown\n${diagram}\n\`\`\`\`\n\n- Item\n\n  ${diagram.replace(/\n/g, '\n  ')}\n\n${diagram}`;
+
+      const result = await converter.processMarkdown(markdown);
+
+      expect(result.mermaidDiagramCount).toBe(3);
+      expect(result.html.match(/<div class="mermaid-diagram"/g)).toHaveLength(3);
+      expect(result.html).toContain('<code class="hljs language-markdown"><span class="hljs-code">```mermaid\npie\n```</span>');
+      expect(result.html).toMatch(/<li>\s*<p>Item<\/p>\s*<div class="mermaid-diagram" data-mermaid="pie">/);
+    });
   });
 
   describe('Input validation', () => {
@@ -187,6 +228,25 @@ Some text.`;
       expect(newConverter.maxFileSize).toBe(5242880); // 5MB
       delete process.env.MAX_FILE_SIZE;
     });
+
+    test('should prefer settings passed to the constructor over the environment', () => {
+      process.env.MAX_FILE_SIZE = '5242880';
+      const newConverter = new MarkdownConverter({ maxFileSize: 1024, pdfFormat: 'Letter' });
+      expect(newConverter.maxFileSize).toBe(1024);
+      expect(newConverter.config.pdfFormat).toBe('Letter');
+    });
+
+    test('should reject invalid settings', () => {
+      expect(() => new MarkdownConverter({ frontMatterMode: 'fancy' })).toThrow('Invalid frontMatterMode "fancy"');
+    });
+
+    test('should apply markdownBreaks from the conversion settings', async () => {
+      const withBreaks = await converter.processMarkdown('one\ntwo', { config: { ...converter.config, markdownBreaks: true } });
+      const withoutBreaks = await converter.processMarkdown('one\ntwo');
+
+      expect(withBreaks.html).toContain('one<br>two');
+      expect(withoutBreaks.html).not.toContain('<br>');
+    });
   });
 
   describe('Diagram type detection', () => {
@@ -513,6 +573,7 @@ Some content.
           };
           return Promise.resolve({
             newPage: () => Promise.resolve(mockPage),
+            on: jest.fn(),
             close: () => Promise.resolve()
           });
         });
@@ -610,7 +671,7 @@ graph TD
     test('should respect MERMAID_VERSION environment variable', () => {
       process.env.MERMAID_VERSION = '11.0.0';
       try {
-        const url = converter.getMermaidCdnUrl();
+        const url = new MarkdownConverter().getMermaidCdnUrl();
         expect(url).toContain('mermaid@11.0.0');
       } finally {
         delete process.env.MERMAID_VERSION;
@@ -638,7 +699,7 @@ graph TD
 
       process.env.MERMAID_JS_PATH = tmpPath;
       try {
-        const localPath = converter.getMermaidLocalPath();
+        const localPath = new MarkdownConverter().getMermaidLocalPath();
         expect(localPath).toBe(tmpPath);
       } finally {
         delete process.env.MERMAID_JS_PATH;
@@ -669,6 +730,7 @@ graph TD
       originalLaunch = puppeteerModule.launch;
       puppeteerModule.launch = jest.fn().mockResolvedValue({
         newPage: () => Promise.resolve(mockPage),
+        on: jest.fn(),
         close: () => Promise.resolve()
       });
     });
@@ -714,6 +776,26 @@ graph TD
       }
     });
 
+    test('should print with CSS page sizes when a diagram is landscape', async () => {
+      const outputDir = path.join(__dirname, '..', 'tmp');
+      const outputPath = path.join(outputDir, 'landscape.pdf');
+      await fs.ensureDir(outputDir);
+
+      try {
+        await converter.initializeBrowser();
+        const html = '<!DOCTYPE html><html><head></head><body><figure class="mermaid-figure landscape"><div class="mermaid-diagram" data-mermaid="pie" data-mermaid-theme="forest"></div></figure></body></html>';
+        await converter.generatePdf(html, outputPath, {}, 1, { landscapePages: true });
+
+        expect(mockPage.pdf).toHaveBeenCalledWith(expect.objectContaining({ preferCSSPageSize: true }));
+        expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), false, expect.objectContaining({ theme: 'default' }));
+
+        await converter.generatePdf(html, outputPath, {}, 1);
+        expect(mockPage.pdf.mock.calls[1][0]).not.toHaveProperty('preferCSSPageSize');
+      } finally {
+        await fs.remove(outputDir).catch(() => {});
+      }
+    });
+
     test('should fall back to local file when CDN addScriptTag fails', async () => {
       const outputDir = path.join(__dirname, '..', 'tmp');
       const outputPath = path.join(outputDir, 'fallback-mermaid.pdf');
@@ -722,6 +804,7 @@ graph TD
       await fs.writeFile(fakeMermaidPath, '// fake mermaid');
 
       process.env.MERMAID_JS_PATH = fakeMermaidPath;
+      converter = new MarkdownConverter();
 
       let addScriptCallCount = 0;
       mockPage.addScriptTag = jest.fn().mockImplementation((opts) => {
@@ -766,4 +849,910 @@ graph TD
       }
     });
   });
+
+  describe('In-memory conversion', () => {
+    let mockPage;
+    let puppeteerModule;
+    let originalLaunch;
+    let originalExecPath;
+
+    beforeEach(() => {
+      originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+      mockPage = {
+        goto: jest.fn().mockResolvedValue(undefined),
+        setContent: jest.fn().mockResolvedValue(undefined),
+        waitForFunction: jest.fn().mockResolvedValue(undefined),
+        evaluate: jest.fn().mockResolvedValue({ total: 0, rendered: 0, failed: 0 }),
+        addScriptTag: jest.fn().mockResolvedValue(undefined),
+        emulateMediaType: jest.fn().mockResolvedValue(undefined),
+        viewport: jest.fn(() => ({ width: 800, height: 600 })),
+        setViewport: jest.fn().mockResolvedValue(undefined),
+        pdf: jest.fn(),
+        close: jest.fn().mockResolvedValue(undefined)
+      };
+
+      puppeteerModule = require('puppeteer-core');
+      originalLaunch = puppeteerModule.launch;
+      puppeteerModule.launch = jest.fn().mockResolvedValue({
+        newPage: () => Promise.resolve(mockPage),
+        on: jest.fn(),
+        close: () => Promise.resolve()
+      });
+    });
+
+    afterEach(() => {
+      puppeteerModule.launch = originalLaunch;
+      if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+    });
+
+    test('should return PDF bytes for a markdown string', async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      mockPage.pdf.mockResolvedValue(await pdfDoc.save());
+
+      const pdf = await converter.convertMarkdownToPdf('---\ntitle: From Memory\n---\n\n# Hello');
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(mockPage.pdf).toHaveBeenCalledWith(expect.not.objectContaining({ path: expect.anything() }));
+      const loaded = await PDFDocument.load(pdf);
+      expect(loaded.getTitle()).toBe('From Memory');
+    });
+
+    test('should report timing, diagrams and page count with the PDF', async () => {
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      pdfDoc.addPage();
+      mockPage.pdf.mockResolvedValue(await pdfDoc.save());
+      mockPage.evaluate.mockResolvedValue({ total: 2, rendered: 1, failed: 1 });
+
+      const result = await converter.convertMarkdown('# Diagrams\n\n```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\nnot a diagram\n```');
+
+      expect(Buffer.isBuffer(result.pdf)).toBe(true);
+      expect(result.pageCount).toBe(2);
+      expect(result.diagrams).toEqual({ total: 2, rendered: 1, failed: 1 });
+      expect(Object.keys(result.timing)).toEqual(['readFile', 'validateFile', 'processMarkdown', 'generatePdf', 'total']);
+      expect(result.pdfTiming).toHaveProperty('diagramRender');
+    });
+
+    test('should attach the timing collected so far to conversion errors', async () => {
+      mockPage.pdf.mockRejectedValue(new Error('Target closed'));
+
+      const error = await converter.convertMarkdown('# Fails late').catch(e => e);
+
+      expect(error.message).toBe('PDF generation failed: Target closed');
+      expect(error.conversion.timing).toHaveProperty('total');
+      expect(error.conversion.pdfTiming).toHaveProperty('pageCreate');
+      expect(error.conversion.diagrams).toEqual({ total: 0, rendered: 0, failed: 0 });
+    });
+
+    test('should keep the code of errors raised while printing, so a timeout is retried', async () => {
+      const { convertFile } = require('../../src/root/app/index');
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      await fs.outputFile(path.join(tmpDir, 'doc.md'), '# Retried\n');
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      const timeout = Object.assign(new Error('Waiting for the PDF timed out'), { code: 'TIMEOUT' });
+      mockPage.pdf.mockRejectedValueOnce(timeout).mockResolvedValue(await pdfDoc.save());
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      try {
+        const result = await convertFile(converter, {
+          inputDir: tmpDir,
+          outputDir: path.join(tmpDir, 'out'),
+          file: 'doc.md',
+          outputFile: 'doc.pdf',
+          config: { retries: 1 }
+        });
+
+        expect(result).toMatchObject({ success: true, attempts: 2, events: [{ type: 'timeout', attempt: 1, message: timeout.message }] });
+        mockPage.pdf.mockRejectedValueOnce(new Error('Target closed'));
+        const error = await converter.convertMarkdown('# Fails').catch(e => e);
+        expect(error.message).toBe('PDF generation failed: Target closed');
+        expect(error.cause.message).toBe('Target closed');
+      } finally {
+        jest.restoreAllMocks();
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should fail in strict mode when a diagram does not render', async () => {
+      mockPage.evaluate.mockResolvedValue({
+        total: 2,
+        rendered: 1,
+        failed: 1,
+        errors: [{ index: 1, message: 'Parse error on line 2:\n...A->>\n-----^\nExpecting \'TXT\'' }]
+      });
+      const markdown = '```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\nsequenceDiagram\n  A->>\n```\n';
+
+      const error = await converter.convertMarkdown(markdown, { config: { ...converter.config, strict: true } }).catch(e => e);
+
+      expect(error.code).toBe('DIAGRAM_RENDER_FAILED');
+      expect(error.message).toBe([
+        'Strict mode: 1 Mermaid diagram failed to render',
+        '  - diagram 2 (sequence) at line 8: Parse error on line 2:',
+        '    ...A->>',
+        '    -----^',
+        '    Expecting \'TXT\''
+      ].join('\n'));
+      expect(error.diagrams).toEqual([expect.objectContaining({ index: 1, type: 'sequence', line: 8 })]);
+      expect(error.conversion.diagnostics[0].severity).toBe('error');
+      expect(mockPage.pdf).not.toHaveBeenCalled();
+    });
+
+    test('should let front matter turn strict mode on and off', async () => {
+      mockPage.evaluate.mockResolvedValue({ total: 1, rendered: 0, failed: 1, errors: [{ index: 0, message: 'Syntax error' }] });
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+      const diagram = '\n```mermaid\ngraph TD\n  A--\n```\n';
+
+      await expect(converter.convertMarkdown(`---\nstrict: true\n---\n${diagram}`))
+        .rejects.toThrow('diagram 1 (flowchart) at line 5: Syntax error');
+      const strictConverter = new MarkdownConverter({ strict: true });
+      try {
+        const result = await strictConverter.convertMarkdown(`---\nstrict: false\n---\n${diagram}`);
+        expect(result.diagrams.failed).toBe(1);
+      } finally {
+        await strictConverter.cleanup();
+      }
+      await expect(converter.convertMarkdown(`---\nstrict: maybe\n---\n${diagram}`))
+        .rejects.toThrow('Invalid front matter: Invalid strict "maybe". Use true or false.');
+    });
+
+    test('should render math offline and report expressions that do not render', async () => {
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+      const markdown = '---\ntitle: Math\n---\n\n$$\nE = mc^2 \\label{energy}\n$$\n\nBy \\eqref{energy}, $\\frac{1}{$ fails.\n';
+
+      const result = await converter.convertMarkdown(markdown);
+
+      const html = mockPage.setContent.mock.calls[0][0];
+      expect(html).toContain('<div class="math math-display" id="eq-energy"><span class="katex-display">');
+      expect(html).toContain('<a class="math-ref" href="#eq-energy" data-math-ref="0">(1)</a>');
+      expect(html).toContain('src:url(data:font/woff2;base64,');
+      expect(html).not.toMatch(/https?:\/\/[^"]*katex/);
+      expect(result.diagnostics).toEqual([{
+        line: 9,
+        severity: 'warning',
+        message: 'Math expression $\\frac{1}{$ failed to render: Unexpected end of input in a macro argument, expected \'}\''
+      }]);
+
+      const error = await converter.convertMarkdown(`---\nstrict: true\n---\n\nBy $\\frac{1}{$ and $\\sqrt$.`).catch(e => e);
+      expect(error.code).toBe('MATH_RENDER_FAILED');
+      expect(error.message).toBe([
+        'Strict mode: 2 math expressions failed to render',
+        '  - $\\frac{1}{$ at line 5: Unexpected end of input in a macro argument, expected \'}\'',
+        '  - $\\sqrt$ at line 5: Expected group as argument to \'\\sqrt\''
+      ].join('\n'));
+      expect(mockPage.pdf).toHaveBeenCalledTimes(1);
+    });
+
+    test('should measure display math at the printed text width before printing', async () => {
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+      mockPage.evaluate.mockImplementation(async (fn, width) => (String(width).startsWith('calc(') ? 602.5 : undefined));
+
+      const pdfMargin = { top: '1in', right: '1in', bottom: '1in', left: '2cm' };
+      await converter.convertMarkdown('$$\nE = mc^2\n$$\n', { config: { pdfMargin } });
+
+      expect(mockPage.setContent.mock.calls[0][0]).toMatch(/\.math-display \{[^}]*max-width: 100%;/);
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), 'calc(8.27in - 2cm - 1in)');
+      expect(mockPage.emulateMediaType).toHaveBeenCalledWith('print');
+      expect(mockPage.setViewport).toHaveBeenCalledWith({ width: 602, height: 600 });
+      expect(mockPage.setViewport.mock.invocationCallOrder[0]).toBeLessThan(mockPage.pdf.mock.invocationCallOrder[0]);
+
+      mockPage.setViewport.mockClear();
+      await converter.convertMarkdown('# Inline only\n\nThe $x^2$ term.');
+      expect(mockPage.setViewport).not.toHaveBeenCalled();
+    });
+
+    test('should leave the math stylesheet out of documents without math', async () => {
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      await converter.convertMarkdown('# Prices\n\nFrom $5 to $10.');
+
+      expect(mockPage.setContent.mock.calls[0][0]).not.toContain('KaTeX_Main');
+    });
+
+    test('should fill the table of contents with the pages headings land on', async () => {
+      const pdfDoc = await PDFDocument.create();
+      const pages = [pdfDoc.addPage(), pdfDoc.addPage()];
+      const destination = (page) => pdfDoc.context.obj([page.ref, PDFName.of('XYZ'), 0, 700, 0]);
+      pdfDoc.catalog.set(PDFName.of('Dests'), pdfDoc.context.obj({ guide: destination(pages[0]), setup: destination(pages[1]) }));
+      mockPage.pdf.mockResolvedValue(await pdfDoc.save());
+      mockPage.evaluate.mockResolvedValue(2);
+
+      await converter.convertMarkdown('# Guide\n\n[[toc]]\n\n## Setup\n\n#### Too deep');
+
+      const html = mockPage.setContent.mock.calls[0][0];
+      expect(html).toContain('<nav class="toc">');
+      expect(html).toContain('<a href="#setup"><span class="toc-text">Setup</span><span class="toc-page" data-toc-target="setup"></span></a>');
+      expect(html).not.toContain('[[toc]]');
+      expect(html).not.toContain('href="#too-deep"');
+      expect(mockPage.evaluate).toHaveBeenCalledWith(expect.any(Function), { guide: 1, setup: 2 });
+      expect(mockPage.pdf).toHaveBeenCalledTimes(2);
+    });
+
+    test('should add a table of contents from front matter and print once without one', async () => {
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      await converter.convertMarkdown('# Plain\n\n## Section');
+      expect(mockPage.setContent.mock.calls[0][0]).not.toContain('class="toc"');
+      expect(mockPage.pdf).toHaveBeenCalledTimes(1);
+
+      await converter.convertMarkdown('---\ntoc: true\ntocDepth: 1\n---\n# Top\n\n## Section');
+      const html = mockPage.setContent.mock.calls[1][0];
+      expect(html).toContain('href="#top"');
+      expect(html).not.toContain('href="#section"');
+
+      await expect(converter.convertMarkdown('---\ntocDepth: 9\n---\n[[toc]]'))
+        .rejects.toThrow('Invalid front matter: Invalid tocDepth "9". Use a heading level from 1 to 6.');
+    });
+
+    test('should accept a Buffer and use the given filename in errors', async () => {
+      await expect(converter.convertMarkdownToPdf(Buffer.from('   '), { filename: 'piped.md' }))
+        .rejects.toThrow('File is empty: piped.md');
+    });
+
+    test('should reject markdown larger than maxFileSize', async () => {
+      converter = new MarkdownConverter({ maxFileSize: 10 });
+      await expect(converter.convertMarkdownToPdf('# This is more than ten bytes'))
+        .rejects.toThrow('exceeds maximum allowed size');
+    });
+
+    test('should use per-file settings for the page setup', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'letter.md');
+      await fs.outputFile(inputPath, '# Letter');
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      try {
+        await converter.convertToPdf(inputPath, null, { pdfFormat: 'Letter', pdfMargin: { top: '2cm', right: '1in', bottom: '1in', left: '1in' } });
+        expect(mockPage.pdf).toHaveBeenCalledWith(expect.objectContaining({
+          format: 'Letter',
+          margin: { top: '2cm', right: '1in', bottom: '1in', left: '1in' }
+        }));
+        expect(converter.config.pdfFormat).toBe('A4');
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should splice in included files before rendering and report them', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'guide.md');
+      await fs.outputFile(inputPath, '# Guide\n\n{{#include parts/setup.md}}\n');
+      await fs.outputFile(path.join(tmpDir, 'parts', 'setup.md'), '---\ntitle: Setup\n---\n## Setup\n\n```mermaid\ngraph TD\n  A-->B\n```\n');
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      try {
+        const result = await converter.convertFile(inputPath, null);
+        const html = mockPage.setContent.mock.calls[0][0];
+        expect(html).toContain('<h2 id="setup">Setup</h2>');
+        expect(html).toContain('class="mermaid-diagram"');
+        expect(result.includes).toEqual([path.join(tmpDir, 'parts', 'setup.md')]);
+
+        await expect(converter.convertMarkdown('{{#include parts/setup.md}}')).rejects.toMatchObject({
+          code: 'INCLUDE_FAILED',
+          conversion: expect.objectContaining({ includes: [] })
+        });
+        const fromDir = await converter.convertMarkdown('{{#include parts/setup.md}}', { baseDir: tmpDir });
+        expect(fromDir.includes).toEqual([path.join(tmpDir, 'parts', 'setup.md')]);
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should report problems in included files at their own lines', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      await fs.outputFile(path.join(tmpDir, 'parts', 'flow.md'), '## Flow\n\n```mermaid\nsequenceDiagram\n  A->>\n```\n');
+      mockPage.evaluate.mockResolvedValue({ total: 1, rendered: 0, failed: 1, errors: [{ index: 0, message: 'Parse error on line 2' }] });
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+      const markdown = '# Guide\n\n{{#include parts/flow.md}}\n\nBy $\\frac{1}{$.\n';
+
+      try {
+        const { diagnostics } = await converter.convertMarkdown(markdown, { baseDir: tmpDir });
+        expect(diagnostics).toEqual([
+          { line: 5, severity: 'warning', message: 'Math expression $\\frac{1}{$ failed to render: Unexpected end of input in a macro argument, expected \'}\'' },
+          { line: 3, severity: 'warning', message: 'Mermaid diagram 1 (sequence) failed to render: Parse error on line 2 (in flow.md line 3)' }
+        ]);
+
+        const strict = { baseDir: tmpDir, config: { ...converter.config, strict: true } };
+        const error = await converter.convertMarkdown('# Guide\n\n{{#include parts/flow.md}}\n', strict).catch(e => e);
+        expect(error.message).toBe(`Strict mode: 1 Mermaid diagram failed to render\n  - diagram 1 (sequence) at ${path.join(tmpDir, 'parts', 'flow.md')} line 5: Parse error on line 2`);
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should resolve local images against the source file and report missing ones', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'docs', 'guide.md');
+      await fs.outputFile(inputPath, '---\ntitle: Guide\n---\n# Guide\n\n![Arch](img/arch.svg)\n\n![Gone](img/gone.png)\n');
+      await fs.outputFile(path.join(tmpDir, 'docs', 'img', 'arch.svg'), '<svg xmlns="http://www.w3.org/2000/svg"/>');
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      try {
+        const result = await converter.convertFile(inputPath, null);
+        let html = mockPage.setContent.mock.calls[0][0];
+        expect(mockPage.goto).toHaveBeenCalledWith(pathToFileURL(path.join(tmpDir, 'docs') + path.sep).href);
+        expect(html).toContain(`<img src="${pathToFileURL(path.join(tmpDir, 'docs', 'img', 'arch.svg')).href}" alt="Arch">`);
+        expect(result.diagnostics).toEqual([
+          { line: 8, severity: 'warning', message: `Image img/gone.png not found at ${path.join(tmpDir, 'docs', 'img', 'gone.png')}` }
+        ]);
+        expect(result.assets).toEqual([path.join(tmpDir, 'docs', 'img', 'arch.svg'), path.join(tmpDir, 'docs', 'img', 'gone.png')]);
+
+        await converter.convertFile(inputPath, null, { inlineImages: true });
+        html = mockPage.setContent.mock.calls[1][0];
+        expect(html).toContain('<img src="data:image/svg+xml;base64,');
+
+        await expect(converter.convertFile(inputPath, null, { strict: true })).rejects.toMatchObject({
+          code: 'ASSET_NOT_FOUND',
+          message: 'Strict mode: 1 local file referenced by the document not found\n  - image img/gone.png at line 8',
+          conversion: expect.objectContaining({ assets: expect.arrayContaining([path.join(tmpDir, 'docs', 'img', 'gone.png')]) })
+        });
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should point links to other batch documents at their PDFs', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'docs', 'guide.md');
+      const outputPath = path.join(tmpDir, 'out', 'guide.pdf');
+      const adrPdf = path.join(tmpDir, 'out', 'adr', '0012.pdf');
+      await fs.outputFile(inputPath, '# Guide\n\nSee [the decision](adr/0012.md#decision), [above](guide.md#guide) and [notes](../NOTES.md).\n');
+      await fs.outputFile(path.join(tmpDir, 'NOTES.md'), '# Notes');
+      await fs.ensureDir(path.dirname(outputPath));
+      const documents = new Map([
+        [inputPath, outputPath],
+        [path.join(tmpDir, 'docs', 'adr', '0012.md'), adrPdf]
+      ]);
+      const printed = await PDFDocument.create();
+      const page = printed.addPage();
+      page.node.set(PDFName.of('Annots'), printed.context.obj([printed.context.obj({
+        Type: 'Annot',
+        Subtype: 'Link',
+        Rect: [0, 0, 10, 10],
+        A: { S: 'URI', URI: PDFString.of(`${pathToFileURL(adrPdf).href}#decision`) }
+      })]));
+      mockPage.pdf.mockResolvedValue(await printed.save());
+      const warn = jest.spyOn(converter.logger, 'warn');
+
+      try {
+        await converter.convertFile(inputPath, outputPath, undefined, { documents });
+
+        const html = mockPage.setContent.mock.calls[0][0];
+        expect(html).toContain(`<a href="${pathToFileURL(adrPdf).href}#decision">the decision</a>`);
+        expect(html).toContain('<a href="#guide">above</a>');
+        expect(html).toContain(`<a href="${pathToFileURL(path.join(tmpDir, 'NOTES.md')).href}">notes</a>`);
+        expect(html).toContain('<nav class="link-targets" hidden><a href="#guide"></a></nav>');
+        expect(warn).toHaveBeenCalledWith('Links to markdown files outside the batch', {
+          filename: 'guide.md',
+          links: [{ href: '../NOTES.md', source: null, line: 3 }]
+        });
+
+        const written = await PDFDocument.load(await fs.readFile(outputPath));
+        const action = written.getPage(0).node.Annots().lookup(0).lookup(PDFName.of('A'));
+        expect(action.lookup(PDFName.of('S'))).toBe(PDFName.of('GoToR'));
+        expect(action.lookup(PDFName.of('F')).decodeText()).toBe('adr/0012.pdf');
+        expect(action.lookup(PDFName.of('D'))).toBe(PDFName.of('decision'));
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should return the PDF without writing a file when outputPath is null', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'no-output.md');
+      await fs.outputFile(inputPath, '# No output file');
+      mockPage.pdf.mockResolvedValue(new Uint8Array([37, 80, 68, 70]));
+
+      try {
+        const pdf = await converter.convertToPdf(inputPath, null);
+        expect(pdf.toString()).toBe('%PDF');
+        expect(await fs.readdir(tmpDir)).toEqual(['no-output.md']);
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+  });
+
+  describe('Concurrent conversions', () => {
+    let puppeteerModule;
+    let originalLaunch;
+    let originalExecPath;
+    let pages;
+
+    beforeEach(() => {
+      originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+      pages = [];
+
+      puppeteerModule = require('puppeteer-core');
+      originalLaunch = puppeteerModule.launch;
+      puppeteerModule.launch = jest.fn().mockImplementation(async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return {
+          newPage: () => {
+            const page = {
+              setContent: jest.fn().mockResolvedValue(undefined),
+              evaluate: jest.fn().mockResolvedValue({ total: 0, rendered: 0, failed: 0 }),
+              pdf: jest.fn(async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return new Uint8Array([37, 80, 68, 70]);
+              }),
+              close: jest.fn().mockResolvedValue(undefined)
+            };
+            pages.push(page);
+            return Promise.resolve(page);
+          },
+          on: jest.fn(),
+          close: () => Promise.resolve()
+        };
+      });
+    });
+
+    afterEach(() => {
+      puppeteerModule.launch = originalLaunch;
+      if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+    });
+
+    test('should launch one browser and render each conversion on its own page', async () => {
+      await Promise.all([
+        converter.convertMarkdownToPdf('# One', { filename: 'one.md' }),
+        converter.convertMarkdownToPdf('# Two', { filename: 'two.md' }),
+        converter.convertMarkdownToPdf('# Three', { filename: 'three.md' })
+      ]);
+
+      expect(puppeteerModule.launch).toHaveBeenCalledTimes(1);
+      expect(pages).toHaveLength(3);
+      pages.forEach(page => {
+        expect(page.setContent).toHaveBeenCalledTimes(1);
+        expect(page.close).toHaveBeenCalledTimes(1);
+      });
+      expect(converter.pages.size).toBe(0);
+    });
+
+    test('should attribute failures to the right file while others succeed', async () => {
+      const results = await Promise.allSettled([
+        converter.convertMarkdownToPdf('# Fine', { filename: 'fine.md' }),
+        converter.convertMarkdownToPdf('', { filename: 'empty.md' })
+      ]);
+
+      expect(results[0].status).toBe('fulfilled');
+      expect(results[1].status).toBe('rejected');
+      expect(results[1].reason.message).toBe('File is empty: empty.md');
+    });
+
+    test('should keep the rendering state of each conversion apart', async () => {
+      const numbered = new MarkdownConverter({ lineNumbers: true }, { logger: converter.logger });
+      const first = {};
+      const second = {};
+      await converter.processMarkdown('# Intro\n\n$$ a \\label{a} $$\n\n```js\nx();\n```', first);
+      const result = await numbered.processMarkdown('# Intro\n\n$$ b \\label{b} $$\n\n```js\ny();\n```', second);
+
+      expect(first.rendering).not.toBe(second.rendering);
+      expect(result.html).toContain('id="intro"');
+      expect(result.html).toContain('<pre class="code-block line-numbers">');
+      // Rendering more into the first document continues its own state only
+      const { html } = converter.renderMarkdownBody('# Intro\n\n```js\nz();\n```', first);
+      expect(html).toContain('<h1 id="intro-1">');
+      expect(html).toContain('<pre class="code-block">');
+      expect(second.rendering.headingSlugger.headings.map(heading => heading.id)).toEqual(['intro']);
+      expect(first.rendering.mathRenderer.count).toBe(1);
+      expect(second.rendering.mathRenderer.count).toBe(1);
+    });
+  });
+
+  describe('Book conversion', () => {
+    const chapters = [
+      { path: 'chapters/01-intro.md', content: '---\ntitle: Handbook\nauthor: Docs Team\n---\n\n# Overview\n\nSee [setup](#setup-1).' },
+      { path: 'chapters/02-setup.md', content: '---\ntitle: Setup Chapter\n---\n\n# Overview\n\n## Setup\n\n## Setup' }
+    ];
+
+    test('should keep heading IDs unique across chapters', async () => {
+      const result = await converter.processBook(chapters);
+
+      expect(result.html).toContain('id="overview"');
+      expect(result.html).toContain('id="overview-1"');
+      expect(result.html).toContain('id="setup"');
+      expect(result.html).toContain('id="setup-1"');
+    });
+
+    test('should end each chapter with its own footnotes', async () => {
+      const result = await converter.processBook([
+        { path: 'a.md', content: '# A\n\nClaim[^1].\n\n[^1]: Source A.' },
+        { path: 'b.md', content: '# B\n\nClaim[^1].\n\n[^1]: Source B.' }
+      ]);
+
+      const [chapterA, chapterB] = result.html.split('<section class="book-chapter"').slice(1);
+      expect(chapterA).toContain('<a href="#fn-1" id="fnref-1">1</a>');
+      expect(chapterA).toMatch(/<section class="footnotes">\n<ol>\n<li id="fn-1">\n<p>Source A\./);
+      expect(chapterB).toContain('<a href="#fn-1-1" id="fnref-1-1">1</a>');
+      expect(chapterB).toMatch(/<li id="fn-1-1">\n<p>Source B\./);
+    });
+
+    test('should wrap each chapter in a section that starts on a new page', async () => {
+      const result = await converter.processBook(chapters);
+
+      expect(result.html).toContain('<section class="book-chapter" id="chapter-01-intro">');
+      expect(result.html).toContain('<section class="book-chapter" id="chapter-02-setup">');
+      expect(result.html).toMatch(/\.book-chapter \+ \.book-chapter\s*\{\s*break-before: page;/);
+    });
+
+    test('should use the first chapter front matter by default', async () => {
+      const result = await converter.processBook(chapters);
+
+      expect(result.frontMatter).toEqual({ title: 'Handbook', author: 'Docs Team' });
+      expect(result.html).toContain('<title>Handbook</title>');
+    });
+
+    test('should use the front matter of the chosen chapter', async () => {
+      const result = await converter.processBook(chapters, { frontMatterFrom: 'chapters/02-setup.md' });
+
+      expect(result.frontMatter).toEqual({ title: 'Setup Chapter' });
+    });
+
+    test('should reject a front matter source that is not a chapter', async () => {
+      await expect(converter.processBook(chapters, { frontMatterFrom: 'appendix.md' }))
+        .rejects.toThrow('Front matter source is not one of the book chapters: appendix.md');
+    });
+
+    test('should number figures across chapters and list them where [[lof]] is', async () => {
+      const context = {};
+      const result = await converter.processBook([
+        { path: 'a.md', content: '# A\n\n[[lof]]\n\nSee @fig-flow.\n\n![Chart](chart.png "Sales")' },
+        { path: 'b.md', content: '# B\n\n```mermaid {#fig-flow caption="Flow"}\ngraph TD\n  A-->B\n```' }
+      ], {}, context);
+
+      expect(result.html).toContain('<figcaption><span class="figure-label">Figure 1:</span> Sales</figcaption>');
+      expect(result.html).toContain('<figcaption><span class="figure-label">Figure 2:</span> Flow</figcaption>');
+      expect(result.html).toContain('<a class="figure-ref" href="#fig-flow" data-figure-ref="0">Figure 2</a>');
+      expect(result.html).toContain('<a href="#figure-1"><span class="toc-text">Figure 1: Sales</span>' +
+        '<span class="toc-page" data-toc-target="figure-1"></span></a>');
+      expect(result.html).toContain('<span class="toc-text">Figure 2: Flow</span>');
+      expect(context.tableOfContents).toBe(true);
+    });
+
+    test('should turn links to other chapters into links inside the book', async () => {
+      const warn = jest.spyOn(converter.logger, 'warn');
+      const result = await converter.processBook([
+        { path: 'a.md', content: '# Setup\n\n[Chapter B](b.md), [its setup](b.md#setup), [its Ids](./b.md#ids) and [the readme](README.md).' },
+        { path: 'b.md', content: '# B\n\n## Setup\n\nBack to [setup](a.md#setup).\n\n<a id="ids"></a>' }
+      ]);
+
+      expect(result.html).toContain('<a href="#chapter-b">Chapter B</a>');
+      expect(result.html).toContain('<a href="#setup-1">its setup</a>');
+      expect(result.html).toContain('<a href="#ids">its Ids</a>');
+      expect(result.html).toContain('<a href="#setup">setup</a>');
+      expect(warn).toHaveBeenCalledWith('Links to markdown files that are not chapters of the book', {
+        filename: undefined,
+        links: [{ href: 'README.md', source: 'a.md', line: 3 }]
+      });
+    });
+
+    test('should sum Mermaid diagrams across chapters', async () => {
+      const diagram = '```mermaid\ngraph TD\n  A-->B\n```';
+      const result = await converter.processBook([
+        { path: 'a.md', content: diagram },
+        { path: 'b.md', content: `${diagram}\n\n${diagram}` }
+      ]);
+
+      expect(result.mermaidDiagramCount).toBe(3);
+    });
+
+    test('should reject an empty chapter list', async () => {
+      await expect(converter.convertBookToPdf([], null)).rejects.toThrow('A book needs at least one chapter');
+    });
+
+    test('should render all chapters into one PDF with one set of metadata', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp-book');
+      const originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      const mockPage = {
+        goto: jest.fn().mockResolvedValue(undefined),
+        setContent: jest.fn().mockResolvedValue(undefined),
+        evaluate: jest.fn().mockResolvedValue({ total: 0, rendered: 0, failed: 0 }),
+        pdf: jest.fn().mockResolvedValue(await pdfDoc.save()),
+        close: jest.fn().mockResolvedValue(undefined)
+      };
+      const puppeteerModule = require('puppeteer-core');
+      const originalLaunch = puppeteerModule.launch;
+      puppeteerModule.launch = jest.fn().mockResolvedValue({
+        newPage: () => Promise.resolve(mockPage),
+        on: jest.fn(),
+        close: () => Promise.resolve()
+      });
+
+      try {
+        const inputPaths = [];
+        for (const chapter of chapters) {
+          const inputPath = path.join(tmpDir, chapter.path);
+          await fs.outputFile(inputPath, chapter.content);
+          inputPaths.push(inputPath);
+        }
+        const outputPath = path.join(tmpDir, 'handbook.pdf');
+
+        await converter.convertBookToPdf(inputPaths, outputPath);
+
+        expect(mockPage.setContent).toHaveBeenCalledTimes(1);
+        const html = mockPage.setContent.mock.calls[0][0];
+        expect(html).toContain('chapter-01-intro');
+        expect(html).toContain('chapter-02-setup');
+        const loaded = await PDFDocument.load(await fs.readFile(outputPath));
+        expect(loaded.getTitle()).toBe('Handbook');
+        expect(loaded.getAuthor()).toBe('Docs Team');
+      } finally {
+        puppeteerModule.launch = originalLaunch;
+        if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+        await fs.remove(tmpDir);
+      }
+    });
+  });
+
+  describe('Check mode', () => {
+    let mockPage;
+    let puppeteerModule;
+    let originalLaunch;
+    let originalExecPath;
+
+    beforeEach(() => {
+      originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+      mockPage = {
+        setContent: jest.fn().mockResolvedValue(undefined),
+        waitForFunction: jest.fn().mockResolvedValue(undefined),
+        evaluate: jest.fn().mockResolvedValue(undefined),
+        addScriptTag: jest.fn().mockResolvedValue(undefined),
+        pdf: jest.fn(),
+        close: jest.fn().mockResolvedValue(undefined)
+      };
+
+      puppeteerModule = require('puppeteer-core');
+      originalLaunch = puppeteerModule.launch;
+      puppeteerModule.launch = jest.fn().mockResolvedValue({
+        newPage: () => Promise.resolve(mockPage),
+        on: jest.fn(),
+        close: () => Promise.resolve()
+      });
+    });
+
+    afterEach(() => {
+      puppeteerModule.launch = originalLaunch;
+      if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+    });
+
+    test('should record the source line of each Mermaid diagram', () => {
+      const diagrams = converter.extractMermaidDiagrams('# Title\n\n```mermaid\ngraph TD\n  A-->B\n```\n\ntext\n\n```mermaid\npie\n```');
+      expect(diagrams.map(d => d.line)).toEqual([3, 10]);
+    });
+
+    test('should report Mermaid parse errors with file lines and never render a PDF', async () => {
+      mockPage.evaluate.mockImplementation(async (fn, arg) => (
+        Array.isArray(arg) ? [null, 'Parse error on line 2:\n...A-->\n-----^\nExpecting ...'] : undefined
+      ));
+      const markdown = '---\ntitle: Ok\n---\n\n```mermaid\ngraph TD\n  A-->B\n```\n\n```mermaid\ngraph TD\n  A-->\n```\n';
+
+      const problems = await converter.checkMarkdown(markdown, { filename: 'doc.md' });
+
+      expect(problems).toEqual([
+        { line: 12, severity: 'error', message: 'Mermaid diagram 2 (flowchart) does not parse: Parse error on line 2:' }
+      ]);
+      expect(mockPage.pdf).not.toHaveBeenCalled();
+      expect(mockPage.close).toHaveBeenCalled();
+    });
+
+    test('should report math that does not render and unknown equation references', async () => {
+      const markdown = '# Math\n\n$$ a \\label{a} $$\n\nSee \\ref{b} and $\\frac{1}{$.\n';
+
+      const problems = await converter.checkMarkdown(markdown, { filename: 'doc.md' });
+
+      expect(problems).toEqual([
+        { line: 5, severity: 'error', message: expect.stringContaining('Math expression $\\frac{1}{$ failed to render') },
+        { line: 5, severity: 'warning', message: 'Equation reference \\ref{b} has no matching \\label' }
+      ]);
+      expect(puppeteerModule.launch).not.toHaveBeenCalled();
+    });
+
+    test('should report references to figures that do not exist', async () => {
+      const markdown = '# Figures\n\n![Chart](chart.png "Sales"){#fig-chart}\n\nSee @fig-chart and @fig-gone.\n';
+
+      const problems = await converter.checkMarkdown(markdown, { filename: 'doc.md' });
+
+      expect(problems).toEqual([
+        { line: 5, severity: 'warning', message: 'Figure reference @fig-gone has no numbered figure with that ID' }
+      ]);
+    });
+
+    test('should report figure IDs used more than once', async () => {
+      const markdown = '# Figures\n\n![Chart](chart.png "Sales"){#fig-chart}\n\n![Other](other.png "Costs"){#fig-chart}\n\nSee @fig-chart.\n';
+
+      const problems = await converter.checkMarkdown(markdown, { filename: 'doc.md' });
+
+      expect(problems).toEqual([
+        { line: 5, severity: 'warning', message: 'Figure ID "fig-chart" is used by more than one figure; references go to the first' }
+      ]);
+    });
+
+    test('should report footnotes that are missing or never used', async () => {
+      const markdown = '---\ntitle: Notes\n---\n\nText[^gone].\n\n[^spare]: Unused.\n';
+
+      const problems = await converter.checkMarkdown(markdown, { filename: 'doc.md' });
+
+      expect(problems).toEqual([
+        { line: 5, severity: 'warning', message: 'Footnote [^gone] is referenced but never defined' },
+        { line: 7, severity: 'warning', message: 'Footnote [^spare] is defined but never referenced' }
+      ]);
+    });
+
+    test('should report includes that cannot be resolved and check the rest', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'doc.md');
+      await fs.outputFile(inputPath, '# Doc\n\n{{#include notes.md}}\n\n{{#include missing.md}}\n\nText[^gone].\n');
+      await fs.outputFile(path.join(tmpDir, 'notes.md'), 'Notes.\n\nMore[^nowhere].\n');
+
+      try {
+        expect(await converter.checkFile(inputPath)).toEqual([
+          { line: 5, severity: 'error', message: 'Cannot include "missing.md" at doc.md line 5: file not found' },
+          { line: 7, severity: 'warning', message: 'Footnote [^gone] is referenced but never defined' }
+        ]);
+
+        await fs.outputFile(path.join(tmpDir, 'missing.md'), 'Found.\n');
+        expect(await converter.checkFile(inputPath)).toEqual([
+          { line: 3, severity: 'warning', message: 'Footnote [^nowhere] is referenced but never defined (in notes.md line 3)' },
+          { line: 7, severity: 'warning', message: 'Footnote [^gone] is referenced but never defined' }
+        ]);
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should report local images and link targets that do not exist', async () => {
+      const tmpDir = path.join(__dirname, '..', 'tmp');
+      const inputPath = path.join(tmpDir, 'doc.md');
+      await fs.outputFile(inputPath, '# Doc\n\nSee [the spec](spec.pdf).\n\n![Logo](logo.png)\n');
+      await fs.outputFile(path.join(tmpDir, 'logo.png'), '');
+
+      try {
+        expect(await converter.checkFile(inputPath)).toEqual([
+          { line: 3, severity: 'warning', message: `Link target spec.pdf not found at ${path.join(tmpDir, 'spec.pdf')}` }
+        ]);
+        expect(await converter.checkFile(inputPath, { strict: true })).toEqual([
+          { line: 3, severity: 'error', message: `Link target spec.pdf not found at ${path.join(tmpDir, 'spec.pdf')}` }
+        ]);
+      } finally {
+        await fs.remove(tmpDir);
+      }
+    });
+
+    test('should report invalid front matter YAML without starting the browser', async () => {
+      const problems = await converter.checkMarkdown('---\ntitle: Fine\nauthor: [unclosed\n---\n# Body\n');
+
+      expect(problems).toHaveLength(1);
+      expect(problems[0]).toMatchObject({ severity: 'error' });
+      expect(problems[0].message).toMatch(/^Invalid front matter: /);
+      expect(problems[0].line).toBeGreaterThanOrEqual(3);
+      expect(puppeteerModule.launch).not.toHaveBeenCalled();
+    });
+
+    test('should report limits from the configuration', async () => {
+      const limited = new MarkdownConverter({ maxMermaidDiagrams: 1 });
+      mockPage.evaluate.mockImplementation(async (fn, arg) => (Array.isArray(arg) ? arg.map(() => null) : undefined));
+
+      try {
+        const problems = await limited.checkMarkdown('```mermaid\npie\n```\n\n```mermaid\npie\n```');
+        expect(problems).toEqual([
+          { line: null, severity: 'error', message: 'File contains 2 Mermaid diagrams, exceeding maximum allowed (1)' }
+        ]);
+      } finally {
+        await limited.cleanup();
+      }
+    });
+
+    test('should report an empty file and oversized files as whole-file errors', async () => {
+      expect(await converter.checkMarkdown('  ', { filename: 'empty.md' })).toEqual([
+        { line: null, severity: 'error', message: 'File is empty: empty.md' }
+      ]);
+
+      const small = new MarkdownConverter({ maxFileSize: 5 });
+      const problems = await small.checkMarkdown('# Too large for five bytes');
+      expect(problems[0].message).toContain('exceeds maximum allowed size');
+    });
+
+    test('should report a missing file', async () => {
+      const problems = await converter.checkFile(path.join(__dirname, 'does-not-exist.md'));
+      expect(problems).toEqual([{ line: null, severity: 'error', message: expect.stringContaining('Failed to read markdown file') }]);
+    });
+  });
+
+  describe('Timeouts and browser recovery', () => {
+    let puppeteerModule;
+    let originalLaunch;
+    let originalExecPath;
+    let browsers;
+    let setContent;
+
+    beforeEach(async () => {
+      originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+      process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+      browsers = [];
+      setContent = jest.fn().mockResolvedValue(undefined);
+
+      const pdfDoc = await PDFDocument.create();
+      pdfDoc.addPage();
+      const pdfBytes = await pdfDoc.save();
+
+      puppeteerModule = require('puppeteer-core');
+      originalLaunch = puppeteerModule.launch;
+      puppeteerModule.launch = jest.fn(async () => {
+        const handlers = {};
+        const browser = {
+          pages: [],
+          disconnect: () => handlers.disconnected(),
+          newPage: jest.fn(async () => {
+            const page = {
+              setContent: jest.fn((...args) => setContent(browser, ...args)),
+              evaluate: jest.fn().mockResolvedValue({ total: 0, rendered: 0, failed: 0, errors: [] }),
+              pdf: jest.fn().mockResolvedValue(pdfBytes),
+              close: jest.fn().mockResolvedValue(undefined)
+            };
+            browser.pages.push(page);
+            return page;
+          }),
+          on: jest.fn((event, handler) => { handlers[event] = handler; }),
+          close: jest.fn(async () => handlers.disconnected())
+        };
+        browsers.push(browser);
+        return browser;
+      });
+    });
+
+    afterEach(() => {
+      puppeteerModule.launch = originalLaunch;
+      if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+    });
+
+    test('should abandon a conversion that hangs and close its page', async () => {
+      setContent = () => new Promise(() => {});
+
+      await expect(converter.convertMarkdown('# Hangs', { config: { ...converter.config, timeout: 50 } }))
+        .rejects.toMatchObject({ code: 'TIMEOUT', message: 'Conversion timed out after 50ms' });
+
+      const [page] = browsers[0].pages;
+      expect(page.close).toHaveBeenCalled();
+      expect(page.pdf).not.toHaveBeenCalled();
+    });
+
+    test('should not time out when the timeout is 0', async () => {
+      setContent = () => new Promise(resolve => setTimeout(resolve, 30));
+
+      const result = await converter.convertMarkdown('# Slow', { config: { ...converter.config, timeout: 0 } });
+
+      expect(result.pageCount).toBe(1);
+    });
+
+    test('should relaunch the browser after it disconnects', async () => {
+      setContent = async (browser) => {
+        if (browsers.length === 1) {
+          browser.disconnect();
+          throw new Error('Protocol error: Target closed');
+        }
+      };
+
+      await expect(converter.convertMarkdown('# Crash')).rejects.toMatchObject({ code: 'BROWSER_DISCONNECTED' });
+      const result = await converter.convertMarkdown('# After the crash');
+
+      expect(result.pageCount).toBe(1);
+      expect(puppeteerModule.launch).toHaveBeenCalledTimes(2);
+      expect(converter.browserStats).toEqual({ launches: 2, disconnects: 1 });
+    });
+
+    test('should not count closing the browser as a disconnect', async () => {
+      await converter.convertMarkdown('# Fine');
+      await converter.cleanup();
+
+      expect(browsers[0].close).toHaveBeenCalled();
+      expect(converter.browserStats).toEqual({ launches: 1, disconnects: 0 });
+    });
+  });
 });
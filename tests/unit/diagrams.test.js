@@ -0,0 +1,122 @@
+const { marked } = require('marked');
+const { diagramCss, findMermaidBlocks, isMermaidFence, parseDiagramOptions, renderDiagramPlaceholder } = require('../../src/root/app/diagrams');
+
+describe('findMermaidBlocks', () => {
+  const find = (markdown) => findMermaidBlocks(marked.lexer(markdown)).map(({ token, line }) => ({ line, code: token.text }));
+
+  test('should find backtick, tilde and longer fences with the line of each', () => {
+    const markdown = [
+      '# Title',
+      '',
+      '~~~mermaid',
+      'pie',
+      '~~~',
+      '',
+      '````mermaid',
+      'graph TD',
+      '````',
+      '',
+      '```{.mermaid}',
+      'sequenceDiagram',
+      '```'
+    ].join('\n');
+
+    expect(find(markdown)).toEqual([
+      { line: 3, code: 'pie' },
+      { line: 7, code: 'graph TD' },
+      { line: 11, code: 'sequenceDiagram' }
+    ]);
+  });
+
+  test('should find fences nested in lists and blockquotes', () => {
+    const markdown = [
+      '- Step one',
+      '',
+      '  ```mermaid',
+      '  graph TD',
+      '  ```',
+      '- Step two',
+      '',
+      '> Quoted:',
+      '>',
+      '> ```mermaid',
+      '> pie',
+      '> ```',
+      '',
+      '1. Outer',
+      '   - Inner',
+      '',
+      '     ~~~mermaid',
+      '     journey',
+      '     ~~~'
+    ].join('\n');
+
+    expect(find(markdown)).toEqual([
+      { line: 3, code: 'graph TD' },
+      { line: 10, code: 'pie' },
+      { line: 17, code: 'journey' }
+    ]);
+  });
+
+  test('should not find mermaid fences that are text of an outer fence', () => {
+    const markdown = [
+      'Write diagrams like this:',
+      '',
+      '````markdown',
+      '```mermaid',
+      'graph TD',
+      '```',
+      '````',
+      '',
+      '    ```mermaid',
+      '    indented code, not a fence',
+      '    ```',
+      '',
+      '```mermaid',
+      'pie',
+      '```'
+    ].join('\n');
+
+    expect(find(markdown)).toEqual([{ line: 13, code: 'pie' }]);
+  });
+
+  test('isMermaidFence should accept the language and the pandoc class', () => {
+    expect(isMermaidFence('mermaid')).toBe(true);
+    expect(isMermaidFence('{.mermaid}')).toBe(true);
+    expect(isMermaidFence('{.diagram .mermaid width=50%}')).toBe(true);
+    expect(isMermaidFence('js')).toBe(false);
+    expect(isMermaidFence('')).toBe(false);
+    expect(isMermaidFence(undefined)).toBe(false);
+  });
+});
+
+describe('diagram options', () => {
+  test('parseDiagramOptions should read valid attributes and describe invalid ones', () => {
+    expect(parseDiagramOptions('mermaid {width=400px align=Center caption=\'Flow\' theme=dark id=fig-flow landscape=true}')).toEqual({
+      options: { width: '400px', align: 'center', caption: 'Flow', theme: 'dark', id: 'fig-flow', landscape: true },
+      problems: []
+    });
+    expect(parseDiagramOptions('{.mermaid #9lives align=middle}')).toEqual({
+      options: {},
+      problems: [
+        'id "9lives" is not an ID of letters, digits, - and _ that starts with a letter',
+        'align "middle" is not one of left, center, right'
+      ]
+    });
+    expect(parseDiagramOptions('mermaid')).toEqual({ options: {}, problems: [] });
+  });
+
+  test('renderDiagramPlaceholder should only wrap diagrams with layout options in a figure', () => {
+    const plain = '<div class="mermaid-diagram" data-mermaid="pie">\n<div class="mermaid-placeholder">Rendering diagram...</div>\n</div>\n';
+
+    expect(renderDiagramPlaceholder('pie')).toBe(plain);
+    expect(renderDiagramPlaceholder('pie', { theme: 'dark' })).toContain('<div class="mermaid-diagram" data-mermaid="pie" data-mermaid-theme="dark">');
+    expect(renderDiagramPlaceholder('pie', { landscape: true, align: 'right' })).toBe(`<figure class="mermaid-figure align-right landscape">\n${plain}</figure>\n`);
+  });
+
+  test('diagramCss should turn the paper sideways for landscape figures', () => {
+    expect(diagramCss('Letter')).toContain('@page landscape-diagram { size: 11in 8.5in; }');
+    expect(diagramCss('ledger')).toContain('@page { size: 17in 11in; }');
+    expect(diagramCss('ledger')).toContain('@page landscape-diagram { size: 17in 11in; }');
+  });
+});
@@ -0,0 +1,20 @@
+const { parseFenceInfo, parseLineRanges } = require('../../src/root/app/fence');
+
+describe('fence', () => {
+  test.each([
+    ['js', { language: 'js', classes: [], id: null, attributes: {} }],
+    ['js {hl="3-5" .line-numbers}', { language: 'js', classes: ['line-numbers'], id: null, attributes: { hl: '3-5' } }],
+    ['{.js hl="3-5"}', { language: 'js', classes: [], id: null, attributes: { hl: '3-5' } }],
+    ['{.mermaid #flow width=80% caption=\'Login flow\'}', { language: 'mermaid', classes: [], id: 'flow', attributes: { width: '80%', caption: 'Login flow' } }],
+    ['', { language: null, classes: [], id: null, attributes: {} }]
+  ])('parseFenceInfo(%p)', (info, expected) => {
+    expect(parseFenceInfo(info)).toEqual(expected);
+  });
+
+  test('parseLineRanges should read lists and ranges within the block', () => {
+    expect([...parseLineRanges('1,3-4, 9', 20)]).toEqual([1, 3, 4, 9]);
+    expect([...parseLineRanges('2-1000000', 3)]).toEqual([2, 3]);
+    expect(parseLineRanges('x,-2', 10).size).toBe(0);
+    expect(parseLineRanges(undefined, 10).size).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+const { Marked } = require('marked');
+const { createFigures, renderListOfFigures, insertListOfFigures } = require('../../src/root/app/figures');
+
+describe('figures', () => {
+  let figures;
+  let render;
+
+  beforeEach(() => {
+    const seen = new Set();
+    figures = createFigures(raw => {
+      const id = seen.has(raw) ? `${raw}-1` : raw;
+      seen.add(raw);
+      return id;
+    });
+    const marked = new Marked({ extensions: figures.extensions(), walkTokens: token => figures.walkTokens(token) });
+    render = (markdown) => marked.parse(markdown);
+  });
+
+  test('should turn a paragraph with only a titled image into a figure', () => {
+    expect(render('![Chart](chart.png "Sales & growth")')).toBe(
+      '<figure class="image-figure">\n<img src="chart.png" alt="Chart">\n<figcaption>Sales &amp; growth</figcaption>\n</figure>\n'
+    );
+    expect(render('![Logo](logo.png){#fig-logo}')).toBe('<figure id="fig-logo" class="image-figure">\n<img src="logo.png" alt="Logo">\n</figure>\n');
+    expect(render('![Plain](plain.png)')).toBe('<p><img src="plain.png" alt="Plain"></p>\n');
+    expect(render('Inline ![x](x.png "t") image.')).toBe('<p>Inline <img src="x.png" alt="x" title="t"> image.</p>\n');
+  });
+
+  test('should leave @fig- inside words, email addresses and code as text', () => {
+    expect(render('Mail me@fig-x.com or see `@fig-a`.')).not.toContain('figure-ref');
+    expect(render('See @fig-a.')).toBe('<p>See <a class="figure-ref" href="#fig-a" data-figure-ref="0"></a>.</p>\n');
+    expect(figures.references).toEqual([{ id: 'fig-a', raw: '@fig-a' }]);
+  });
+
+  test('resolve should number captioned figures in document order and fill in references', () => {
+    const html = render([
+      'As @fig-arch and @fig-chart show, but not @fig-logo or @fig-gone.',
+      '',
+      '<figure id="fig-arch" class="mermaid-figure">\n<div class="mermaid-diagram"></div>\n<figcaption>Topology</figcaption>\n</figure>',
+      '',
+      '![Logo](logo.png){#fig-logo}',
+      '',
+      '![Chart](chart.png "Sales"){#fig-chart}',
+      '',
+      '![Other](other.png "Other")'
+    ].join('\n'));
+
+    const { html: resolved, missing } = figures.resolve(html);
+
+    expect(resolved).toContain('<a class="figure-ref" href="#fig-arch" data-figure-ref="0">Figure 1</a>');
+    expect(resolved).toContain('<a class="figure-ref" href="#fig-chart" data-figure-ref="1">Figure 2</a>');
+    expect(resolved).toContain('<a class="figure-ref" href="#fig-logo" data-figure-ref="2">Figure ??</a>');
+    expect(resolved).toContain('<figcaption><span class="figure-label">Figure 1:</span> Topology</figcaption>');
+    expect(resolved).toContain('<figure id="figure-3" class="image-figure">\n<img src="other.png" alt="Other">\n' +
+      '<figcaption><span class="figure-label">Figure 3:</span> Other</figcaption>');
+    expect(resolved).toContain('<figure id="fig-logo" class="image-figure">\n<img src="logo.png" alt="Logo">\n</figure>');
+    expect(figures.figures).toEqual([
+      { number: 1, id: 'fig-arch', caption: 'Topology' },
+      { number: 2, id: 'fig-chart', caption: 'Sales' },
+      { number: 3, id: 'figure-3', caption: 'Other' }
+    ]);
+    expect(missing.map(reference => reference.raw)).toEqual(['@fig-logo', '@fig-gone']);
+  });
+
+  test('should escape image titles in captions and the list of figures', () => {
+    const html = render('![Chart](chart.png "<script>x</script> & &amp; \\"q\\"")');
+
+    expect(html).toContain('<figcaption>&lt;script&gt;x&lt;/script&gt; &amp; &amp; &quot;q&quot;</figcaption>');
+    figures.resolve(html);
+    expect(renderListOfFigures(figures.figures)).not.toContain('<script>');
+  });
+
+  test('resolve should report figure IDs used more than once', () => {
+    const html = render([
+      '![One](one.png "One"){#fig-a}',
+      '',
+      '<figure id="fig-a" class="mermaid-figure">\n<div class="mermaid-diagram"></div>\n<figcaption>Two</figcaption>\n</figure>',
+      '',
+      '![Three](three.png){#fig-b}',
+      '',
+      'See @fig-a.'
+    ].join('\n'));
+
+    const { html: resolved, duplicates } = figures.resolve(html);
+
+    expect(duplicates).toEqual([{ id: 'fig-a', raw: expect.stringContaining('<figure id="fig-a"') }]);
+    expect(resolved).toContain('href="#fig-a" data-figure-ref="0">Figure 1</a>');
+  });
+
+  test('renderListOfFigures should link each figure with a page number slot', () => {
+    const html = renderListOfFigures([{ number: 1, id: 'fig-arch', caption: 'The <a href="https://example.com">system</a>' }]);
+
+    expect(html).toBe('<nav class="toc lof">\n<p class="toc-title">Figures</p>\n<ul>\n' +
+      '<li class="toc-entry"><a href="#fig-arch"><span class="toc-text">Figure 1: The system</span>' +
+      '<span class="toc-page" data-toc-target="fig-arch"></span></a></li>\n</ul>\n</nav>\n');
+  });
+
+  test('insertListOfFigures should replace every marker', () => {
+    const list = [{ number: 1, id: 'figure-1', caption: 'One' }];
+
+    const { html, inserted } = insertListOfFigures('<p>[[lof]]</p>\n<p>Body</p>\n<p>[[LOF]]</p>', list);
+
+    expect(inserted).toBe(true);
+    expect(html.match(/<nav class="toc lof">/g)).toHaveLength(2);
+    expect(html).not.toContain('[[lof]]');
+    expect(insertListOfFigures('<p>Body</p>', list)).toEqual({ html: '<p>Body</p>', inserted: false });
+  });
+});
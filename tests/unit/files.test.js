@@ -0,0 +1,136 @@
+const {
+  findMarkdownFiles,
+  isMarkdownFile,
+  toPdfPath,
+  createFileFilter,
+  loadIgnorePatterns
+} = require('../../src/root/app/files');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('files', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-files');
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.outputFile(path.join(tmpDir, 'index.md'), '# Index');
+    await fs.outputFile(path.join(tmpDir, 'notes.markdown'), '# Notes');
+    await fs.outputFile(path.join(tmpDir, 'image.png'), '');
+    await fs.outputFile(path.join(tmpDir, 'adr', 'README.md'), '# ADRs');
+    await fs.outputFile(path.join(tmpDir, 'adr', '0001-record.md'), '# Record');
+    await fs.outputFile(path.join(tmpDir, 'runbooks', 'README.md'), '# Runbooks');
+    await fs.outputFile(path.join(tmpDir, 'runbooks', 'deep', 'restore.MD'), '# Restore');
+    await fs.outputFile(path.join(tmpDir, '.git', 'info.md'), '# Hidden');
+    await fs.outputFile(path.join(tmpDir, 'node_modules', 'pkg', 'README.md'), '# Dependency');
+    await fs.outputFile(path.join(tmpDir, 'output', 'stale.md'), '# Output');
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('findMarkdownFiles', () => {
+    test('should only read the top level in flat mode', async () => {
+      const { files } = await findMarkdownFiles(tmpDir);
+      expect(files).toEqual(['index.md', 'notes.markdown']);
+    });
+
+    test('should walk subdirectories and return relative paths in recursive mode', async () => {
+      const { files } = await findMarkdownFiles(tmpDir, { recursive: true, excludeDir: path.join(tmpDir, 'output') });
+      expect(files).toEqual([
+        path.join('adr', '0001-record.md'),
+        path.join('adr', 'README.md'),
+        'index.md',
+        'notes.markdown',
+        path.join('runbooks', 'README.md'),
+        path.join('runbooks', 'deep', 'restore.MD')
+      ]);
+    });
+
+    test('should descend into the output directory when it is not excluded', async () => {
+      const { files } = await findMarkdownFiles(tmpDir, { recursive: true });
+      expect(files).toContain(path.join('output', 'stale.md'));
+      expect(files).not.toContain(path.join('.git', 'info.md'));
+    });
+
+    test('should count non-markdown files in totalFiles', async () => {
+      const { totalFiles } = await findMarkdownFiles(tmpDir);
+      expect(totalFiles).toBe(3);
+    });
+  });
+
+  describe('filtering', () => {
+    test('should split markdown files into selected and excluded', async () => {
+      const filter = createFileFilter({ exclude: ['README.md'] });
+      const { files, excludedFiles } = await findMarkdownFiles(tmpDir, { recursive: true, excludeDir: path.join(tmpDir, 'output'), filter });
+
+      expect(files).toEqual([
+        path.join('adr', '0001-record.md'),
+        'index.md',
+        'notes.markdown',
+        path.join('runbooks', 'deep', 'restore.MD')
+      ]);
+      expect(excludedFiles).toEqual([path.join('adr', 'README.md'), path.join('runbooks', 'README.md')]);
+    });
+
+    test('should match unanchored patterns at any depth and anchored ones from the root', () => {
+      const filter = createFileFilter({ exclude: ['README.md', '_partials/*.md', '**/drafts/'] });
+
+      expect(filter('README.md')).toBe(false);
+      expect(filter(path.join('guides', 'README.md'))).toBe(false);
+      expect(filter(path.join('_partials', 'footer.md'))).toBe(false);
+      expect(filter(path.join('guides', '_partials', 'footer.md'))).toBe(true);
+      expect(filter(path.join('a', 'drafts', 'b', 'idea.md'))).toBe(false);
+      expect(filter('drafts.md')).toBe(true);
+    });
+
+    test('should let a later negated pattern bring a file back', () => {
+      const filter = createFileFilter({ exclude: ['drafts/', '!drafts/ready.md'] });
+
+      expect(filter(path.join('drafts', 'wip.md'))).toBe(false);
+      expect(filter(path.join('drafts', 'ready.md'))).toBe(true);
+    });
+
+    test('should require a match of one include pattern', () => {
+      const filter = createFileFilter({ include: ['guides/**', '*.markdown'], exclude: ['*.draft.md'] });
+
+      expect(filter(path.join('guides', 'deep', 'setup.md'))).toBe(true);
+      expect(filter('notes.markdown')).toBe(true);
+      expect(filter('index.md')).toBe(false);
+      expect(filter(path.join('guides', 'setup.draft.md'))).toBe(false);
+    });
+
+    test('should support ? and character classes', () => {
+      const filter = createFileFilter({ exclude: ['ch?.md', 'v[0-9].md'] });
+
+      expect(filter('ch1.md')).toBe(false);
+      expect(filter('ch10.md')).toBe(true);
+      expect(filter('v2.md')).toBe(false);
+      expect(filter('vx.md')).toBe(true);
+    });
+
+    test('loadIgnorePatterns should skip comments and blank lines', async () => {
+      await fs.outputFile(path.join(tmpDir, '.mdpdfignore'), '# Not published\nREADME.md\n\n  drafts/  \n');
+
+      expect(await loadIgnorePatterns(tmpDir)).toEqual(['README.md', 'drafts/']);
+    });
+
+    test('loadIgnorePatterns should return no patterns without an ignore file', async () => {
+      expect(await loadIgnorePatterns(tmpDir)).toEqual([]);
+    });
+  });
+
+  describe('toPdfPath', () => {
+    test('should keep the relative directory when replacing the extension', () => {
+      expect(toPdfPath(path.join('adr', 'README.md'))).toBe(path.join('adr', 'README.pdf'));
+      expect(toPdfPath('notes.markdown')).toBe('notes.pdf');
+      expect(toPdfPath('restore.MD')).toBe('restore.pdf');
+    });
+  });
+
+  test('isMarkdownFile should match .md and .markdown case-insensitively', () => {
+    expect(isMarkdownFile('a.md')).toBe(true);
+    expect(isMarkdownFile('a.Markdown')).toBe(true);
+    expect(isMarkdownFile('a.mdx')).toBe(false);
+  });
+});
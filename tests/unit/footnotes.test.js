@@ -0,0 +1,70 @@
+const { Marked } = require('marked');
+const { createFootnotes } = require('../../src/root/app/footnotes');
+
+describe('footnotes', () => {
+  let footnotes;
+  let render;
+
+  beforeEach(() => {
+    const ids = new Map();
+    // Unique ids, as the heading slugger gives them
+    const slug = (raw) => {
+      const count = ids.get(raw) ?? 0;
+      ids.set(raw, count + 1);
+      return count === 0 ? raw : `${raw}-${count}`;
+    };
+    footnotes = createFootnotes(slug);
+    const marked = new Marked({ extensions: footnotes.extensions() });
+    render = (markdown) => marked.parse(markdown) + footnotes.renderSection();
+  });
+
+  test('should number references in order and list the notes with back-links', () => {
+    const html = render('First[^b], second[^a] and first again[^b].\n\n[^a]: Note A.\n[^b]: Note *B*.\n');
+
+    expect(html).toContain('First<sup class="footnote-ref"><a href="#fn-b" id="fnref-b">1</a></sup>');
+    expect(html).toContain('second<sup class="footnote-ref"><a href="#fn-a" id="fnref-a">2</a></sup>');
+    expect(html).toContain('again<sup class="footnote-ref"><a href="#fn-b" id="fnref-b-1">1</a></sup>');
+    expect(html).toContain([
+      '<section class="footnotes">',
+      '<ol>',
+      '<li id="fn-b">',
+      '<p>Note <em>B</em>. <a href="#fnref-b" class="footnote-backref" aria-label="Back to reference">↩</a> ' +
+        '<a href="#fnref-b-1" class="footnote-backref" aria-label="Back to reference">↩<sup>2</sup></a></p>',
+      '</li>',
+      '<li id="fn-a">',
+      '<p>Note A. <a href="#fnref-a" class="footnote-backref" aria-label="Back to reference">↩</a></p>',
+      '</li>',
+      '</ol>',
+      '</section>'
+    ].join('\n'));
+  });
+
+  test('should read indented and lazy continuation lines of a definition', () => {
+    const html = render('Text[^long].\n\n[^long]: Starts here\ngoes on\n\n    Second paragraph.\n\nAfter the note.\n');
+
+    expect(html).toContain('<li id="fn-long">\n<p>Starts here\ngoes on</p>\n<p>Second paragraph. <a href="#fnref-long"');
+    expect(html).toContain('<p>After the note.</p>');
+  });
+
+  test('should leave unknown references as text and report problems with lines', () => {
+    const content = 'See[^missing] and[^used].\n\n[^used]: Used.\n[^spare]: Never referenced.\n[^used]: Again.\n';
+    const html = render(content);
+
+    expect(html).toContain('See[^missing] and');
+    expect(footnotes.problems(content, 2)).toEqual([
+      { line: 3, severity: 'warning', message: 'Footnote [^missing] is referenced but never defined' },
+      { line: 6, severity: 'warning', message: 'Footnote [^spare] is defined but never referenced' },
+      { line: 7, severity: 'warning', message: 'Footnote [^used] is defined more than once; the first definition is used' }
+    ]);
+  });
+
+  test('should render nothing without references and start over on reset', () => {
+    expect(render('No notes here.')).toBe('<p>No notes here.</p>\n');
+
+    render('One[^1].\n\n[^1]: Note.');
+    footnotes.reset();
+
+    expect(footnotes.renderSection()).toBe('');
+    expect(footnotes.problems('')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+const { expandIncludes, parseTarget } = require('../../src/root/app/includes');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('expandIncludes', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-includes');
+  const docPath = path.join(tmpDir, 'doc.md');
+  const expand = (content, options = {}) => expandIncludes(content, { file: docPath, baseDir: tmpDir, maxDepth: 10, ...options });
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.outputFile(path.join(tmpDir, 'chapters', 'intro.md'), '---\ntitle: Intro\n---\n# Intro\n\n{{#include ../shared/note.md}}\n');
+    await fs.outputFile(path.join(tmpDir, 'shared', 'note.md'), 'A shared note.\n');
+    await fs.outputFile(path.join(tmpDir, 'src', 'app.js'), [
+      "const fs = require('fs');",
+      '// ANCHOR: main',
+      'function main() {',
+      '  return 1;',
+      '}',
+      '// ANCHOR_END: main',
+      'main();',
+      ''
+    ].join('\n'));
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  test('should splice in markdown files recursively, without their front matter', async () => {
+    const files = new Set();
+    const content = await expand('# Book\n\n{{#include chapters/intro.md}}\n\nThe end.', { files });
+
+    expect(content).toBe('# Book\n\n# Intro\n\nA shared note.\n\nThe end.');
+    expect([...files]).toEqual([path.join(tmpDir, 'chapters', 'intro.md'), path.join(tmpDir, 'shared', 'note.md')]);
+  });
+
+  test('should record where each line came from', async () => {
+    const origins = [];
+    const content = await expand('# Book\n{{#include chapters/intro.md}}\n```js\n{{#include src/app.js:main}}\n```\nThe end.', { origins });
+
+    const intro = path.join(tmpDir, 'chapters', 'intro.md');
+    const note = path.join(tmpDir, 'shared', 'note.md');
+    const app = path.join(tmpDir, 'src', 'app.js');
+    expect(content.split('\n')).toHaveLength(origins.length);
+    expect(origins).toEqual([
+      { line: 1, included: null },
+      { line: 2, included: { file: intro, line: 4 } },
+      { line: 2, included: { file: intro, line: 5 } },
+      { line: 2, included: { file: note, line: 1 } },
+      { line: 3, included: null },
+      { line: 4, included: { file: app, line: 3 } },
+      { line: 4, included: { file: app, line: 4 } },
+      { line: 4, included: { file: app, line: 5 } },
+      { line: 5, included: null },
+      { line: 6, included: null }
+    ]);
+  });
+
+  test('should include line ranges and anchored regions of source files', async () => {
+    const fence = (directive) => expand(`\`\`\`js\n${directive}\n\`\`\``);
+
+    expect(await fence('{{#include src/app.js:main}}')).toBe('```js\nfunction main() {\n  return 1;\n}\n```');
+    expect(await fence('{{#include src/app.js:3:5}}')).toBe('```js\nfunction main() {\n  return 1;\n}\n```');
+    expect(await fence('{{#include src/app.js:7}}')).toBe('```js\nmain();\n```');
+    expect(await fence('{{#include src/app.js::1}}')).toBe("```js\nconst fs = require('fs');\n```");
+    expect(await fence('{{#include src/app.js}}')).toBe("```js\nconst fs = require('fs');\nfunction main() {\n  return 1;\n}\nmain();\n```");
+  });
+
+  test('should indent included lines like the directive and keep escaped directives as text', async () => {
+    const content = await expand('- Item\n\n  {{#include shared/note.md}}\n\n\\{{#include shared/note.md}}');
+
+    expect(content).toBe('- Item\n\n  A shared note.\n\n{{#include shared/note.md}}');
+  });
+
+  test('should name the file and line of includes that cannot be resolved', async () => {
+    await expect(expand('Text\n\n{{#include missing.md}}')).rejects.toMatchObject({
+      code: 'INCLUDE_FAILED',
+      line: 3,
+      message: 'Cannot include "missing.md" at doc.md line 3: file not found'
+    });
+    await expect(expand('{{#include src/app.js:setup}}')).rejects.toThrow(
+      'Cannot include "src/app.js:setup" at doc.md line 1: no ANCHOR: setup line in the file'
+    );
+    await expect(expandIncludes('{{#include shared/note.md}}', { file: null, baseDir: null, maxDepth: 10 })).rejects.toThrow(
+      'Cannot include "shared/note.md" at the document line 1: in-memory markdown has no directory to resolve it against'
+    );
+  });
+
+  test('should detect include cycles and limit nesting', async () => {
+    await fs.outputFile(path.join(tmpDir, 'a.md'), '{{#include b.md}}');
+    await fs.outputFile(path.join(tmpDir, 'b.md'), 'B\n\n{{#include a.md}}');
+
+    await expect(expand('Start\n{{#include a.md}}')).rejects.toMatchObject({
+      line: 2,
+      message: 'Include cycle at b.md line 3: a.md → b.md → a.md'
+    });
+    await expect(expand('{{#include chapters/intro.md}}', { maxDepth: 1 })).rejects.toThrow(
+      'Includes nested deeper than maxIncludeDepth (1) at intro.md line 6'
+    );
+    await expect(expand('{{#include shared/note.md}}', { maxDepth: 0 })).rejects.toThrow('Includes are turned off');
+  });
+
+  test('parseTarget should read line ranges and regions', () => {
+    expect(parseTarget('a.md')).toEqual({ file: 'a.md' });
+    expect(parseTarget('a.js:setup')).toEqual({ file: 'a.js', region: 'setup' });
+    expect(parseTarget('a.js:4')).toEqual({ file: 'a.js', start: 4, end: 4 });
+    expect(parseTarget('a.js:4:')).toEqual({ file: 'a.js', start: 4, end: Infinity });
+    expect(parseTarget('a.js::9')).toEqual({ file: 'a.js', start: 1, end: 9 });
+    expect(parseTarget('sub/1:2')).toEqual({ file: 'sub/1', start: 2, end: 2 });
+  });
+
+  test('parseTarget should keep colons in the path, such as Windows drive letters', () => {
+    expect(parseTarget('C:\\docs\\part.md')).toEqual({ file: 'C:\\docs\\part.md' });
+    expect(parseTarget('C:\\src\\app.js:setup')).toEqual({ file: 'C:\\src\\app.js', region: 'setup' });
+    expect(parseTarget('C:\\src\\app.js:3:9')).toEqual({ file: 'C:\\src\\app.js', start: 3, end: 9 });
+    expect(parseTarget('notes:2024.md:12')).toEqual({ file: 'notes:2024.md', start: 12, end: 12 });
+  });
+});
@@ -0,0 +1,152 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { ProjectConfig } = require('../../src/root/app/config');
+const { BuildManifest } = require('../../src/root/app/manifest');
+const { convertFile, buildFile, checkFiles } = require('../../src/root/app/index');
+
+describe('index', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-index');
+  let output;
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    output = [];
+    jest.spyOn(console, 'log').mockImplementation(line => output.push(line));
+    jest.spyOn(console, 'error').mockImplementation(line => output.push(line));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('checkFiles', () => {
+    test('should report an invalid nested config file for its files and check the rest', async () => {
+      await fs.outputFile(path.join(tmpDir, 'good.md'), '# Good\n\nSee @fig-gone.\n');
+      await fs.outputFile(path.join(tmpDir, 'broken', 'a.md'), '# A\n');
+      await fs.outputFile(path.join(tmpDir, 'broken', '.mdpdfrc.yml'), 'maxFileSize: -1\n');
+      const projectConfig = await ProjectConfig.load(tmpDir, { env: {} });
+
+      const exitCode = await checkFiles(['broken/a.md', 'good.md'].map(file => path.normalize(file)), {
+        inputDir: tmpDir,
+        concurrency: 1,
+        projectConfig
+      });
+
+      expect(exitCode).toBe(1);
+      const lines = output.map(line => String(line));
+      expect(lines).toEqual(expect.arrayContaining([
+        expect.stringMatching(/broken[\\/]a\.md: .*error.*: .*Invalid maxFileSize "-1"/),
+        expect.stringMatching(/good\.md:3: .*warning.*: Figure reference @fig-gone has no numbered figure with that ID/)
+      ]));
+      expect(lines[lines.length - 1]).toContain('Checked 2 files: 1 errors, 1 warnings');
+    });
+  });
+
+  describe('convertFile', () => {
+    const failure = (message, code) => Object.assign(new Error(message), { code });
+    const job = () => ({ inputDir: tmpDir, outputDir: path.join(tmpDir, 'out'), file: 'doc.md', outputFile: 'doc.pdf' });
+    const converterFailing = (...errors) => {
+      const convert = jest.fn();
+      errors.forEach(error => convert.mockRejectedValueOnce(error));
+      convert.mockResolvedValue({ timing: {}, pdfTiming: {}, diagrams: {}, pageCount: 1, includes: [] });
+      return { configFor: () => ({ retries: 2 }), convertFile: convert };
+    };
+
+    test('should attempt a strict render error exactly once', async () => {
+      const converter = converterFailing(failure('1 of 1 Mermaid diagram failed to render', 'DIAGRAM_RENDER_FAILED'));
+
+      const result = await convertFile(converter, job());
+
+      expect(converter.convertFile).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ success: false, attempts: 1, events: [{ type: 'error', attempt: 1 }] });
+    });
+
+    test('should retry timeouts and browser disconnects', async () => {
+      const converter = converterFailing(failure('Conversion timed out after 10ms', 'TIMEOUT'), failure('Browser disconnected', 'BROWSER_DISCONNECTED'));
+
+      const result = await convertFile(converter, job());
+
+      expect(converter.convertFile).toHaveBeenCalledTimes(3);
+      expect(result).toMatchObject({ success: true, attempts: 3 });
+      expect(result.events.map(event => event.type)).toEqual(['timeout', 'browser-disconnected']);
+    });
+  });
+
+  describe('buildFile', () => {
+    test('should rebuild a file when an image it shows changes', async () => {
+      const inputDir = path.join(tmpDir, 'input');
+      const outputDir = path.join(tmpDir, 'output');
+      const image = path.join(inputDir, 'img', 'chart.svg');
+      await fs.outputFile(path.join(inputDir, 'doc.md'), '# Doc\n\n![Chart](img/chart.svg)\n');
+      await fs.outputFile(image, '<svg xmlns="http://www.w3.org/2000/svg"/>');
+      const converter = {
+        configFor: () => ({ retries: 0 }),
+        getResolvedOptions: () => ({ pdfFormat: 'A4' }),
+        getMermaidVersion: () => '10.6.1',
+        convertFile: jest.fn(async (inputPath, outputPath) => {
+          await fs.outputFile(outputPath, '%PDF');
+          return { timing: {}, pdfTiming: {}, diagrams: {}, pageCount: 1, includes: [], assets: [image] };
+        })
+      };
+      const manifest = await BuildManifest.load({ inputDir, outputDir, toolVersion: '1.0.0' });
+      const projectConfig = await ProjectConfig.load(inputDir, { env: {} });
+      const build = () => buildFile(converter, manifest, { inputDir, outputDir, file: 'doc.md', outputFile: 'doc.pdf', projectConfig, documents: new Map() });
+
+      expect(await build()).toMatchObject({ success: true, assets: [image] });
+      expect(await build()).toMatchObject({ skipped: true, includes: [image] });
+
+      await fs.writeFile(image, '<svg xmlns="http://www.w3.org/2000/svg" width="10"/>');
+      expect(await build()).toMatchObject({ success: true, assets: [image] });
+      expect(converter.convertFile).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('main', () => {
+    const inputDir = path.join(tmpDir, 'input');
+    const outputDir = path.join(tmpDir, 'output');
+    let argv;
+    let exit;
+
+    beforeEach(async () => {
+      await fs.ensureDir(inputDir);
+      argv = process.argv;
+      exit = jest.spyOn(process, 'exit').mockImplementation((code) => {
+        throw Object.assign(new Error(`process.exit(${code})`), { exitCode: code });
+      });
+    });
+
+    afterEach(() => {
+      process.argv = argv;
+    });
+
+    // A fresh module for each run, as commander keeps the parsed options on its program
+    const run = async (...args) => {
+      let main;
+      jest.isolateModules(() => {
+        ({ main } = require('../../src/root/app/index'));
+      });
+      process.argv = ['node', 'markdown-mermaidjs-to-pdf', '-i', inputDir, '-o', outputDir, ...args];
+      await main().catch(() => {});
+      return exit.mock.calls[0]?.[0];
+    };
+
+    test('should write a JSON report to the output directory', async () => {
+      expect(await run('--report', 'json')).toBe(0);
+
+      const report = await fs.readJson(path.join(outputDir, 'mdpdf-report.json'));
+      expect(report).toMatchObject({ tool: 'markdown-mermaidjs-to-pdf', outputDir, summary: { total: 0 }, files: [] });
+    });
+
+    test('should write a JUnit report to the given path', async () => {
+      const reportPath = path.join(tmpDir, 'reports', 'run.xml');
+
+      expect(await run('--report', 'junit', reportPath)).toBe(0);
+
+      expect(await fs.readFile(reportPath, 'utf8')).toContain('<testsuites');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { createDocumentLinks, renderLinkTargets, rewriteDocumentLinks } = require('../../src/root/app/links');
+
+describe('document links', () => {
+  const root = path.resolve('/work');
+  const guide = path.join(root, 'docs', 'guide.md');
+  const adr = path.join(root, 'docs', 'adr', '0012.md');
+  const outputPath = path.join(root, 'out', 'guide.pdf');
+  const adrPdf = path.join(root, 'out', 'adr', '0012-decision.pdf');
+  const documents = new Map([[guide, outputPath], [adr, adrPdf]]);
+
+  async function pdfWithLinks(uris) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage();
+    page.node.set(PDFName.of('Annots'), pdfDoc.context.obj(uris.map(uri => pdfDoc.context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [0, 0, 10, 10],
+      A: { S: 'URI', URI: PDFString.of(uri) }
+    }))));
+    return pdfDoc.save();
+  }
+
+  function actionsOf(pdfDoc) {
+    const annotations = pdfDoc.getPage(0).node.Annots();
+    return annotations.asArray().map((_, i) => annotations.lookup(i).lookup(PDFName.of('A')));
+  }
+
+  test('link should point batch documents at their PDF and keep other files', () => {
+    const links = createDocumentLinks(documents, guide);
+
+    expect(links.link(adr, '#decision')).toBe(`${pathToFileURL(adrPdf).href}#decision`);
+    expect(links.link(adr, '')).toBe(pathToFileURL(adrPdf).href);
+    expect(links.link(guide, '#setup')).toBe('#setup');
+    expect(links.link(guide, '')).toBe(pathToFileURL(outputPath).href);
+    expect(links.link(path.join(root, 'README.md'), '')).toBeNull();
+  });
+
+  test('rewriteDocumentLinks should open the other PDF at the named destination', async () => {
+    const pdfBytes = await pdfWithLinks([
+      `${pathToFileURL(adrPdf).href}#d%C3%A9cision`,
+      pathToFileURL(adrPdf).href,
+      `${pathToFileURL(adrPdf).href}#caf%C3%A9%20menu`,
+      'https://example.com/',
+      pathToFileURL(path.join(root, 'elsewhere.pdf')).href
+    ]);
+
+    const { pdf, rewritten } = await rewriteDocumentLinks(pdfBytes, outputPath, new Set(documents.values()));
+
+    expect(rewritten).toBe(3);
+    const [anchored, whole, spaced, web, elsewhere] = actionsOf(await PDFDocument.load(pdf));
+    expect(anchored.lookup(PDFName.of('S'))).toBe(PDFName.of('GoToR'));
+    expect(anchored.lookup(PDFName.of('F')).decodeText()).toBe('adr/0012-decision.pdf');
+    // The named destination Chromium writes for the heading ID "décision"
+    expect(anchored.lookup(PDFName.of('D')).toString()).toBe('/d#C3#A9cision');
+    expect(anchored.lookup(PDFName.of('URI'))).toBeUndefined();
+    expect(whole.lookup(PDFName.of('D')).toString()).toBe('[ 0 /Fit ]');
+    expect(spaced.lookup(PDFName.of('D')).toString()).toBe('/caf#C3#A9#20menu');
+    expect(web.lookup(PDFName.of('S'))).toBe(PDFName.of('URI'));
+    expect(elsewhere.lookup(PDFName.of('S'))).toBe(PDFName.of('URI'));
+  });
+
+  test('rewriteDocumentLinks should open a non-ASCII heading of the other PDF', async () => {
+    const href = createDocumentLinks(documents, guide).link(adr, '#café');
+    // Chromium writes the link percent-encoded
+    const pdfBytes = await pdfWithLinks([new URL(href).href]);
+
+    const { pdf } = await rewriteDocumentLinks(pdfBytes, outputPath, new Set(documents.values()));
+
+    const [action] = actionsOf(await PDFDocument.load(pdf));
+    expect(action.lookup(PDFName.of('D')).toString()).toBe('/caf#C3#A9');
+  });
+
+  test('rewriteDocumentLinks should return the PDF untouched without such links', async () => {
+    const pdfBytes = await pdfWithLinks(['https://example.com/']);
+
+    const result = await rewriteDocumentLinks(pdfBytes, outputPath, new Set([adrPdf]));
+
+    expect(result).toEqual({ pdf: pdfBytes, rewritten: 0 });
+  });
+
+  test('renderLinkTargets should link every heading from a hidden nav', () => {
+    expect(renderLinkTargets([{ id: 'intro' }, { id: 'setup-1' }]))
+      .toBe('<nav class="link-targets" hidden><a href="#intro"></a><a href="#setup-1"></a></nav>\n');
+    expect(renderLinkTargets([])).toBe('');
+  });
+
+  test('renderLinkTargets should escape heading IDs', () => {
+    expect(renderLinkTargets([{ id: 'a"><img src=x>&b' }]))
+      .toBe('<nav class="link-targets" hidden><a href="#a&quot;&gt;&lt;img src=x&gt;&amp;b"></a></nav>\n');
+  });
+});
@@ -1,4 +1,4 @@
-const { setupLogger } = require('../../src/root/app/logger');
+const { setupLogger, routeConsoleToStderr } = require('../../src/root/app/logger');
 
 describe('Logger', () => {
   let logger;
@@ -77,4 +77,21 @@ describe('Logger', () => {
       logger.info('PDF generation completed', meta);
     }).not.toThrow();
   });
+
+  test('should route console output to stderr', () => {
+    logger = setupLogger();
+    const originalFlag = process.env.LOG_TO_STDERR;
+
+    try {
+      routeConsoleToStderr(logger);
+      const consoleTransports = logger.transports.filter(t => t.name === 'console');
+      consoleTransports.forEach(transport => {
+        expect(transport.stderrLevels.info).toBe(true);
+        expect(transport.stderrLevels.debug).toBe(true);
+      });
+      expect(process.env.LOG_TO_STDERR).toBe('true');
+    } finally {
+      if (originalFlag === undefined) { delete process.env.LOG_TO_STDERR; } else { process.env.LOG_TO_STDERR = originalFlag; }
+    }
+  });
 });
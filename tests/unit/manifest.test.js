@@ -0,0 +1,106 @@
+const { BuildManifest, MANIFEST_FILENAME, hashOptions } = require('../../src/root/app/manifest');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('BuildManifest', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-manifest');
+  const inputDir = path.join(tmpDir, 'input');
+  const outputDir = path.join(tmpDir, 'output');
+  const build = { options: { pdfFormat: 'A4' }, mermaidVersion: '10.6.1', outputFile: 'doc.pdf' };
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.outputFile(path.join(inputDir, 'doc.md'), '# Doc');
+    await fs.outputFile(path.join(outputDir, 'doc.pdf'), '%PDF');
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  const loadManifest = (toolVersion = '1.0.0') => BuildManifest.load({ inputDir, outputDir, toolVersion });
+
+  const recordAndReload = async () => {
+    const manifest = await loadManifest();
+    manifest.record('doc.md', await manifest.fingerprint('doc.md', build));
+    await manifest.save();
+    return loadManifest();
+  };
+
+  test('should report unknown files as not current', async () => {
+    const manifest = await loadManifest();
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(false);
+  });
+
+  test('should report a recorded file as current after a reload', async () => {
+    const manifest = await recordAndReload();
+    expect(await fs.pathExists(path.join(outputDir, MANIFEST_FILENAME))).toBe(true);
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(true);
+  });
+
+  test('should detect a changed source', async () => {
+    const manifest = await recordAndReload();
+    await fs.writeFile(path.join(inputDir, 'doc.md'), '# Doc, edited');
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(false);
+  });
+
+  test('should detect changed options and Mermaid version', async () => {
+    const manifest = await recordAndReload();
+    const withLetter = await manifest.fingerprint('doc.md', { ...build, options: { pdfFormat: 'Letter' } });
+    const withNewMermaid = await manifest.fingerprint('doc.md', { ...build, mermaidVersion: '11.0.0' });
+    expect(await manifest.isCurrent('doc.md', withLetter)).toBe(false);
+    expect(await manifest.isCurrent('doc.md', withNewMermaid)).toBe(false);
+  });
+
+  test('should detect a missing PDF', async () => {
+    const manifest = await recordAndReload();
+    await fs.remove(path.join(outputDir, 'doc.pdf'));
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(false);
+  });
+
+  test('should ignore a manifest written by another tool version', async () => {
+    await recordAndReload();
+    const manifest = await loadManifest('2.0.0');
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(false);
+  });
+
+  test('should start empty when the manifest is corrupt', async () => {
+    await fs.outputFile(path.join(outputDir, MANIFEST_FILENAME), '{ not json');
+    const logger = { warn: jest.fn() };
+    const manifest = await BuildManifest.load({ inputDir, outputDir, toolVersion: '1.0.0', logger });
+    expect(manifest.files).toEqual({});
+    expect(logger.warn).toHaveBeenCalled();
+  });
+
+  test('should forget failed files', async () => {
+    const manifest = await recordAndReload();
+    manifest.forget('doc.md');
+    expect(await manifest.isCurrent('doc.md', await manifest.fingerprint('doc.md', build))).toBe(false);
+  });
+
+  test('should detect changed, removed and created included files', async () => {
+    const shared = path.join(tmpDir, 'shared', 'intro.md');
+    const snippet = path.join(inputDir, 'snippet.js');
+    await fs.outputFile(shared, 'Intro');
+    let manifest = await loadManifest();
+    manifest.record('doc.md', await manifest.fingerprint('doc.md', build), await manifest.hashInputs([shared, snippet]));
+    await manifest.save();
+    manifest = await loadManifest();
+    const fingerprint = await manifest.fingerprint('doc.md', build);
+
+    expect(manifest.files['doc.md'].inputs).toEqual(expect.objectContaining({ [path.join('..', 'shared', 'intro.md')]: expect.any(String), 'snippet.js': null }));
+    expect(manifest.includesOf('doc.md')).toEqual([shared, snippet]);
+    expect(await manifest.isCurrent('doc.md', fingerprint)).toBe(true);
+
+    await fs.outputFile(snippet, 'let created;');
+    expect(await manifest.isCurrent('doc.md', fingerprint)).toBe(false);
+    await fs.remove(snippet);
+    await fs.writeFile(shared, 'Intro, edited');
+    expect(await manifest.isCurrent('doc.md', fingerprint)).toBe(false);
+  });
+
+  test('hashOptions should not depend on key order', () => {
+    expect(hashOptions({ a: 1, b: { c: 2, d: 3 } })).toBe(hashOptions({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashOptions({ a: 1 })).not.toBe(hashOptions({ a: 2 }));
+  });
+});
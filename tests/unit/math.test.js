@@ -0,0 +1,88 @@
+const { Marked } = require('marked');
+const { createMathRenderer, mathExtensions, locateInSource, mathCss } = require('../../src/root/app/math');
+
+describe('math', () => {
+  let math;
+  let render;
+
+  beforeEach(() => {
+    math = createMathRenderer();
+    const marked = new Marked({ extensions: mathExtensions(math) });
+    render = (markdown) => marked.parse(markdown);
+  });
+
+  test('should render inline and display math with KaTeX', () => {
+    const html = render('Energy $E = mc^2$ here.\n\n$$\n\\int_0^1 x\\,dx\n$$\n');
+
+    expect(html).toMatch(/<p>Energy <span class="math math-inline"><span class="katex">.*<\/span><\/span> here\.<\/p>/);
+    expect(html).toMatch(/<div class="math math-display"><span class="katex-display">/);
+    expect(math.errors).toEqual([]);
+  });
+
+  test('should leave dollar amounts, escaped dollars and code spans alone', () => {
+    expect(render('It costs $5 and $10.')).toBe('<p>It costs $5 and $10.</p>\n');
+    expect(render('Literal \\$x\\$ dollars.')).toBe('<p>Literal $x$ dollars.</p>\n');
+    expect(render('Shell `echo $HOME$` here.')).toBe('<p>Shell <code>echo $HOME$</code> here.</p>\n');
+    expect(render('```\n$$ x $$\n```')).not.toContain('katex');
+  });
+
+  test('should number labelled equations and resolve references to them', () => {
+    const html = render([
+      'See \\eqref{eq:second} and $\\ref{eq:first}$.',
+      '',
+      '$$ a = b \\label{eq:first} $$',
+      '',
+      '$$ c = d $$',
+      '',
+      '$$ e = f \\label{eq:second} $$',
+      '',
+      '$$ g = h \\tag{*} \\label{eq:starred} $$',
+      '',
+      'And \\ref{eq:starred}, \\ref{eq:missing}.'
+    ].join('\n'));
+
+    const { html: resolved, missing } = math.resolveReferences(html);
+
+    expect(html).toContain('<div class="math math-display" id="eq-eq:first">');
+    expect(html).toContain('<div class="math math-display" id="eq-eq:second">');
+    expect(resolved).toContain('<a class="math-ref" href="#eq-eq:second" data-math-ref="0">(2)</a>');
+    expect(resolved).toContain('<a class="math-ref" href="#eq-eq:first" data-math-ref="1">1</a>');
+    expect(resolved).toContain('<a class="math-ref" href="#eq-eq:starred" data-math-ref="2">*</a>');
+    expect(resolved).toContain('<a class="math-ref" href="#eq-eq:missing" data-math-ref="3">??</a>');
+    expect(missing).toEqual([expect.objectContaining({ key: 'eq:missing', raw: '\\ref{eq:missing}' })]);
+  });
+
+  test('should mark expressions that do not render and record the error', () => {
+    const html = render('Broken $\\frac{1}{$ math.');
+
+    expect(html).toContain('<span class="math-error" title="Unexpected end of input in a macro argument, expected \'}\'">$\\frac{1}{$</span>');
+    expect(math.errors).toEqual([{ expression: '\\frac{1}{', raw: '$\\frac{1}{$', message: 'Unexpected end of input in a macro argument, expected \'}\'' }]);
+  });
+
+  test('should report labels defined twice and start over on reset', () => {
+    render('$$ a \\label{x} $$\n\n$$ b \\label{x} $$');
+    expect(math.duplicates).toEqual([expect.objectContaining({ key: 'x' })]);
+    expect(math.count).toBe(2);
+
+    math.reset();
+    render('$$ c \\label{y} $$');
+    expect(math.count).toBe(1);
+    expect(math.duplicates).toEqual([]);
+  });
+
+  test('locateInSource should find entries in order and add the line offset', () => {
+    const entries = [{ raw: '$a$' }, { raw: '$a$' }, { raw: '$zz$' }];
+
+    locateInSource(entries, '$a$\n\ntext $a$', 3);
+
+    expect(entries.map(entry => entry.line)).toEqual([4, 6, null]);
+  });
+
+  test('mathCss should inline the KaTeX fonts', () => {
+    const css = mathCss();
+
+    expect(css).toContain('.katex');
+    expect(css).toContain('src:url(data:font/woff2;base64,');
+    expect(css).not.toContain('url(fonts/');
+  });
+});
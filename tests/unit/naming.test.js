@@ -0,0 +1,130 @@
+const { OutputNamer, parseOutputNameTemplate, renderOutputName, slugify } = require('../../src/root/app/naming');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('naming', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-naming');
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  afterAll(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('slugify', () => {
+    test('should lower-case, strip accents and replace unsafe characters', () => {
+      expect(slugify('Use Café / Crème for Caching!')).toBe('use-cafe-creme-for-caching');
+      expect(slugify('  --v1.2_final--  ')).toBe('v1.2_final');
+    });
+
+    test('should format dates and join lists', () => {
+      expect(slugify(new Date('2024-03-05T00:00:00Z'))).toBe('2024-03-05');
+      expect(slugify(['Ops', 'On Call'])).toBe('ops-on-call');
+      expect(slugify(7)).toBe('7');
+    });
+  });
+
+  describe('parseOutputNameTemplate', () => {
+    test('should accept placeholders for fields, nested fields and path parts', () => {
+      expect(parseOutputNameTemplate('{dir}/ADR-{id}_{meta.title}_v{version}')).toBe('{dir}/ADR-{id}_{meta.title}_v{version}');
+    });
+
+    test('should reject malformed templates', () => {
+      expect(() => parseOutputNameTemplate('')).toThrow('it is empty');
+      expect(() => parseOutputNameTemplate('ADR-{id')).toThrow('unbalanced braces');
+      expect(() => parseOutputNameTemplate('ADR-{}')).toThrow('"{}" is not a valid field name');
+      expect(() => parseOutputNameTemplate('{title} {1st}')).toThrow('"{1st}" is not a valid field name');
+    });
+
+    test('should keep names inside the output directory', () => {
+      expect(() => parseOutputNameTemplate('../{title}')).toThrow('must stay inside the output directory');
+      expect(() => parseOutputNameTemplate('/tmp/{title}')).toThrow('must stay inside the output directory');
+    });
+  });
+
+  describe('renderOutputName', () => {
+    test('should fill in slugified front matter fields', () => {
+      const frontMatter = { id: 42, title: 'Use Postgres', version: '1.2', meta: { team: 'Platform' } };
+
+      expect(renderOutputName('ADR-{id}_{title}_v{version}_{meta.team}', { file: 'adr.md', frontMatter }))
+        .toBe('ADR-42_use-postgres_v1.2_platform.pdf');
+    });
+
+    test('should use the source name and directory as they are', () => {
+      const file = path.join('decisions', 'Use Postgres.md');
+
+      expect(renderOutputName('{dir}/{name}-{status}', { file, frontMatter: { status: 'Accepted' } }))
+        .toBe(path.join('decisions', 'Use Postgres-accepted.pdf'));
+      expect(renderOutputName('{dir}/{name}', { file: 'top.md' })).toBe('top.pdf');
+    });
+
+    test('should not add a second .pdf extension', () => {
+      expect(renderOutputName('{name}.pdf', { file: 'guide.md' })).toBe('guide.pdf');
+    });
+
+    test('should name the missing front matter field', () => {
+      expect(() => renderOutputName('ADR-{id}', { file: 'adr.md', frontMatter: { title: 'x' } }))
+        .toThrow('Output name template uses {id}, but the front matter has no "id"');
+    });
+
+    test('should reject values without usable characters', () => {
+      expect(() => renderOutputName('{title}', { file: 'adr.md', frontMatter: { title: '???' } }))
+        .toThrow('Output name template field {title} has no usable characters');
+    });
+  });
+
+  describe('OutputNamer', () => {
+    test('should keep the source name without a template', async () => {
+      const namer = new OutputNamer({ inputDir: tmpDir });
+
+      expect(await namer.resolve(path.join('guides', 'setup.md'))).toBe(path.join('guides', 'setup.pdf'));
+      expect(namer.outputFileOf(path.join('guides', 'setup.md'))).toBe(path.join('guides', 'setup.pdf'));
+    });
+
+    test('should read the front matter of the source file', async () => {
+      await fs.outputFile(path.join(tmpDir, 'adr.md'), '---\nid: 7\ntitle: Pick a Queue\n---\n\n# Body\n');
+      const namer = new OutputNamer({ inputDir: tmpDir, template: 'ADR-{id}_{title}' });
+
+      expect(await namer.resolve('adr.md')).toBe('ADR-7_pick-a-queue.pdf');
+    });
+
+    test('should use content passed in instead of reading the file', async () => {
+      const namer = new OutputNamer({ inputDir: tmpDir, template: '{title}' });
+
+      expect(await namer.resolve('stdin.md', { content: Buffer.from('---\ntitle: Piped\n---\n') })).toBe('piped.pdf');
+    });
+
+    test('should refuse a name claimed by another source', async () => {
+      const namer = new OutputNamer({ inputDir: tmpDir, template: '{title}' });
+      await namer.resolve('a.md', { content: '---\ntitle: Same\n---\n' });
+
+      await expect(namer.resolve('b.md', { content: '---\ntitle: SAME\n---\n' }))
+        .rejects.toThrow('Output file same.pdf is already produced by a.md');
+    });
+
+    test('should detect collisions between sources that differ only in extension', async () => {
+      const namer = new OutputNamer({ inputDir: tmpDir });
+      await namer.resolve('notes.md');
+
+      await expect(namer.resolve('notes.markdown')).rejects.toThrow(
+        'Output file notes.pdf is already produced by notes.md; notes.markdown and notes.md differ only in their extension, rename one of them'
+      );
+      await expect(namer.resolve(path.join('sub', 'Guide.MD'))).resolves.toBe(path.join('sub', 'Guide.pdf'));
+      await expect(namer.resolve(path.join('sub', 'guide.markdown'))).rejects.toThrow('differ only in their extension');
+    });
+
+    test('should let a source be renamed and free names on release', async () => {
+      const namer = new OutputNamer({ inputDir: tmpDir, template: '{title}' });
+      await namer.resolve('a.md', { content: '---\ntitle: First\n---\n' });
+      expect(await namer.resolve('a.md', { content: '---\ntitle: Second\n---\n' })).toBe('second.pdf');
+
+      expect(await namer.resolve('b.md', { content: '---\ntitle: First\n---\n' })).toBe('first.pdf');
+
+      namer.release('a.md');
+      expect(namer.outputFileOf('a.md')).toBeNull();
+      expect(await namer.resolve('c.md', { content: '---\ntitle: Second\n---\n' })).toBe('second.pdf');
+    });
+  });
+});
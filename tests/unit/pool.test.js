@@ -0,0 +1,88 @@
+const { runWithConcurrency, createLimiter, parseConcurrency } = require('../../src/root/app/pool');
+
+describe('pool', () => {
+  describe('runWithConcurrency', () => {
+    test('should never run more than limit workers at once', async () => {
+      let active = 0;
+      let peak = 0;
+
+      await runWithConcurrency([1, 2, 3, 4, 5, 6], 2, async () => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+      });
+
+      expect(peak).toBe(2);
+    });
+
+    test('should return results in input order', async () => {
+      const delays = [30, 5, 15];
+      const results = await runWithConcurrency(delays, 3, async (delay, index) => {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return `${index}:${delay}`;
+      });
+
+      expect(results).toEqual(['0:30', '1:5', '2:15']);
+    });
+
+    test('should handle an empty list', async () => {
+      await expect(runWithConcurrency([], 4, async () => 'unused')).resolves.toEqual([]);
+    });
+  });
+
+  describe('createLimiter', () => {
+    test('should queue tasks beyond the limit and start them in order', async () => {
+      const limiter = createLimiter(2);
+      const started = [];
+      const release = [];
+      const task = id => () => new Promise(resolve => {
+        started.push(id);
+        release[id] = resolve;
+      });
+
+      const results = [1, 2, 3].map(id => limiter.run(task(id)).then(() => id));
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(started).toEqual([1, 2]);
+      expect(limiter.active).toBe(2);
+      expect(limiter.queued).toBe(1);
+
+      release[1]();
+      await results[0];
+      await new Promise(resolve => setImmediate(resolve));
+      expect(started).toEqual([1, 2, 3]);
+
+      release[2]();
+      release[3]();
+      await expect(Promise.all(results)).resolves.toEqual([1, 2, 3]);
+      expect(limiter.active).toBe(0);
+    });
+
+    test('should pass rejections through and keep going', async () => {
+      const limiter = createLimiter(1);
+
+      await expect(limiter.run(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      await expect(limiter.run(async () => 'next')).resolves.toBe('next');
+    });
+  });
+
+  describe('parseConcurrency', () => {
+    test('should default to 1', () => {
+      expect(parseConcurrency(undefined)).toBe(1);
+      expect(parseConcurrency('')).toBe(1);
+    });
+
+    test('should accept positive integers as strings or numbers', () => {
+      expect(parseConcurrency('4')).toBe(4);
+      expect(parseConcurrency(2)).toBe(2);
+    });
+
+    test('should reject zero, negatives and fractions', () => {
+      expect(() => parseConcurrency('0')).toThrow('Invalid concurrency');
+      expect(() => parseConcurrency('-1')).toThrow('Invalid concurrency');
+      expect(() => parseConcurrency('1.5')).toThrow('Invalid concurrency');
+      expect(() => parseConcurrency('lots')).toThrow('Invalid concurrency');
+    });
+  });
+});
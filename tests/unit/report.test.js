@@ -0,0 +1,95 @@
+const { buildReport, formatJsonReport, formatJunitReport, parseReportFormat, parseReportOption, defaultReportPath } = require('../../src/root/app/report');
+const path = require('path');
+
+describe('report', () => {
+  const results = [
+    {
+      file: 'guide.md',
+      outputFile: 'guide.pdf',
+      duration: 1500,
+      success: true,
+      timing: { readFile: 1, validateFile: 1, processMarkdown: 10, generatePdf: 1400, total: 1412 },
+      pdfTiming: { pageCreate: 50, contentSet: 100, mermaidLoad: 200, diagramRender: 900, pdfGeneration: 140, metadataEmbed: 10 },
+      diagrams: { total: 3, rendered: 2, failed: 1 },
+      pageCount: 4
+    },
+    { file: path.join('adr', 'old.md'), outputFile: path.join('adr', 'old.pdf'), duration: 0, success: true, skipped: true },
+    { file: 'broken.md', outputFile: 'broken.pdf', duration: 20, success: false, error: 'File is empty: <broken> & "bad"' }
+  ];
+  const run = { startedAt: new Date('2026-01-02T03:04:05.000Z'), duration: 2000, toolVersion: '1.2.3', outputDir: 'out' };
+
+  test('buildReport should summarize statuses and keep per-file details', () => {
+    const report = buildReport(results, run);
+
+    expect(report.summary).toEqual({ total: 3, converted: 1, skipped: 1, failed: 1 });
+    expect(report.startedAt).toBe('2026-01-02T03:04:05.000Z');
+    expect(report.files[0]).toMatchObject({
+      file: 'guide.md',
+      status: 'converted',
+      error: null,
+      diagrams: { total: 3, rendered: 2, failed: 1 },
+      pageCount: 4
+    });
+    expect(report.files[0].pdfTiming.diagramRender).toBe(900);
+    expect(report.files[1]).toMatchObject({ status: 'skipped', timing: null, pageCount: null });
+    expect(report.files[2]).toMatchObject({ status: 'failed', error: 'File is empty: <broken> & "bad"' });
+  });
+
+  test('formatJsonReport should produce parseable JSON', () => {
+    const report = buildReport(results, run);
+    expect(JSON.parse(formatJsonReport(report))).toEqual(report);
+  });
+
+  test('formatJunitReport should map files to test cases', () => {
+    const xml = formatJunitReport(buildReport(results, run));
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain('<testsuites name="markdown-mermaidjs-to-pdf" tests="3" failures="1" errors="0" skipped="1" time="2.000">');
+    expect(xml).toContain('<testcase classname="markdown-mermaidjs-to-pdf" name="guide.md" time="1.500">');
+    expect(xml).toContain(`<testcase classname="markdown-mermaidjs-to-pdf.adr" name="${path.join('adr', 'old.md')}" time="0.000">`);
+    expect(xml).toContain('<skipped message="PDF is up to date"/>');
+    expect(xml).toContain('<failure message="File is empty: &lt;broken&gt; &amp; &quot;bad&quot;" type="ConversionError">');
+    expect(xml).toContain('Diagrams: 3 total, 2 rendered, 1 failed');
+    expect(xml).toContain('Pages: 4');
+  });
+
+  test('should record retried attempts and browser restarts', () => {
+    const retried = {
+      file: 'slow.md',
+      outputFile: 'slow.pdf',
+      duration: 4000,
+      success: true,
+      attempts: 2,
+      events: [{ type: 'timeout', attempt: 1, message: 'Conversion timed out after 3000ms' }]
+    };
+
+    const report = buildReport([retried], { ...run, browser: { launches: 2, disconnects: 1 } });
+
+    expect(report.browser).toEqual({ launches: 2, disconnects: 1 });
+    expect(report.files[0]).toMatchObject({ status: 'converted', attempts: 2, events: retried.events });
+    expect(formatJunitReport(report)).toContain('Attempt 1 failed (timeout): Conversion timed out after 3000ms');
+  });
+
+  test('parseReportFormat should reject unknown formats', () => {
+    expect(parseReportFormat('junit')).toBe('junit');
+    expect(() => parseReportFormat('yaml')).toThrow('Invalid report format "yaml". Use "json" or "junit".');
+  });
+
+  test('parseReportOption should take a format and an optional path', () => {
+    expect(parseReportOption(['junit', 'reports/docs.xml'])).toEqual({ format: 'junit', path: 'reports/docs.xml' });
+    expect(parseReportOption(['json'])).toEqual({ format: 'json', path: null });
+    expect(() => parseReportOption(['xml', 'a.xml'])).toThrow('Invalid report format "xml"');
+    expect(() => parseReportOption(['json', 'a.json', 'docs'])).toThrow('--report takes a format and an optional path, got "json a.json docs".');
+  });
+
+  test('formatJunitReport should drop characters XML does not allow', () => {
+    const xml = formatJunitReport(buildReport([{ file: 'bell.md', duration: 0, success: false, error: 'bad\u0007 byte\tand\u001B[31m colour' }], run));
+
+    expect(xml).toContain('<failure message="bad byte\tand[31m colour"');
+  });
+
+  test('defaultReportPath should use the extension of the format', () => {
+    expect(defaultReportPath('json', 'out')).toBe(path.join('out', 'mdpdf-report.json'));
+    expect(defaultReportPath('junit', 'out')).toBe(path.join('out', 'mdpdf-report.xml'));
+  });
+});
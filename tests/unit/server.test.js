@@ -0,0 +1,233 @@
+const { createConversionServer } = require('../../src/root/app/server');
+const { MarkdownConverter } = require('../../src/root/app/converter');
+const { resolveConfig } = require('../../src/root/app/config');
+const { createSilentLogger } = require('../../src/root/app/logger');
+const { PDFDocument } = require('pdf-lib');
+
+describe('server', () => {
+  let puppeteerModule;
+  let originalLaunch;
+  let originalExecPath;
+  let pages;
+  let server;
+  let converter;
+  let baseUrl;
+
+  async function startServer(settings = {}) {
+    const config = resolveConfig({ flags: settings, env: {} });
+    converter = new MarkdownConverter(config, { logger: createSilentLogger() });
+    server = createConversionServer({ converter, config, logger: createSilentLogger() });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  function postMarkdown(markdown, query = '') {
+    return fetch(`${baseUrl}/convert${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/markdown' },
+      body: markdown
+    });
+  }
+
+  function postJson(body) {
+    return fetch(`${baseUrl}/convert`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  }
+
+  beforeEach(async () => {
+    originalExecPath = process.env.PUPPETEER_EXECUTABLE_PATH;
+    process.env.PUPPETEER_EXECUTABLE_PATH = '/usr/bin/true';
+    pages = [];
+
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.addPage();
+    const pdfBytes = await pdfDoc.save();
+
+    puppeteerModule = require('puppeteer-core');
+    originalLaunch = puppeteerModule.launch;
+    puppeteerModule.launch = jest.fn().mockResolvedValue({
+      newPage: () => {
+        const page = {
+          setContent: jest.fn().mockResolvedValue(undefined),
+          waitForFunction: jest.fn().mockResolvedValue(undefined),
+          evaluate: jest.fn().mockResolvedValue({ total: 0, rendered: 0, failed: 0, errors: [] }),
+          addScriptTag: jest.fn().mockResolvedValue(undefined),
+          pdf: jest.fn().mockResolvedValue(pdfBytes),
+          close: jest.fn().mockResolvedValue(undefined)
+        };
+        pages.push(page);
+        return Promise.resolve(page);
+      },
+      version: () => Promise.resolve('HeadlessChrome/124.0.0.0'),
+      on: jest.fn(),
+      close: () => Promise.resolve()
+    });
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await converter.cleanup();
+    puppeteerModule.launch = originalLaunch;
+    if (originalExecPath) { process.env.PUPPETEER_EXECUTABLE_PATH = originalExecPath; } else { delete process.env.PUPPETEER_EXECUTABLE_PATH; }
+  });
+
+  describe('POST /convert', () => {
+    test('should return the PDF for a markdown body', async () => {
+      await startServer();
+
+      const response = await postMarkdown('# Hello', '?filename=guides/setup.md&pdfFormat=Letter');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toBe('application/pdf');
+      expect(response.headers.get('content-disposition')).toBe('inline; filename="setup.pdf"');
+      expect(response.headers.get('x-page-count')).toBe('1');
+      const pdf = Buffer.from(await response.arrayBuffer());
+      expect(pdf.subarray(0, 4).toString()).toBe('%PDF');
+      expect(pages[0].pdf).toHaveBeenCalledWith(expect.objectContaining({ format: 'Letter' }));
+    });
+
+    test('should merge front matter and options from a JSON body', async () => {
+      await startServer({ pdfMargin: { top: '2cm' } });
+
+      const response = await postJson({
+        markdown: '---\ntitle: Draft\nauthor: Docs\n---\n\n# Report',
+        frontMatter: { title: 'Quarterly Report' },
+        options: { pdfMargin: { left: '10mm' } }
+      });
+
+      expect(response.status).toBe(200);
+      const pdf = await PDFDocument.load(Buffer.from(await response.arrayBuffer()));
+      expect(pdf.getTitle()).toBe('Quarterly Report');
+      expect(pdf.getAuthor()).toBe('Docs');
+      expect(pages[0].pdf).toHaveBeenCalledWith(expect.objectContaining({
+        margin: { top: '2cm', right: '1in', bottom: '1in', left: '10mm' }
+      }));
+    });
+
+    test('should refuse bodies larger than maxFileSize', async () => {
+      await startServer({ maxFileSize: 16 });
+
+      const response = await postMarkdown('# This body is longer than sixteen bytes');
+
+      expect(response.status).toBe(413);
+      expect((await response.json()).error).toBe('Request body exceeds the maximum size of 16 bytes');
+      expect(puppeteerModule.launch).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['an empty document', () => postMarkdown('   '), 400, 'File is empty: request.md'],
+      ['invalid JSON', () => fetch(`${baseUrl}/convert`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' }), 400, 'Invalid JSON body'],
+      ['a JSON body without markdown', () => postJson({ text: '# Hi' }), 400, 'The JSON body needs a "markdown" string'],
+      ['a server-only option', () => postJson({ markdown: '# Hi', options: { mermaidJsPath: '/etc/passwd' } }), 400, 'Option "mermaidJsPath" cannot be set per request'],
+      ['an invalid option value', () => postMarkdown('# Hi', '?pdfFormat=B5'), 400, 'Invalid pdfFormat "B5"'],
+      ['an unsupported content type', () => fetch(`${baseUrl}/convert`, { method: 'POST', headers: { 'Content-Type': 'image/png' }, body: 'x' }), 415, 'Unsupported content type "image/png"']
+    ])('should reject %s', async (_, send, status, message) => {
+      await startServer();
+
+      const response = await send();
+
+      expect(response.status).toBe(status);
+      expect((await response.json()).error).toContain(message);
+      expect(pages).toHaveLength(0);
+    });
+
+    test('should answer 500 with the error when the conversion fails', async () => {
+      await startServer();
+      puppeteerModule.launch.mockRejectedValueOnce(new Error('Chromium crashed'));
+
+      const response = await postMarkdown('# Hello');
+
+      expect(response.status).toBe(500);
+      expect((await response.json()).error).toBe('Chromium crashed');
+    });
+
+    test('should answer 422 when a strict request has a diagram that fails to render', async () => {
+      await startServer();
+      converter.convertMarkdown = jest.fn().mockRejectedValue(Object.assign(
+        new Error('Strict mode: 1 Mermaid diagram failed to render'),
+        { code: 'DIAGRAM_RENDER_FAILED' }
+      ));
+
+      const response = await postMarkdown('```mermaid\ngraph TD\n  A--\n```', '?strict=true');
+
+      expect(response.status).toBe(422);
+      expect((await response.json()).error).toContain('failed to render');
+      expect(converter.convertMarkdown.mock.calls[0][1].config.strict).toBe(true);
+    });
+
+    test('should run at most `concurrency` conversions at once', async () => {
+      await startServer({ concurrency: 1 });
+      let active = 0;
+      let peak = 0;
+      const convertMarkdown = converter.convertMarkdown.bind(converter);
+      converter.convertMarkdown = async (...args) => {
+        active++;
+        peak = Math.max(peak, active);
+        try {
+          await new Promise(resolve => setTimeout(resolve, 20));
+          return await convertMarkdown(...args);
+        } finally {
+          active--;
+        }
+      };
+
+      const responses = await Promise.all([postMarkdown('# One'), postMarkdown('# Two'), postMarkdown('# Three')]);
+
+      expect(responses.map(r => r.status)).toEqual([200, 200, 200]);
+      expect(peak).toBe(1);
+    });
+  });
+
+  describe('GET /health', () => {
+    test('should report Chromium and Mermaid as working', async () => {
+      await startServer();
+
+      const response = await fetch(`${baseUrl}/health`);
+      const body = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(body).toMatchObject({
+        status: 'ok',
+        chromium: { ok: true, version: 'HeadlessChrome/124.0.0.0' },
+        mermaid: { ok: true, version: '10.6.1' },
+        conversions: { active: 0, queued: 0 }
+      });
+      expect(pages[0].addScriptTag).toHaveBeenCalled();
+      expect(pages[0].close).toHaveBeenCalled();
+    });
+
+    test('should answer 503 when Mermaid cannot be loaded', async () => {
+      await startServer();
+      puppeteerModule.launch.mockResolvedValueOnce({
+        newPage: () => Promise.resolve({
+          setContent: jest.fn().mockResolvedValue(undefined),
+          addScriptTag: jest.fn().mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED')),
+          close: jest.fn().mockResolvedValue(undefined)
+        }),
+        version: () => Promise.resolve('HeadlessChrome/124.0.0.0'),
+        on: jest.fn(),
+        close: () => Promise.resolve()
+      });
+
+      const response = await fetch(`${baseUrl}/health`);
+      const body = await response.json();
+
+      expect(response.status).toBe(503);
+      expect(body.status).toBe('error');
+      expect(body.chromium.ok).toBe(true);
+      expect(body.mermaid).toMatchObject({ ok: false, error: expect.stringContaining('Failed to load Mermaid library') });
+    });
+  });
+
+  test('should answer 404 for unknown paths and 405 for wrong methods', async () => {
+    await startServer();
+
+    expect((await fetch(`${baseUrl}/nothing`)).status).toBe(404);
+    const response = await fetch(`${baseUrl}/health`, { method: 'POST' });
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('GET');
+  });
+});
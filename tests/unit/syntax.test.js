@@ -0,0 +1,42 @@
+const { renderCodeBlock, codeThemeCss, splitHighlightedLines } = require('../../src/root/app/syntax');
+
+describe('syntax', () => {
+  test('should highlight known languages and leave others plain', () => {
+    expect(renderCodeBlock('const a = 1;\n', 'js')).toBe(
+      '<pre class="code-block"><code class="hljs language-js"><span class="hljs-keyword">const</span> a = <span class="hljs-number">1</span>;\n</code></pre>\n'
+    );
+    expect(renderCodeBlock('<b>x</b>', 'nosuchlanguage')).toContain('<code class="hljs language-nosuchlanguage">&lt;b&gt;x&lt;/b&gt;');
+    expect(renderCodeBlock('<b>x</b>', '')).toContain('<code class="hljs">&lt;b&gt;x&lt;/b&gt;');
+  });
+
+  test('should mark highlighted lines from the fence attributes', () => {
+    const html = renderCodeBlock('a\nb\nc\nd', '{.text hl="2-3"}');
+
+    expect(html).toContain('<span class="code-line" data-line="1">a</span>');
+    expect(html).toContain('<span class="code-line code-line-highlighted" data-line="2">b</span>');
+    expect(html).toContain('<span class="code-line code-line-highlighted" data-line="3">c</span>');
+    expect(html).toContain('<span class="code-line" data-line="4">d</span>');
+    expect(html).toContain('<pre class="code-block">');
+  });
+
+  test('should number lines by default or per block', () => {
+    expect(renderCodeBlock('a', 'text', { lineNumbers: true })).toContain('<pre class="code-block line-numbers">');
+    expect(renderCodeBlock('a', 'text {.no-line-numbers}', { lineNumbers: true })).toBe(
+      '<pre class="code-block"><code class="hljs language-text">a\n</code></pre>\n'
+    );
+    expect(renderCodeBlock('a', '{.text .line-numbers}')).toContain('<pre class="code-block line-numbers">');
+  });
+
+  test('splitHighlightedLines should keep spans balanced across lines', () => {
+    expect(splitHighlightedLines('<span class="s">`a\nb`</span>;\nc')).toEqual([
+      '<span class="s">`a</span>',
+      '<span class="s">b`</span>;',
+      'c'
+    ]);
+  });
+
+  test('codeThemeCss should read the theme from highlight.js', () => {
+    expect(codeThemeCss('github')).toContain('.hljs');
+    expect(codeThemeCss('none')).toBe('');
+  });
+});
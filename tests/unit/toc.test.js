@@ -0,0 +1,58 @@
+const { renderTableOfContents, insertTableOfContents, readNamedDestinations } = require('../../src/root/app/toc');
+const { PDFDocument, PDFName, PDFString, PDFHexString } = require('pdf-lib');
+
+describe('toc', () => {
+  const headings = [
+    { level: 1, id: 'guide', text: 'Guide' },
+    { level: 2, id: 'install', text: 'Install <code>npm</code>' },
+    { level: 3, id: 'docker', text: 'With <a href="https://docker.com">Docker</a>' },
+    { level: 4, id: 'details', text: 'Details' }
+  ];
+
+  test('renderTableOfContents should link each heading up to the depth', () => {
+    const html = renderTableOfContents(headings, 3);
+
+    expect(html).toContain('<li class="toc-entry toc-level-1"><a href="#guide"><span class="toc-text">Guide</span>' +
+      '<span class="toc-page" data-toc-target="guide"></span></a></li>');
+    expect(html).toContain('<span class="toc-text">Install <code>npm</code></span>');
+    expect(html).toContain('<span class="toc-text">With Docker</span>');
+    expect(html).not.toContain('#details');
+  });
+
+  test('renderTableOfContents should indent relative to the top level listed', () => {
+    const html = renderTableOfContents(headings.slice(1), 3);
+    expect(html).toContain('toc-level-1"><a href="#install"');
+    expect(html).toContain('toc-level-2"><a href="#docker"');
+  });
+
+  test('insertTableOfContents should replace markers or prepend when asked', () => {
+    const marked = insertTableOfContents('<h1 id="guide">Guide</h1>\n<p>[[toc]]</p>\n<p>Body</p>', headings, { depth: 1 });
+    expect(marked.inserted).toBe(true);
+    expect(marked.html).toMatch(/^<h1 id="guide">Guide<\/h1>\n<nav class="toc">/);
+    expect(marked.html).not.toContain('[[toc]]');
+
+    expect(insertTableOfContents('<p>Body</p>', headings, { depth: 2 })).toEqual({ html: '<p>Body</p>', inserted: false });
+    expect(insertTableOfContents('<p>Body</p>', headings, { depth: 2, auto: true }).html).toMatch(/^<nav class="toc">[\s\S]*<p>Body<\/p>$/);
+    expect(insertTableOfContents('<pre><code>[[toc]]\n</code></pre>', headings, { depth: 2 }).inserted).toBe(false);
+  });
+
+  test('readNamedDestinations should map destinations to page numbers', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const pages = [pdfDoc.addPage(), pdfDoc.addPage(), pdfDoc.addPage()];
+    const destination = (page) => pdfDoc.context.obj([page.ref, PDFName.of('XYZ'), 0, 700, 0]);
+    const dests = pdfDoc.context.obj({ guide: destination(pages[0]) });
+    // Chromium writes names as UTF-8 bytes
+    dests.set(PDFName.of(Buffer.from('über-uns').toString('latin1')), destination(pages[2]));
+    pdfDoc.catalog.set(PDFName.of('Dests'), dests);
+    const nameTree = pdfDoc.context.obj({
+      Kids: [pdfDoc.context.register(pdfDoc.context.obj({
+        Names: [PDFString.of('install'), pdfDoc.context.obj({ D: destination(pages[1]) }), PDFHexString.fromText('docker'), destination(pages[2])]
+      }))]
+    });
+    pdfDoc.catalog.set(PDFName.of('Names'), pdfDoc.context.obj({ Dests: nameTree }));
+
+    const destinations = await readNamedDestinations(await pdfDoc.save());
+
+    expect(Object.fromEntries(destinations)).toEqual({ guide: 1, 'über-uns': 3, install: 2, docker: 3 });
+  });
+});
@@ -0,0 +1,167 @@
+const { watchMarkdownFiles } = require('../../src/root/app/watcher');
+const nodeFs = require('fs');
+const fs = require('fs-extra');
+const path = require('path');
+
+const waitFor = async (predicate, timeout = 3000) => {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for watcher');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('watchMarkdownFiles', () => {
+  const tmpDir = path.join(__dirname, '..', 'tmp-watcher');
+  let watcher;
+  let changed;
+  let removed;
+
+  beforeEach(async () => {
+    await fs.remove(tmpDir);
+    await fs.outputFile(path.join(tmpDir, 'existing.md'), '# Existing');
+    await fs.ensureDir(path.join(tmpDir, 'nested'));
+    changed = [];
+    removed = [];
+  });
+
+  afterEach(async () => {
+    if (watcher) {
+      await watcher.close();
+      watcher = null;
+    }
+    await fs.remove(tmpDir);
+  });
+
+  const start = (options = {}) => {
+    watcher = watchMarkdownFiles(tmpDir, {
+      files: ['existing.md'],
+      debounceMs: 20,
+      onChange: async (file) => { changed.push(file); },
+      onRemove: async (file) => { removed.push(file); },
+      ...options
+    });
+  };
+
+  test('should report added markdown files', async () => {
+    start();
+    await fs.writeFile(path.join(tmpDir, 'new.md'), '# New');
+
+    await waitFor(() => changed.length > 0);
+    expect(changed).toEqual(['new.md']);
+  });
+
+  test('should report changed markdown files once per debounce window', async () => {
+    start();
+    const file = path.join(tmpDir, 'existing.md');
+    await fs.writeFile(file, '# Edit 1');
+    await fs.appendFile(file, '\nmore');
+
+    await waitFor(() => changed.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(changed).toEqual(['existing.md']);
+  });
+
+  test('should ignore non-markdown files', async () => {
+    start();
+    await fs.writeFile(path.join(tmpDir, 'image.png'), '');
+    await fs.writeFile(path.join(tmpDir, 'after.md'), '# After');
+
+    await waitFor(() => changed.length > 0);
+    expect(changed).toEqual(['after.md']);
+  });
+
+  test('should ignore markdown files rejected by the filter', async () => {
+    start({ filter: file => file !== 'draft.md' });
+    await fs.writeFile(path.join(tmpDir, 'draft.md'), '# Draft');
+    await fs.writeFile(path.join(tmpDir, 'final.md'), '# Final');
+
+    await waitFor(() => changed.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(changed).toEqual(['final.md']);
+  });
+
+  test('should report removed markdown files', async () => {
+    start();
+    await fs.remove(path.join(tmpDir, 'existing.md'));
+
+    await waitFor(() => removed.length > 0);
+    expect(removed).toEqual(['existing.md']);
+    expect(changed).toEqual([]);
+  });
+
+  test('should ignore subdirectories unless recursive', async () => {
+    start();
+    await fs.writeFile(path.join(tmpDir, 'nested', 'deep.md'), '# Deep');
+    await fs.writeFile(path.join(tmpDir, 'top.md'), '# Top');
+
+    await waitFor(() => changed.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(changed).toEqual(['top.md']);
+  });
+
+  test('should report files in subdirectories when recursive', async () => {
+    start({ recursive: true });
+    await fs.writeFile(path.join(tmpDir, 'nested', 'deep.md'), '# Deep');
+
+    await waitFor(() => changed.length > 0);
+    expect(changed).toEqual([path.join('nested', 'deep.md')]);
+  });
+
+  test('should report changed and created dependencies outside the watched directory', async () => {
+    // Dependencies are polled; drive the poll listeners directly so the test does not depend on timing
+    const listeners = new Map();
+    jest.spyOn(nodeFs, 'watchFile').mockImplementation((filePath, options, listener) => listeners.set(filePath, listener));
+    jest.spyOn(nodeFs, 'unwatchFile').mockImplementation(filePath => listeners.delete(filePath));
+    jest.useFakeTimers();
+    const existing = path.resolve(`${tmpDir}-shared`, 'intro.md');
+    const missing = path.resolve(`${tmpDir}-shared`, 'later.js');
+    const dependencies = [];
+
+    try {
+      start({ onDependencyChange: async (filePath) => { dependencies.push(filePath); } });
+      watcher.setDependencies([existing, missing]);
+      expect([...listeners.keys()]).toEqual([existing, missing]);
+
+      // A write polled halfway shows up as two changes within the debounce window
+      listeners.get(existing)({ mtimeMs: 2 }, { mtimeMs: 1 });
+      listeners.get(existing)({ mtimeMs: 3 }, { mtimeMs: 2 });
+      // Creation: a missing file polls with an mtime of 0
+      listeners.get(missing)({ mtimeMs: 5 }, { mtimeMs: 0 });
+      // Access without modification
+      listeners.get(existing)({ mtimeMs: 3 }, { mtimeMs: 3 });
+      await jest.advanceTimersByTimeAsync(20);
+
+      expect(dependencies).toEqual([existing, missing]);
+
+      watcher.setDependencies([]);
+      expect(listeners.size).toBe(0);
+      expect(changed).toEqual([]);
+    } finally {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should pass callback failures to onError and keep watching', async () => {
+    const errors = [];
+    start({
+      onChange: async (file) => {
+        changed.push(file);
+        if (file === 'bad.md') {
+          throw new Error('conversion exploded');
+        }
+      },
+      onError: (error) => errors.push(error)
+    });
+    await fs.writeFile(path.join(tmpDir, 'bad.md'), '# Bad');
+    await waitFor(() => errors.length > 0);
+    await fs.writeFile(path.join(tmpDir, 'good.md'), '# Good');
+
+    await waitFor(() => changed.length > 1);
+    expect(errors[0].message).toBe('conversion exploded');
+    expect(changed).toEqual(['bad.md', 'good.md']);
+  });
+});